@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+// Signed session tokens (HMAC-SHA256, no external JWT dependency).
+// Format: base64url(JSON payload) + '.' + base64url(signature)
+
+const ACCESS_TOKEN_TTL_MS = Math.max(60000, parseInt(process.env.AUTH_TOKEN_TTL_MS || String(60 * 60 * 1000), 10));
+const REFRESH_TOKEN_TTL_MS = Math.max(
+  ACCESS_TOKEN_TTL_MS,
+  parseInt(process.env.AUTH_REFRESH_TTL_MS || String(30 * 24 * 60 * 60 * 1000), 10)
+);
+
+function loadSecret() {
+  const raw = (process.env.AUTH_SECRET || process.env.SESSION_SECRET || '').trim();
+  if (raw) return raw;
+  console.warn('[auth] AUTH_SECRET not set; using a random per-process secret (tokens reset on restart).');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+const SECRET = loadSecret();
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(input) {
+  const b64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(b64, 'base64').toString('utf8');
+}
+
+function sign(data) {
+  return base64url(crypto.createHmac('sha256', SECRET).update(data).digest());
+}
+
+function signToken(payload) {
+  const body = base64url(JSON.stringify(payload));
+  return `${body}.${sign(body)}`;
+}
+
+class AuthError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function verifyToken(token, expectedType) {
+  if (!token || typeof token !== 'string') throw new AuthError('Missing token', 'TOKEN_MISSING');
+  const [body, signature] = token.split('.');
+  if (!body || !signature) throw new AuthError('Malformed token', 'TOKEN_INVALID');
+
+  const expected = sign(body);
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    throw new AuthError('Invalid token signature', 'TOKEN_INVALID');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64url(body));
+  } catch {
+    throw new AuthError('Malformed token', 'TOKEN_INVALID');
+  }
+  if (payload.typ !== expectedType) throw new AuthError('Wrong token type', 'TOKEN_INVALID');
+  if (!Number.isFinite(payload.exp) || payload.exp <= Date.now()) {
+    throw new AuthError('Token expired', 'TOKEN_EXPIRED');
+  }
+  return payload;
+}
+
+/** Issue an access + refresh token pair for a user document. */
+function issueTokens(user) {
+  const now = Date.now();
+  const sub = user.username;
+  const uid = user._id ? user._id.toString() : null;
+  const expiresAt = now + ACCESS_TOKEN_TTL_MS;
+  const refreshExpiresAt = now + REFRESH_TOKEN_TTL_MS;
+  return {
+    token: signToken({ typ: 'access', sub, uid, iat: now, exp: expiresAt }),
+    refreshToken: signToken({ typ: 'refresh', sub, uid, iat: now, exp: refreshExpiresAt }),
+    expiresAt: new Date(expiresAt).toISOString(),
+    refreshExpiresAt: new Date(refreshExpiresAt).toISOString(),
+  };
+}
+
+function readBearer(req) {
+  const header = req.headers?.authorization || '';
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+/**
+ * Express middleware: resolves the caller from the Authorization header and
+ * sets req.user = { username, uid }. Responds 401 when missing/invalid/expired.
+ */
+function requireAuth(req, res, next) {
+  try {
+    const payload = verifyToken(readBearer(req), 'access');
+    req.user = { username: payload.sub, uid: payload.uid || null };
+    return next();
+  } catch (err) {
+    const code = err instanceof AuthError ? err.code : 'TOKEN_INVALID';
+    return res.status(401).json({ error: err.message || 'Unauthorized', code });
+  }
+}
+
+module.exports = {
+  AuthError,
+  issueTokens,
+  verifyToken,
+  requireAuth,
+};
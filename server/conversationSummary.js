@@ -0,0 +1,104 @@
+// Rolling conversation summaries. Older turns of a session are folded into a
+// running summary stored on the session document:
+//   session.summary = { text, coveredCount, tokenEstimate, promptVersion, updatedAt }
+// coveredCount is how many of the earliest session.messages the summary covers.
+// The client prepends the summary to the history it sends Gemini and drops the
+// covered messages, so early findings survive long analysis sessions.
+
+const { getSystemPrompt } = require('./prompts');
+const { CHAT_MODEL } = require('./geminiChat');
+
+// Newest messages that always stay verbatim (never folded into the summary)
+const KEEP_RECENT_MESSAGES = Math.max(2, parseInt(process.env.SUMMARY_KEEP_RECENT || '12', 10));
+// Only refresh once the unsummarized older turns are worth a model call
+const MIN_TOKENS_TO_FOLD = Math.max(0, parseInt(process.env.SUMMARY_MIN_TOKENS || '1500', 10));
+const MAX_CHARS_PER_MESSAGE = 4000;
+const IMAGE_TOKENS = 258; // Gemini's flat per-image cost
+
+/** Rough token count (~4 chars per token) plus a flat cost per attached image. */
+function estimateTokens(text, imageCount = 0) {
+  const chars = typeof text === 'string' ? text.length : 0;
+  return Math.ceil(chars / 4) + imageCount * IMAGE_TOKENS;
+}
+
+function messageTokens(m) {
+  if (Number.isFinite(m?.tokenEstimate)) return m.tokenEstimate;
+  const images = m?.imageData ? (Array.isArray(m.imageData) ? m.imageData.length : 1) : 0;
+  return estimateTokens(m?.content, images);
+}
+
+/** Summary fields returned to the client (or null when there is none yet). */
+function publicSummary(summary) {
+  if (!summary?.text) return null;
+  return {
+    text: summary.text,
+    coveredCount: summary.coveredCount || 0,
+    tokenEstimate: summary.tokenEstimate ?? estimateTokens(summary.text),
+    promptVersion: summary.promptVersion || null,
+    updatedAt: summary.updatedAt || null,
+  };
+}
+
+// Which messages to fold next: everything after the current summary except
+// the most recent KEEP_RECENT_MESSAGES. Returns null when not worth refreshing.
+function planRefresh(messages, summary) {
+  const from = summary?.coveredCount || 0;
+  const to = messages.length - KEEP_RECENT_MESSAGES;
+  if (to <= from) return null;
+  const pending = messages.slice(from, to);
+  const tokens = pending.reduce((sum, m) => sum + messageTokens(m), 0);
+  if (tokens < MIN_TOKENS_TO_FOLD) return null;
+  return { from, to, pending };
+}
+
+function transcript(messages) {
+  return messages
+    .map((m) => {
+      const text = String(m.content || '');
+      const body = text.length <= MAX_CHARS_PER_MESSAGE ? text : `${text.slice(0, MAX_CHARS_PER_MESSAGE)} [...]`;
+      const tools = (m.toolCalls || []).map((tc) => tc.name).filter(Boolean);
+      const toolNote = tools.length ? `\n(tools used: ${tools.join(', ')})` : '';
+      return `${m.role === 'user' ? 'USER' : 'ASSISTANT'}: ${body}${toolNote}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Fold the planned messages into the session summary with one Gemini call.
+ * Returns the new summary object to store, or null if nothing needed folding.
+ */
+async function refreshSummary(ai, messages, summary) {
+  const plan = planRefresh(messages, summary);
+  if (!plan) return null;
+
+  const prompt = getSystemPrompt('summary');
+  const previous = summary?.text ? `EXISTING SUMMARY:\n${summary.text}\n\n` : '';
+  const response = await ai.models.generateContent({
+    model: CHAT_MODEL,
+    contents: [{
+      role: 'user',
+      parts: [{ text: `${previous}NEW MESSAGES TO FOLD IN:\n${transcript(plan.pending)}` }],
+    }],
+    config: prompt.text ? { systemInstruction: prompt.text } : {},
+  });
+  const text = (response?.candidates?.[0]?.content?.parts || [])
+    .map((p) => (typeof p?.text === 'string' ? p.text : ''))
+    .join('')
+    .trim();
+  if (!text) throw new Error('Summary model returned no text');
+
+  return {
+    text,
+    coveredCount: plan.to,
+    tokenEstimate: estimateTokens(text),
+    promptVersion: prompt.version,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  messageTokens,
+  publicSummary,
+  refreshSummary,
+};
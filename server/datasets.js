@@ -0,0 +1,198 @@
+// Datasets loaded into a chat session (one CSV and/or one channel JSON each,
+// plus the Gemini text labels of the CSV), stored server-side so reopening the
+// session restores them.
+//
+// - `datasets` collection: one metadata doc per (sessionId, kind)
+//     { sessionId, username, kind, name, fileId, size, itemCount, channelTitle?, createdAt, updatedAt }
+// - GridFS bucket `datasetFiles`: the raw payload (CSV text, or the channel
+//   JSON { channelTitle, videos }, or the label_text cache { column, columns, topics, labels: { text: [sentiment, topic] } }),
+//   so large files aren't bound by Mongo's 16 MB doc limit.
+// - session.computedColumns: [{ name, expression }] derived CSV columns; the
+//   expressions are evaluated client-side, the server only checks their shape.
+
+const { GridFSBucket } = require('mongodb');
+
+const DATASET_KINDS = ['csv', 'channel', 'labels'];
+const DATASET_MAX_BYTES = Math.max(1, parseInt(process.env.DATASET_MAX_MB || '50', 10)) * 1024 * 1024;
+
+function datasetError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const MAX_COMPUTED_COLUMNS = 20;
+const MAX_COLUMN_NAME = 60;
+const MAX_EXPRESSION_LENGTH = 500;
+
+const bucketFor = (db) => new GridFSBucket(db, { bucketName: 'datasetFiles' });
+
+async function ensureDatasetIndexes(db) {
+  await db.collection('datasets').createIndex({ sessionId: 1, kind: 1 }, { unique: true });
+}
+
+// Validate the raw upload and pull out the metadata we list without reading the file.
+function describePayload(kind, text) {
+  if (typeof text !== 'string' || !text.trim()) throw datasetError('Dataset body is empty');
+  if (kind === 'csv') {
+    // Header row excluded; quoted newlines may overcount slightly, fine for display
+    const lines = text.split(/\r?\n/).filter((l) => l.trim()).length;
+    return { itemCount: Math.max(0, lines - 1) };
+  }
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw datasetError(`${kind === 'labels' ? 'Labels' : 'Channel'} dataset must be JSON`);
+  }
+  if (kind === 'labels') {
+    if (!data?.labels || typeof data.labels !== 'object') throw datasetError('Labels dataset must include a "labels" object');
+    return { itemCount: Object.keys(data.labels).length };
+  }
+  if (!Array.isArray(data?.videos)) throw datasetError('Channel dataset must include a "videos" array');
+  return { itemCount: data.videos.length, channelTitle: data.channelTitle || data.channel_title || '' };
+}
+
+function uploadText(db, filename, text, metadata) {
+  return new Promise((resolve, reject) => {
+    const upload = bucketFor(db).openUploadStream(filename, { metadata, contentType: 'text/plain' });
+    upload.once('error', reject);
+    upload.once('finish', () => resolve(upload.id));
+    upload.end(Buffer.from(text, 'utf8'));
+  });
+}
+
+async function downloadText(db, fileId) {
+  const chunks = [];
+  for await (const chunk of bucketFor(db).openDownloadStream(fileId)) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function removeFile(db, fileId) {
+  if (!fileId) return;
+  try {
+    await bucketFor(db).delete(fileId);
+  } catch (err) {
+    console.warn('[datasets] failed to delete file', String(fileId), err.message);
+  }
+}
+
+const publicMeta = (doc) => ({
+  kind: doc.kind,
+  name: doc.name,
+  size: doc.size,
+  itemCount: doc.itemCount,
+  ...(doc.kind === 'channel' && { channelTitle: doc.channelTitle || '' }),
+  updatedAt: doc.updatedAt,
+});
+
+/** Store (or replace) the session's dataset of this kind. Returns its metadata. */
+async function saveDataset(db, session, kind, name, text) {
+  if (!DATASET_KINDS.includes(kind)) throw datasetError(`kind must be one of ${DATASET_KINDS.join(', ')}`);
+  if (Buffer.byteLength(text || '', 'utf8') > DATASET_MAX_BYTES) {
+    throw datasetError(`Dataset exceeds ${DATASET_MAX_BYTES / 1024 / 1024} MB`, 413);
+  }
+  const info = describePayload(kind, text);
+  const defaultName = { csv: 'data.csv', channel: 'channel_data.json', labels: 'text_labels.json' }[kind];
+  const cleanName = String(name || defaultName).slice(0, 200);
+  const now = new Date().toISOString();
+  const fileId = await uploadText(db, cleanName, text, { sessionId: session._id, kind });
+
+  const previous = await db.collection('datasets').findOneAndUpdate(
+    { sessionId: session._id, kind },
+    {
+      $set: {
+        username: session.username,
+        name: cleanName,
+        fileId,
+        size: Buffer.byteLength(text, 'utf8'),
+        ...info,
+        updatedAt: now,
+      },
+      $setOnInsert: { createdAt: now },
+    },
+    { upsert: true, returnDocument: 'before' }
+  );
+  // Replaced an earlier upload of this kind: drop its file
+  if (previous?.fileId) await removeFile(db, previous.fileId);
+
+  const saved = await db.collection('datasets').findOne({ sessionId: session._id, kind });
+  return publicMeta(saved);
+}
+
+/**
+ * Every dataset of a session with its payload: csv → { text }, channel → { channelTitle, videos },
+ * labels → { column, columns, topics, labels, promptVersion }.
+ */
+async function loadDatasets(db, session) {
+  const docs = await db.collection('datasets').find({ sessionId: session._id }).toArray();
+  const out = [];
+  for (const doc of docs) {
+    try {
+      const text = await downloadText(db, doc.fileId);
+      if (doc.kind === 'csv') out.push({ ...publicMeta(doc), text });
+      else if (doc.kind === 'labels') {
+        const data = JSON.parse(text);
+        const { column, columns, topics = [], labels = {}, promptVersion = null } = data;
+        out.push({ ...publicMeta(doc), column, columns, topics, labels, promptVersion });
+      } else {
+        const data = JSON.parse(text);
+        out.push({ ...publicMeta(doc), channelTitle: doc.channelTitle || '', videos: data.videos || [] });
+      }
+    } catch (err) {
+      console.warn(`[datasets] failed to read ${doc.kind} dataset for session ${session._id}:`, err.message);
+    }
+  }
+  return out;
+}
+
+/** Metadata of every dataset of a session, without reading the files. */
+async function listDatasets(db, sessionId) {
+  const docs = await db.collection('datasets').find({ sessionId }).sort({ kind: 1 }).toArray();
+  return docs.map(publicMeta);
+}
+
+/** Delete one kind (or all datasets when kind is omitted) for a session. */
+async function deleteDatasets(db, sessionId, kind = null) {
+  const filter = kind ? { sessionId, kind } : { sessionId };
+  const docs = await db.collection('datasets').find(filter, { projection: { fileId: 1 } }).toArray();
+  await Promise.all(docs.map((d) => removeFile(db, d.fileId)));
+  const { deletedCount } = await db.collection('datasets').deleteMany(filter);
+  return deletedCount;
+}
+
+/** Validate a computed-column list from the client. Returns the cleaned list or throws (status 400). */
+function cleanComputedColumns(columns) {
+  if (!Array.isArray(columns)) throw datasetError('columns must be an array');
+  if (columns.length > MAX_COMPUTED_COLUMNS) throw datasetError(`At most ${MAX_COMPUTED_COLUMNS} computed columns`);
+  const seen = new Set();
+  return columns.map((c, i) => {
+    const name = typeof c?.name === 'string' ? c.name.trim() : '';
+    const expression = typeof c?.expression === 'string' ? c.expression.trim() : '';
+    if (!name || name.length > MAX_COLUMN_NAME) throw datasetError(`columns[${i}].name must be 1-${MAX_COLUMN_NAME} characters`);
+    if (!expression || expression.length > MAX_EXPRESSION_LENGTH) {
+      throw datasetError(`columns[${i}].expression must be 1-${MAX_EXPRESSION_LENGTH} characters`);
+    }
+    if (seen.has(name)) throw datasetError(`Duplicate computed column "${name}"`);
+    seen.add(name);
+    return { name, expression };
+  });
+}
+
+/** Replace the session's computed-column definitions. Returns the saved list. */
+async function saveComputedColumns(db, session, columns) {
+  const clean = cleanComputedColumns(columns);
+  await db.collection('sessions').updateOne({ _id: session._id }, { $set: { computedColumns: clean } });
+  return clean;
+}
+
+module.exports = {
+  DATASET_KINDS,
+  DATASET_MAX_BYTES,
+  ensureDatasetIndexes,
+  saveDataset,
+  loadDatasets,
+  listDatasets,
+  deleteDatasets,
+  saveComputedColumns,
+};
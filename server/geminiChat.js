@@ -0,0 +1,138 @@
+// Server-side Gemini chat proxy. The browser sends conversation `contents` and
+// the tool declarations it can execute; the server owns the API key and model.
+
+const { getSystemPrompt } = require('./prompts');
+
+const CHAT_MODEL = process.env.GEMINI_CHAT_MODEL || 'gemini-2.5-flash';
+const MAX_CONTENTS = 200;
+
+const ALLOWED_ROLES = new Set(['user', 'model']);
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function sanitizePart(p) {
+  if (!p || typeof p !== 'object') return null;
+  if (typeof p.text === 'string') return { text: p.text };
+  if (p.inlineData && typeof p.inlineData.data === 'string') {
+    return { inlineData: { mimeType: p.inlineData.mimeType || 'image/png', data: p.inlineData.data } };
+  }
+  if (p.functionCall && typeof p.functionCall.name === 'string') {
+    return {
+      functionCall: { name: p.functionCall.name, args: p.functionCall.args || {} },
+      ...(typeof p.thoughtSignature === 'string' && { thoughtSignature: p.thoughtSignature }),
+    };
+  }
+  if (p.functionResponse && typeof p.functionResponse.name === 'string') {
+    return { functionResponse: { name: p.functionResponse.name, response: p.functionResponse.response || {} } };
+  }
+  return null;
+}
+
+function sanitizeContents(contents) {
+  if (!Array.isArray(contents) || !contents.length) throw badRequest('contents must be a non-empty array');
+  if (contents.length > MAX_CONTENTS) throw badRequest(`contents exceeds ${MAX_CONTENTS} turns`);
+  return contents.map((c, i) => {
+    if (!ALLOWED_ROLES.has(c?.role)) throw badRequest(`contents[${i}].role must be "user" or "model"`);
+    const parts = (Array.isArray(c.parts) ? c.parts : []).map(sanitizePart).filter(Boolean);
+    if (!parts.length) throw badRequest(`contents[${i}] has no usable parts`);
+    return { role: c.role, parts };
+  });
+}
+
+// Only Google Search grounding and client-executed function declarations are proxied.
+function sanitizeTools(tools) {
+  if (!Array.isArray(tools)) return [];
+  const out = [];
+  for (const t of tools) {
+    if (t?.googleSearch) out.push({ googleSearch: {} });
+    else if (Array.isArray(t?.functionDeclarations) && t.functionDeclarations.length) {
+      out.push({ functionDeclarations: t.functionDeclarations });
+    }
+  }
+  return out;
+}
+
+// `mode` picks the system prompt (chat | csv | youtube, or a list such as
+// ['csv', 'youtube'] when both tool families are loaded); the client never sends prompt text.
+function buildRequest(body) {
+  const { contents, tools, mode } = body || {};
+  const cleanTools = sanitizeTools(tools);
+  const prompt = getSystemPrompt(mode);
+  const config = {};
+  if (cleanTools.length) config.tools = cleanTools;
+  if (prompt.text) config.systemInstruction = prompt.text;
+  return {
+    request: {
+      model: CHAT_MODEL,
+      contents: sanitizeContents(contents),
+      config,
+    },
+    promptVersion: prompt.version,
+  };
+}
+
+// Strip SDK objects down to the JSON the client needs.
+function serializeParts(parts) {
+  return (parts || [])
+    .map((p) => {
+      if (typeof p?.text === 'string') return { text: p.text };
+      if (p?.inlineData) return { inlineData: { mimeType: p.inlineData.mimeType, data: p.inlineData.data } };
+      if (p?.functionCall) {
+        return {
+          functionCall: { name: p.functionCall.name, args: p.functionCall.args || {} },
+          ...(p.thoughtSignature && { thoughtSignature: p.thoughtSignature }),
+        };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Streaming model turn. Calls onEvent with the same events the client-side
+ * streamChat generator yields: promptVersion (first), text, fullResponse, grounding,
+ * plus functionCall events ({ functionCall, thoughtSignature }) for tool turns.
+ * isCancelled() is polled between chunks so a closed connection stops the stream.
+ */
+async function streamChatTurn(ai, body, onEvent, isCancelled = () => false) {
+  const { request, promptVersion } = buildRequest(body);
+  onEvent({ type: 'promptVersion', version: promptVersion });
+  const stream = await ai.models.generateContentStream(request);
+  const allParts = [];
+  let grounding = null;
+
+  for await (const chunk of stream) {
+    if (isCancelled()) return;
+    const candidate = chunk?.candidates?.[0];
+    const parts = serializeParts(candidate?.content?.parts);
+    for (const part of parts) {
+      allParts.push(part);
+      if (part.text) onEvent({ type: 'text', text: part.text });
+      else if (part.functionCall) onEvent({ type: 'functionCall', ...part });
+    }
+    if (candidate?.groundingMetadata) grounding = candidate.groundingMetadata;
+  }
+
+  const hasImages = allParts.some((p) => p.inlineData?.mimeType?.startsWith('image/'));
+  if (hasImages) {
+    const structuredParts = allParts
+      .map((p) => {
+        if (p.text) return { type: 'text', text: p.text };
+        if (p.inlineData) return { type: 'image', mimeType: p.inlineData.mimeType, data: p.inlineData.data };
+        return null;
+      })
+      .filter(Boolean);
+    onEvent({ type: 'fullResponse', parts: structuredParts });
+  }
+
+  if (grounding) onEvent({ type: 'grounding', data: grounding });
+}
+
+module.exports = {
+  CHAT_MODEL,
+  streamChatTurn,
+};
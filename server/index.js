@@ -14,7 +14,7 @@ const app = express();
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
-// Strip surrounding quotes from env vars (e.g. REACT_APP_GEMINI_API_KEY="AIza...")
+// Strip surrounding quotes from env vars (e.g. GEMINI_API_KEY="AIza...")
 function stripEnvQuotes(s) {
   if (typeof s !== 'string') return s;
   const t = s.trim();
@@ -32,6 +32,8 @@ async function connect() {
   const client = await MongoClient.connect(URI);
   db = client.db(DB);
   console.log('MongoDB connected');
+  await ensureDatasetIndexes(db).catch((err) => console.warn('[datasets] index setup failed:', err.message));
+  await ensureScrapeJobIndexes(db).catch((err) => console.warn('[scrapeJobs] setup failed:', err.message));
 }
 
 app.get('/', (req, res) => {
@@ -49,34 +51,41 @@ app.get('/', (req, res) => {
   `);
 });
 
-const GEMINI_API_KEY = stripEnvQuotes(process.env.REACT_APP_GEMINI_API_KEY || process.env.GEMINI_API_KEY || '') || null;
+const GEMINI_API_KEY = stripEnvQuotes(process.env.GEMINI_API_KEY || process.env.REACT_APP_GEMINI_API_KEY || '') || null;
 const ai = GEMINI_API_KEY ? new GoogleGenAI({ apiKey: GEMINI_API_KEY }) : null;
-const { scrapeYouTubeChannelData } = require('./youtubeScrape');
-
-// Assignment-compatible download route (scraper only; no yt-dlp)
-app.post('/api/youtube/download-channel', async (req, res) => {
-  try {
-    const { channelUrl, maxVideos: rawMax } = req.body || {};
-    const maxVideos = Math.min(100, Math.max(1, parseInt(rawMax || '10', 10)));
-    if (!channelUrl || typeof channelUrl !== 'string') return res.status(400).json({ error: 'channelUrl required' });
-    const payload = await scrapeYouTubeChannelData(channelUrl, maxVideos);
-
-    res.setHeader('Content-Disposition', 'attachment; filename=channel_data.json');
-    return res.json(payload);
-  } catch (err) {
-    console.error('YouTube download-channel error:', err);
-    const msg = err.message || 'Failed to download channel data';
-    const status =
-      msg.includes('ytInitialData not found') || msg.includes('Invalid YouTube channel URL')
-        ? 400
-        : msg.includes('No videos found')
-          ? 404
-          : msg.includes('parse')
-            ? 400
-            : 500;
-    return res.status(status).json({ error: err.message || 'Failed to download channel data' });
-  }
-});
+const {
+  MAX_CHANNEL_VIDEOS,
+  CHANNEL_TAB_NAMES,
+  INVALID_CHANNEL_MESSAGE,
+  scrapeYouTubeChannelData,
+  parseChannelInput,
+} = require('./youtubeScrape');
+const { issueTokens, verifyToken, requireAuth } = require('./auth');
+const { streamChatTurn } = require('./geminiChat');
+const { getSystemPrompt } = require('./prompts');
+const { estimateTokens, messageTokens, publicSummary, refreshSummary } = require('./conversationSummary');
+const { labelTexts } = require('./textLabels');
+const { REPORT_FORMATS, buildSessionReport } = require('./sessionReport');
+const {
+  FINISHED_STATUSES,
+  ensureScrapeJobIndexes,
+  createScrapeJob,
+  getScrapeJob,
+  listScrapeJobs,
+  watchScrapeJob,
+  cancelScrapeJob,
+  readScrapeResult,
+} = require('./scrapeJobs');
+const {
+  DATASET_KINDS,
+  DATASET_MAX_BYTES,
+  ensureDatasetIndexes,
+  saveDataset,
+  loadDatasets,
+  listDatasets,
+  deleteDatasets,
+  saveComputedColumns,
+} = require('./datasets');
 
 app.get('/api/status', async (req, res) => {
   try {
@@ -147,18 +156,190 @@ app.post('/api/users/login', async (req, res) => {
       username: name,
       firstName: user.firstName || null,
       lastName: user.lastName || null,
+      ...issueTokens({ _id: user._id, username: name }),
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Exchange a refresh token for a fresh access/refresh pair.
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    let payload;
+    try {
+      payload = verifyToken(refreshToken, 'refresh');
+    } catch (err) {
+      return res.status(401).json({ error: err.message, code: err.code || 'TOKEN_INVALID' });
+    }
+    const user = await db.collection('users').findOne({ username: payload.sub });
+    if (!user) return res.status(401).json({ error: 'User not found', code: 'TOKEN_INVALID' });
+    res.json({ ok: true, ...issueTokens(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/tools/generateImage/ping', (req, res) => res.json({ ok: true }));
+
+// ── Auth guard: every /api route registered below requires a valid token ────
+
+app.use('/api', requireAuth);
+
+// Load a session by id and make sure the caller owns it. Sends the error
+// response itself and returns null when the session can't be used.
+async function findOwnedSession(req, res, sessionId) {
+  if (!sessionId || !ObjectId.isValid(sessionId)) {
+    res.status(400).json({ error: 'Invalid session id' });
+    return null;
+  }
+  const doc = await db.collection('sessions').findOne({ _id: new ObjectId(sessionId) });
+  if (!doc) {
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+  if (doc.username !== req.user.username) {
+    res.status(403).json({ error: 'You do not have access to this session', code: 'SESSION_FORBIDDEN' });
+    return null;
+  }
+  return doc;
+}
+
+// ── YouTube scraping ─────────────────────────────────────────────────────────
+
+// { channelUrl, maxVideos, tabs } from a request body, or { error } to send as a 400
+function scrapeOptionsFrom(body) {
+  const { channelUrl, maxVideos: rawMax, tabs = ['videos'] } = body || {};
+  if (!channelUrl || typeof channelUrl !== 'string') return { error: 'channelUrl required' };
+  if (!parseChannelInput(channelUrl)) return { error: INVALID_CHANNEL_MESSAGE };
+  if (!Array.isArray(tabs) || !tabs.length || tabs.some((t) => !CHANNEL_TAB_NAMES.includes(t))) {
+    return { error: `tabs must be a list of: ${CHANNEL_TAB_NAMES.join(', ')}` };
+  }
+  const parsedMax = parseInt(rawMax || '10', 10);
+  const maxVideos = Math.min(MAX_CHANNEL_VIDEOS, Math.max(1, Number.isFinite(parsedMax) ? parsedMax : 10));
+  return { channelUrl, maxVideos, tabs: [...new Set(tabs)] };
+}
+
+// Assignment-compatible download route (scraper only; no yt-dlp). Blocks until
+// the scrape finishes; the app uses the job routes below.
+app.post('/api/youtube/download-channel', async (req, res) => {
+  try {
+    const { error, channelUrl, maxVideos, tabs } = scrapeOptionsFrom(req.body);
+    if (error) return res.status(400).json({ error });
+    const payload = await scrapeYouTubeChannelData(channelUrl, maxVideos, {
+      tabs,
+      onProgress: (p) => {
+        if (p.phase === 'listing') console.log(`[download-channel] ${p.tab}: listed ${p.listed}/${p.target} videos (page ${p.pages})`);
+        else if (p.done % 10 === 0 || p.done === p.total) console.log(`[download-channel] details ${p.done}/${p.total}`);
+      },
+    });
+    const { counts, retried, elapsedMs } = payload.fetchSummary;
+    console.log(
+      `[download-channel] ${payload.videos.length} videos in ${elapsedMs} ms: ok=${counts.ok}, fallback=${counts.fallback}, skipped=${counts.skipped}, retried=${retried}`
+    );
+
+    res.setHeader('Content-Disposition', 'attachment; filename=channel_data.json');
+    return res.json(payload);
+  } catch (err) {
+    console.error('YouTube download-channel error:', err);
+    const msg = err.message || 'Failed to download channel data';
+    const status =
+      msg.includes('ytInitialData not found') || msg.includes('Invalid YouTube channel URL')
+        ? 400
+        : msg.includes('No videos found') || msg.includes('Channel has no') || msg.includes('Could not find the channel')
+          ? 404
+          : msg.includes('parse')
+            ? 400
+            : 500;
+    return res.status(status).json({ error: err.message || 'Failed to download channel data' });
+  }
+});
+
+// Background scrape jobs. Body as for download-channel; returns the job (202).
+app.post('/api/youtube/jobs', async (req, res) => {
+  try {
+    const { error, ...options } = scrapeOptionsFrom(req.body);
+    if (error) return res.status(400).json({ error });
+    res.status(202).json(await createScrapeJob(db, req.user.username, options));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+app.get('/api/youtube/jobs', async (req, res) => {
+  try {
+    res.json({ jobs: await listScrapeJobs(db, req.user.username) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/youtube/jobs/:id', async (req, res) => {
+  try {
+    res.json(await getScrapeJob(db, req.user.username, req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// Job progress as Server-Sent Events: data: {type:'progress', job}\n\n on every
+// change, then {type:'done', job} once it has finished. Closing the stream leaves the job running.
+app.get('/api/youtube/jobs/:id/events', async (req, res) => {
+  let closed = false;
+  let unsubscribe = () => {};
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    res.end();
+  };
+  res.on('close', finish);
+  try {
+    let started = false;
+    unsubscribe = await watchScrapeJob(db, req.user.username, req.params.id, (job) => {
+      if (closed) return;
+      if (!started) {
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+        started = true;
+      }
+      const done = FINISHED_STATUSES.includes(job.status);
+      res.write(`data: ${JSON.stringify({ type: done ? 'done' : 'progress', job })}\n\n`);
+      if (done) setImmediate(finish);
+    });
+    if (closed) unsubscribe();
+  } catch (err) {
+    if (!res.headersSent) res.status(err.status || 500).json({ error: err.message, code: err.code });
+    else finish();
+  }
+});
+
+app.post('/api/youtube/jobs/:id/cancel', async (req, res) => {
+  try {
+    res.json(await cancelScrapeJob(db, req.user.username, req.params.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, code: err.code });
+  }
+});
+
+// The finished channel JSON ({ channelId, channelTitle, tabs, fetchSummary, videos })
+app.get('/api/youtube/jobs/:id/result', async (req, res) => {
+  try {
+    const text = await readScrapeResult(db, req.user.username, req.params.id);
+    res.type('application/json').send(text);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message, code: err.code });
+  }
+});
+
 // ── Sessions ─────────────────────────────────────────────────────────────────
 
 app.get('/api/sessions', async (req, res) => {
   try {
-    const { username } = req.query;
-    if (!username) return res.status(400).json({ error: 'username required' });
+    const { username } = req.user;
     const sessions = await db
       .collection('sessions')
       .find({ username })
@@ -180,9 +361,8 @@ app.get('/api/sessions', async (req, res) => {
 
 app.post('/api/sessions', async (req, res) => {
   try {
-    const { username, agent } = req.body;
-    if (!username) return res.status(400).json({ error: 'username required' });
-    const { title } = req.body;
+    const { username } = req.user;
+    const { agent, title } = req.body;
     const result = await db.collection('sessions').insertOne({
       username,
       agent: agent || null,
@@ -198,7 +378,10 @@ app.post('/api/sessions', async (req, res) => {
 
 app.delete('/api/sessions/:id', async (req, res) => {
   try {
-    await db.collection('sessions').deleteOne({ _id: new ObjectId(req.params.id) });
+    const doc = await findOwnedSession(req, res, req.params.id);
+    if (!doc) return;
+    await db.collection('sessions').deleteOne({ _id: doc._id });
+    await deleteDatasets(db, doc._id);
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -208,8 +391,10 @@ app.delete('/api/sessions/:id', async (req, res) => {
 app.patch('/api/sessions/:id/title', async (req, res) => {
   try {
     const { title } = req.body;
+    const doc = await findOwnedSession(req, res, req.params.id);
+    if (!doc) return;
     await db.collection('sessions').updateOne(
-      { _id: new ObjectId(req.params.id) },
+      { _id: doc._id },
       { $set: { title } }
     );
     res.json({ ok: true });
@@ -218,28 +403,119 @@ app.patch('/api/sessions/:id/title', async (req, res) => {
   }
 });
 
+// ── Session datasets (CSV / channel JSON restored when a session reopens) ─────
+
+app.get('/api/sessions/:id/datasets', async (req, res) => {
+  try {
+    const doc = await findOwnedSession(req, res, req.params.id);
+    if (!doc) return;
+    res.json({ datasets: await loadDatasets(db, doc), computedColumns: doc.computedColumns || [] });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Body is the raw dataset as text/plain (CSV text, or channel JSON
+// { channelTitle, videos }) so large files skip the 10 MB JSON body limit.
+app.put(
+  '/api/sessions/:id/datasets/:kind',
+  express.text({ type: 'text/plain', limit: DATASET_MAX_BYTES }),
+  async (req, res) => {
+    try {
+      const { kind } = req.params;
+      if (!DATASET_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `kind must be one of ${DATASET_KINDS.join(', ')}` });
+      }
+      const doc = await findOwnedSession(req, res, req.params.id);
+      if (!doc) return;
+      const dataset = await saveDataset(db, doc, kind, req.query.name, req.body);
+      res.json({ ok: true, dataset });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+app.delete('/api/sessions/:id/datasets/:kind', async (req, res) => {
+  try {
+    const doc = await findOwnedSession(req, res, req.params.id);
+    if (!doc) return;
+    let deleted = await deleteDatasets(db, doc._id, req.params.kind);
+    // Computed columns and text labels belong to the CSV
+    if (req.params.kind === 'csv') {
+      deleted += await deleteDatasets(db, doc._id, 'labels');
+      await db.collection('sessions').updateOne({ _id: doc._id }, { $unset: { computedColumns: '' } });
+    }
+    res.json({ ok: true, deleted });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Body: { columns: [{ name, expression }] } — replaces the whole list.
+app.put('/api/sessions/:id/computed-columns', async (req, res) => {
+  try {
+    const doc = await findOwnedSession(req, res, req.params.id);
+    if (!doc) return;
+    const computedColumns = await saveComputedColumns(db, doc, req.body?.columns);
+    res.json({ ok: true, computedColumns });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ── Session export ───────────────────────────────────────────────────────────
+
+// ?format=html (default) | md — the whole session as a self-contained report
+// with static charts, tables and a tool-call appendix, sent as a download.
+app.get('/api/sessions/:id/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'html';
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${REPORT_FORMATS.join(', ')}` });
+    }
+    const doc = await findOwnedSession(req, res, req.params.id);
+    if (!doc) return;
+    const report = buildSessionReport(doc, await listDatasets(db, doc._id), format);
+    res.set({
+      'Content-Type': report.contentType,
+      'Content-Disposition': `attachment; filename="${report.fileName}"`,
+      'Access-Control-Expose-Headers': 'Content-Disposition',
+    });
+    res.send(report.body);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ── Messages ─────────────────────────────────────────────────────────────────
 
 app.post('/api/messages', async (req, res) => {
   try {
-    const { session_id, role, content, imageData, charts, toolCalls } = req.body;
+    const { session_id, role, content, imageData, charts, toolCalls, promptVersion } = req.body;
     if (!session_id || !role || content === undefined)
       return res.status(400).json({ error: 'session_id, role, content required' });
+    const doc = await findOwnedSession(req, res, session_id);
+    if (!doc) return;
+    const images = imageData ? (Array.isArray(imageData) ? imageData : [imageData]) : null;
     const msg = {
       role,
       content,
       timestamp: new Date().toISOString(),
-      ...(imageData && {
-        imageData: Array.isArray(imageData) ? imageData : [imageData],
-      }),
+      tokenEstimate: estimateTokens(content, images?.length || 0),
+      ...(images && { imageData: images }),
       ...(charts?.length && { charts }),
       ...(toolCalls?.length && { toolCalls }),
+      ...(typeof promptVersion === 'string' && promptVersion && { promptVersion }),
     };
-    await db.collection('sessions').updateOne(
-      { _id: new ObjectId(session_id) },
-      { $push: { messages: msg } }
+    // seq = position in session.messages (what summary.coveredCount counts), read
+    // from the updated doc so concurrent saves get distinct positions
+    const updated = await db.collection('sessions').findOneAndUpdate(
+      { _id: doc._id },
+      { $push: { messages: msg } },
+      { returnDocument: 'after', projection: { messageCount: { $size: '$messages' } } }
     );
-    res.json({ ok: true });
+    res.json({ ok: true, seq: (updated?.messageCount ?? 1) - 1, tokenEstimate: msg.tokenEstimate });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -249,9 +525,8 @@ app.get('/api/messages', async (req, res) => {
   try {
     const { session_id } = req.query;
     if (!session_id) return res.status(400).json({ error: 'session_id required' });
-    const doc = await db
-      .collection('sessions')
-      .findOne({ _id: new ObjectId(session_id) });
+    const doc = await findOwnedSession(req, res, session_id);
+    if (!doc) return;
     const raw = doc?.messages || [];
     const msgs = raw.map((m, i) => {
       const arr = m.imageData
@@ -261,6 +536,7 @@ app.get('/api/messages', async (req, res) => {
         : [];
       return {
         id: `${doc._id}-${i}`,
+        seq: i,
         role: m.role,
         content: m.content,
         timestamp: m.timestamp,
@@ -269,6 +545,8 @@ app.get('/api/messages', async (req, res) => {
           : undefined,
         charts: m.charts?.length ? m.charts : undefined,
         toolCalls: m.toolCalls?.length ? m.toolCalls : undefined,
+        promptVersion: m.promptVersion || undefined,
+        tokenEstimate: messageTokens(m),
       };
     });
     res.json(msgs);
@@ -335,12 +613,14 @@ async function handleGenerateImage(req, res) {
       : ['gemini-2.5-flash-image', 'gemini-3-pro-image-preview'];
     const backendTimeoutMs = Math.max(10000, parseInt(process.env.IMAGE_TIMEOUT_MS || '65000', 10));
 
+    const imagePrompt = getSystemPrompt('image');
     const runModelOnce = async (modelName) => Promise.race([
       ai.models.generateContent({
         model: modelName,
         contents: [{ role: 'user', parts }],
         config: {
           response_modalities: ['IMAGE'],
+          ...(imagePrompt.text && { systemInstruction: imagePrompt.text }),
         },
       }),
       new Promise((_, reject) => {
@@ -395,6 +675,7 @@ async function handleGenerateImage(req, res) {
       imageBase64,
       mimeType: 'image/png',
       modelUsed,
+      promptVersion: imagePrompt.version,
       build: BUILD_VERSION,
     });
   } catch (err) {
@@ -414,7 +695,104 @@ async function handleGenerateImage(req, res) {
 
 app.post('/api/generate-image', handleGenerateImage);
 app.post('/api/tools/generateImage', handleGenerateImage);
-app.get('/api/tools/generateImage/ping', (req, res) => res.json({ ok: true }));
+
+// ── Gemini chat proxy ────────────────────────────────────────────────────────
+// The browser never sees the API key: it sends `contents` + tool declarations
+// and the server forwards them to Gemini.
+
+function requireGemini(res) {
+  if (!GEMINI_API_KEY) {
+    res.status(503).json({ error: 'Gemini API key not configured', code: 'GEMINI_KEY_NOT_CONFIGURED' });
+    return false;
+  }
+  if (!ai) {
+    res.status(503).json({ error: 'Gemini client unavailable', code: 'GEMINI_CLIENT_UNAVAILABLE' });
+    return false;
+  }
+  return true;
+}
+
+// Streaming model turn as Server-Sent Events: data: {type, ...}\n\n, ending with {type:'done'}.
+app.post('/api/chat/stream', async (req, res) => {
+  if (!requireGemini(res)) return;
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  const send = (event) => {
+    if (!closed) res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+  try {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+    await streamChatTurn(ai, req.body, send, () => closed);
+    send({ type: 'done' });
+  } catch (err) {
+    console.error('[chat/stream] error:', err?.message || err);
+    send({ type: 'error', error: err.message || 'Gemini request failed', status: err.status || 502 });
+  } finally {
+    res.end();
+  }
+});
+
+// ── Text labels ──────────────────────────────────────────────────────────────
+
+// Body: { texts: [string], topics?: [string] } (at most 500 texts). Returns
+// { topics, labels: [{ sentiment, topic } | null], promptVersion } aligned with texts.
+app.post('/api/text-labels', async (req, res) => {
+  if (!requireGemini(res)) return;
+  try {
+    res.json(await labelTexts(ai, req.body));
+  } catch (err) {
+    console.error('[text-labels] error:', err?.message || err);
+    res.status(err.status || 502).json({ error: err.message || 'Labelling failed' });
+  }
+});
+
+// ── Conversation summaries ───────────────────────────────────────────────────
+
+app.get('/api/sessions/:id/summary', async (req, res) => {
+  try {
+    const doc = await findOwnedSession(req, res, req.params.id);
+    if (!doc) return;
+    const messages = doc.messages || [];
+    res.json({
+      summary: publicSummary(doc.summary),
+      messageCount: messages.length,
+      tokenEstimate: messages.reduce((sum, m) => sum + messageTokens(m), 0),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Fold older turns into the rolling summary when enough have piled up.
+// Cheap no-op (refreshed: false) when there is nothing worth summarizing.
+app.post('/api/sessions/:id/summary', async (req, res) => {
+  try {
+    const doc = await findOwnedSession(req, res, req.params.id);
+    if (!doc) return;
+    if (!requireGemini(res)) return;
+    const next = await refreshSummary(ai, doc.messages || [], doc.summary);
+    if (!next) return res.json({ summary: publicSummary(doc.summary), refreshed: false });
+
+    // Only write if no concurrent refresh already moved the summary forward
+    const result = await db.collection('sessions').updateOne(
+      { _id: doc._id, 'summary.coveredCount': doc.summary?.coveredCount ?? null },
+      { $set: { summary: next } }
+    );
+    if (!result.matchedCount) {
+      const fresh = await db.collection('sessions').findOne({ _id: doc._id }, { projection: { summary: 1 } });
+      return res.json({ summary: publicSummary(fresh?.summary), refreshed: false });
+    }
+    res.json({ summary: publicSummary(next), refreshed: true });
+  } catch (err) {
+    console.error('[summary] refresh failed:', err?.message || err);
+    res.status(err.status || 502).json({ error: err.message || 'Summary refresh failed' });
+  }
+});
 
 // ─────────────────────────────────────────────────────────────────────────────
 
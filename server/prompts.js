@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+// System prompts live in server/prompts/ as versioned text files. manifest.json
+// maps each chat mode to the version that is currently live, e.g.
+//   { "csv": { "version": "csv-v2", "file": "csv.v2.txt" } }
+// To change a prompt, add a new file + bump the manifest entry; old files stay
+// so messages saved with an older promptVersion can still be traced back.
+
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+const MANIFEST_PATH = path.join(PROMPTS_DIR, 'manifest.json');
+const PROMPT_MODES = ['chat', 'csv', 'youtube', 'image', 'summary', 'labels'];
+
+// Re-read files only when they change on disk, so edits apply on the next message.
+const fileCache = new Map();
+
+function readCached(filePath) {
+  const { mtimeMs } = fs.statSync(filePath);
+  const hit = fileCache.get(filePath);
+  if (hit && hit.mtimeMs === mtimeMs) return hit.text;
+  const text = fs.readFileSync(filePath, 'utf8');
+  fileCache.set(filePath, { mtimeMs, text });
+  return text;
+}
+
+function loadManifest() {
+  return JSON.parse(readCached(MANIFEST_PATH));
+}
+
+function loadPrompt(key) {
+  try {
+    const entry = loadManifest()[key];
+    if (!entry?.file) return { mode: key, version: null, text: '' };
+    const text = readCached(path.join(PROMPTS_DIR, path.basename(entry.file))).trim();
+    return { mode: key, version: entry.version || null, text };
+  } catch (err) {
+    console.warn(`[prompts] failed to load prompt for mode=${key}:`, err.message);
+    return { mode: key, version: null, text: '' };
+  }
+}
+
+/**
+ * Current system prompt for a mode. Returns { mode, version, text }.
+ * Unknown modes fall back to 'chat'. A missing file yields empty text so the
+ * chat still works without instructions.
+ *
+ * `mode` may also be a list (e.g. ['csv', 'youtube']) when one agent has
+ * several tool families loaded: the 'multi' preamble is followed by each
+ * mode's prompt, and the version joins the parts ("multi-v1+csv-v1+youtube-v1").
+ */
+function getSystemPrompt(mode) {
+  const modes = (Array.isArray(mode) ? mode : [mode]).filter((m) => PROMPT_MODES.includes(m));
+  const unique = [...new Set(modes)];
+  if (unique.length <= 1) return loadPrompt(unique[0] || 'chat');
+
+  const parts = [loadPrompt('multi'), ...unique.map(loadPrompt)];
+  return {
+    mode: unique.join('+'),
+    version: parts.every((p) => p.version) ? parts.map((p) => p.version).join('+') : null,
+    text: parts.map((p) => p.text).filter(Boolean).join('\n\n---\n\n'),
+  };
+}
+
+module.exports = {
+  PROMPT_MODES,
+  getSystemPrompt,
+};
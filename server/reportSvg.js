@@ -0,0 +1,206 @@
+// Static SVG charts for exported session reports (server/sessionReport.js).
+// The chat renders tool payloads with recharts in the browser; a report has to
+// open anywhere without JavaScript, so the same payloads are drawn here as
+// plain SVG strings in the app's palette. Each chart returns a complete <svg>.
+
+const WIDTH = 640;
+const HEIGHT = 280;
+const MARGIN = { top: 24, right: 20, bottom: 58, left: 60 };
+const MAX_X_LABELS = 12;
+
+const SAGE = '#9caf88';
+const PISTACHIO = '#b8d4a8';
+const ROSE = '#d9778a';
+const GRID = 'rgba(156, 175, 136, 0.25)';
+const TEXT = '#5b5b5b';
+const GROUP_COLORS = ['#9caf88', '#c97b84', '#7fa7c9', '#e0b060', '#a58cc9', '#6fb3a8', '#d99a6c', '#8c8c8c'];
+
+const escapeXml = (s) =>
+  String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/** 1234567 → "1.2M", 0.01234 → "0.0123" (axis labels). */
+function shortNumber(v) {
+  if (!Number.isFinite(v)) return '';
+  const abs = Math.abs(v);
+  if (abs >= 1e9) return `${+(v / 1e9).toFixed(1)}B`;
+  if (abs >= 1e6) return `${+(v / 1e6).toFixed(1)}M`;
+  if (abs >= 1e4) return `${+(v / 1e3).toFixed(1)}K`;
+  if (abs >= 100 || abs === 0) return String(Math.round(v));
+  return String(+v.toPrecision(3));
+}
+
+const shortDate = (ms) => {
+  const d = new Date(ms);
+  return Number.isNaN(d.getTime()) ? '' : d.toISOString().slice(0, 10);
+};
+
+function extent(values) {
+  const finite = values.filter(Number.isFinite);
+  if (!finite.length) return [0, 1];
+  let min = Math.min(...finite);
+  let max = Math.max(...finite);
+  if (min === max) {
+    min -= Math.abs(min) * 0.1 || 1;
+    max += Math.abs(max) * 0.1 || 1;
+  }
+  return [min, max];
+}
+
+const linear = ([d0, d1], [r0, r1]) => (v) => r0 + ((v - d0) / (d1 - d0)) * (r1 - r0);
+
+function svgFrame(title, body, height = HEIGHT) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${height}" width="${WIDTH}" height="${height}" font-family="Inter, Arial, sans-serif" font-size="10" role="img"><title>${escapeXml(title)}</title><rect width="${WIDTH}" height="${height}" fill="#fff"/>${body}</svg>`;
+}
+
+// Horizontal grid lines with labels on the left axis
+function yAxis(scale, [min, max], format = shortNumber) {
+  let out = '';
+  for (let i = 0; i <= 4; i++) {
+    const v = min + ((max - min) * i) / 4;
+    const y = round1(scale(v));
+    out += `<line x1="${MARGIN.left}" x2="${WIDTH - MARGIN.right}" y1="${y}" y2="${y}" stroke="${GRID}"/>`;
+    out += `<text x="${MARGIN.left - 6}" y="${y + 3}" text-anchor="end" fill="${TEXT}">${escapeXml(format(v))}</text>`;
+  }
+  return out;
+}
+
+function xLabel(x, text) {
+  const y = HEIGHT - MARGIN.bottom + 12;
+  return `<text x="${round1(x)}" y="${y}" text-anchor="end" fill="${TEXT}" transform="rotate(-30 ${round1(x)} ${y})">${escapeXml(String(text).slice(0, 24))}</text>`;
+}
+
+function legend(items) {
+  return items
+    .map(({ name, color }, i) => {
+      const x = MARGIN.left + i * 130;
+      return `<rect x="${x}" y="3" width="10" height="10" rx="2" fill="${escapeXml(color)}"/><text x="${x + 14}" y="12" fill="${TEXT}">${escapeXml(String(name).slice(0, 18))}</text>`;
+    })
+    .join('');
+}
+
+/**
+ * Line over a numeric x (epoch ms when dates is true).
+ * points: [{ x, y, highlight? }] — highlighted points are drawn larger in rose.
+ */
+function lineChart(title, points, { dates = true } = {}) {
+  const pts = points.filter((p) => Number.isFinite(p.x) && Number.isFinite(p.y)).sort((a, b) => a.x - b.x);
+  if (pts.length < 2) return null;
+  const xDomain = extent(pts.map((p) => p.x));
+  const yDomain = extent(pts.map((p) => p.y));
+  const sx = linear(xDomain, [MARGIN.left, WIDTH - MARGIN.right]);
+  const sy = linear(yDomain, [HEIGHT - MARGIN.bottom, MARGIN.top]);
+
+  let body = yAxis(sy, yDomain);
+  for (let i = 0; i < 6; i++) {
+    const v = xDomain[0] + ((xDomain[1] - xDomain[0]) * i) / 5;
+    body += xLabel(sx(v), dates ? shortDate(v) : shortNumber(v));
+  }
+  body += `<polyline fill="none" stroke="${SAGE}" stroke-width="2" points="${pts.map((p) => `${round1(sx(p.x))},${round1(sy(p.y))}`).join(' ')}"/>`;
+  const showDots = pts.length <= 120;
+  pts.forEach((p) => {
+    if (p.highlight) body += `<circle cx="${round1(sx(p.x))}" cy="${round1(sy(p.y))}" r="5" fill="${ROSE}"/>`;
+    else if (showDots) body += `<circle cx="${round1(sx(p.x))}" cy="${round1(sy(p.y))}" r="2.5" fill="#fff" stroke="${SAGE}" stroke-width="1.5"/>`;
+  });
+  return svgFrame(title, body);
+}
+
+/** Vertical bars per category; several series are drawn side by side. series: [{ name, values, color? }] */
+function barChart(title, labels, series) {
+  if (!labels.length || !series.length) return null;
+  const all = series.flatMap((s) => s.values).filter(Number.isFinite);
+  if (!all.length) return null;
+  const yDomain = [Math.min(0, ...all), Math.max(0, ...all)];
+  if (yDomain[0] === yDomain[1]) yDomain[1] = 1;
+  const sy = linear(yDomain, [HEIGHT - MARGIN.bottom, MARGIN.top]);
+  const band = (WIDTH - MARGIN.left - MARGIN.right) / labels.length;
+  const barWidth = Math.max(1, (band * 0.8) / series.length);
+  const labelEvery = Math.ceil(labels.length / MAX_X_LABELS);
+
+  let body = yAxis(sy, yDomain);
+  labels.forEach((label, i) => {
+    const x0 = MARGIN.left + i * band + band * 0.1;
+    series.forEach((s, si) => {
+      const v = s.values[i];
+      if (!Number.isFinite(v)) return;
+      const y = sy(Math.max(v, 0));
+      const h = Math.abs(sy(v) - sy(0));
+      body += `<rect x="${round1(x0 + si * barWidth)}" y="${round1(y)}" width="${round1(barWidth)}" height="${round1(Math.max(h, 0.5))}" rx="2" fill="${escapeXml(s.color || GROUP_COLORS[si % GROUP_COLORS.length])}"/>`;
+    });
+    if (i % labelEvery === 0) body += xLabel(MARGIN.left + (i + 0.5) * band + 4, label);
+  });
+  if (series.length > 1) body += legend(series.map((s, si) => ({ name: s.name, color: s.color || GROUP_COLORS[si % GROUP_COLORS.length] })));
+  return svgFrame(title, body);
+}
+
+/** x vs y points colored by group, with an optional trend line [{ x, y }, { x, y }]. */
+function scatterChart(title, points, { trend = null } = {}) {
+  const pts = points.filter((p) => Number.isFinite(p.x) && Number.isFinite(p.y));
+  if (!pts.length) return null;
+  const xDomain = extent([...pts.map((p) => p.x), ...(trend || []).map((p) => p.x)]);
+  const yDomain = extent([...pts.map((p) => p.y), ...(trend || []).map((p) => p.y)]);
+  const sx = linear(xDomain, [MARGIN.left, WIDTH - MARGIN.right]);
+  const sy = linear(yDomain, [HEIGHT - MARGIN.bottom, MARGIN.top]);
+  const groups = [...new Set(pts.map((p) => p.group ?? null))];
+  const colorOf = (g) => GROUP_COLORS[groups.indexOf(g) % GROUP_COLORS.length];
+
+  let body = yAxis(sy, yDomain);
+  for (let i = 0; i < 6; i++) {
+    const v = xDomain[0] + ((xDomain[1] - xDomain[0]) * i) / 5;
+    body += xLabel(sx(v), shortNumber(v));
+  }
+  pts.forEach((p) => {
+    body += `<circle cx="${round1(sx(p.x))}" cy="${round1(sy(p.y))}" r="3" fill="${colorOf(p.group ?? null)}" fill-opacity="0.7"/>`;
+  });
+  if (trend?.length === 2) {
+    const [a, b] = trend;
+    body += `<line x1="${round1(sx(a.x))}" y1="${round1(sy(a.y))}" x2="${round1(sx(b.x))}" y2="${round1(sy(b.y))}" stroke="${ROSE}" stroke-width="2"/>`;
+  }
+  if (groups.length > 1) body += legend(groups.slice(0, 4).map((g) => ({ name: g, color: colorOf(g) })));
+  return svgFrame(title, body);
+}
+
+/**
+ * Grid of shaded cells. value(row, col) → number | null. Diverging scales
+ * (correlations, −1..1) shade positive sage and negative rose.
+ */
+function heatmap(title, rowLabels, colLabels, value, { diverging = false, showValues = false } = {}) {
+  const values = rowLabels.flatMap((_, r) => colLabels.map((__, c) => value(r, c))).filter(Number.isFinite);
+  if (!values.length) return null;
+  const max = diverging ? 1 : Math.max(...values) || 1;
+  const left = 110;
+  const top = 8;
+  const cellW = Math.min(48, (WIDTH - left - 10) / colLabels.length);
+  const cellH = Math.min(28, 200 / rowLabels.length);
+  const height = top + rowLabels.length * cellH + 70;
+  const labelEvery = Math.ceil(colLabels.length / 24);
+
+  let body = '';
+  rowLabels.forEach((rowLabel, r) => {
+    const y = top + r * cellH;
+    body += `<text x="${left - 6}" y="${round1(y + cellH / 2 + 3)}" text-anchor="end" fill="${TEXT}">${escapeXml(String(rowLabel).slice(0, 18))}</text>`;
+    colLabels.forEach((_, c) => {
+      const v = value(r, c);
+      const x = left + c * cellW;
+      let fill = '#f4f4f0';
+      if (Number.isFinite(v)) {
+        const alpha = Math.min(1, 0.08 + 0.92 * (Math.abs(v) / max));
+        fill = diverging && v < 0 ? `rgba(217, 119, 138, ${alpha.toFixed(2)})` : `rgba(156, 175, 136, ${alpha.toFixed(2)})`;
+      }
+      body += `<rect x="${round1(x)}" y="${round1(y)}" width="${round1(cellW - 1)}" height="${round1(cellH - 1)}" fill="${fill}"/>`;
+      if (showValues && Number.isFinite(v)) {
+        body += `<text x="${round1(x + cellW / 2)}" y="${round1(y + cellH / 2 + 3)}" text-anchor="middle" fill="#333">${escapeXml(v.toFixed(2))}</text>`;
+      }
+    });
+  });
+  const labelY = top + rowLabels.length * cellH + 12;
+  colLabels.forEach((label, c) => {
+    if (c % labelEvery) return;
+    const x = round1(left + (c + 0.5) * cellW + 3);
+    body += `<text x="${x}" y="${labelY}" text-anchor="end" fill="${TEXT}" transform="rotate(-30 ${x} ${labelY})">${escapeXml(String(label).slice(0, 18))}</text>`;
+  });
+  return svgFrame(title, body, height);
+}
+
+module.exports = { PISTACHIO, SAGE, ROSE, escapeXml, lineChart, barChart, scatterChart, heatmap };
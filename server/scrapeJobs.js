@@ -0,0 +1,257 @@
+// Channel scrapes run as background jobs so the browser can follow their
+// progress, cancel them, and fetch the result later (even after a reload).
+//
+// - `scrapeJobs` collection: one doc per job
+//     { username, channelUrl, maxVideos, tabs, status, progress, error?, summary?,
+//       resultFileId?, createdAt, updatedAt, finishedAt? }
+// - GridFS bucket `scrapeResults`: the finished channel JSON (transcripts make
+//   it too large for a document).
+// - Running jobs also live in memory with their AbortController and progress
+//   listeners; jobs a restart left running are marked failed at startup.
+
+const { GridFSBucket, ObjectId } = require('mongodb');
+const { scrapeYouTubeChannelData } = require('./youtubeScrape');
+
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+const MAX_RUNNING_PER_USER = 2;
+const MAX_KEPT_PER_USER = 20;
+// Progress is pushed to listeners on every event but written to Mongo at most this often
+const PROGRESS_WRITE_MS = 2000;
+
+const running = new Map(); // job id → { doc, controller, listeners: Set }
+
+function jobError(message, status = 400, code) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  return err;
+}
+
+const bucketFor = (db) => new GridFSBucket(db, { bucketName: 'scrapeResults' });
+
+async function ensureScrapeJobIndexes(db) {
+  await db.collection('scrapeJobs').createIndex({ username: 1, createdAt: -1 });
+  const now = new Date().toISOString();
+  await db.collection('scrapeJobs').updateMany(
+    { status: { $nin: FINISHED_STATUSES } },
+    { $set: { status: 'failed', error: 'The server restarted before the scrape finished', updatedAt: now, finishedAt: now } }
+  );
+}
+
+const emptyProgress = () => ({
+  phase: 'listing',
+  tab: null,
+  listed: 0,
+  listedByTab: {},
+  detailsDone: 0,
+  detailsTotal: 0,
+  transcripts: 0,
+});
+
+const publicJob = (doc) => ({
+  id: String(doc._id),
+  channelUrl: doc.channelUrl,
+  maxVideos: doc.maxVideos,
+  tabs: doc.tabs,
+  status: doc.status,
+  progress: doc.progress,
+  error: doc.error || null,
+  summary: doc.summary || null,
+  hasResult: Boolean(doc.resultFileId),
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt,
+  finishedAt: doc.finishedAt || null,
+});
+
+// Fold one scraper progress event into the job's counters
+function applyProgress(progress, event) {
+  if (event.phase === 'listing') {
+    progress.phase = 'listing';
+    progress.tab = event.tab || null;
+    progress.listedByTab[event.tab || 'videos'] = event.listed;
+    progress.listed = Object.values(progress.listedByTab).reduce((a, b) => a + b, 0);
+  } else if (event.phase === 'details') {
+    progress.phase = 'details';
+    progress.detailsDone = event.done;
+    progress.detailsTotal = event.total;
+    if (event.transcript) progress.transcripts++;
+  }
+}
+
+function uploadResult(db, jobId, text) {
+  return new Promise((resolve, reject) => {
+    const upload = bucketFor(db).openUploadStream(`${jobId}.json`, { metadata: { jobId }, contentType: 'application/json' });
+    upload.once('error', reject);
+    upload.once('finish', () => resolve(upload.id));
+    upload.end(Buffer.from(text, 'utf8'));
+  });
+}
+
+async function removeResult(db, fileId) {
+  if (!fileId) return;
+  try {
+    await bucketFor(db).delete(fileId);
+  } catch (err) {
+    console.warn('[scrapeJobs] failed to delete result', String(fileId), err.message);
+  }
+}
+
+// Keep the newest MAX_KEPT_PER_USER finished jobs of a user
+async function pruneJobs(db, username) {
+  const old = await db
+    .collection('scrapeJobs')
+    .find({ username, status: { $in: FINISHED_STATUSES } }, { projection: { resultFileId: 1 } })
+    .sort({ createdAt: -1 })
+    .skip(MAX_KEPT_PER_USER)
+    .toArray();
+  if (!old.length) return;
+  await Promise.all(old.map((d) => removeResult(db, d.resultFileId)));
+  await db.collection('scrapeJobs').deleteMany({ _id: { $in: old.map((d) => d._id) } });
+}
+
+async function runJob(db, job) {
+  const { doc, controller, listeners } = job;
+  let lastWrite = 0;
+  const notify = () => {
+    const snapshot = publicJob(doc);
+    for (const fn of listeners) fn(snapshot);
+  };
+  const save = (fields) =>
+    db.collection('scrapeJobs').updateOne({ _id: doc._id }, { $set: fields })
+      .catch((err) => console.warn(`[scrapeJobs] failed to save job ${doc._id}:`, err.message));
+
+  try {
+    const payload = await scrapeYouTubeChannelData(doc.channelUrl, doc.maxVideos, {
+      tabs: doc.tabs,
+      signal: controller.signal,
+      onProgress: (event) => {
+        applyProgress(doc.progress, event);
+        doc.updatedAt = new Date().toISOString();
+        notify();
+        if (Date.now() - lastWrite >= PROGRESS_WRITE_MS) {
+          lastWrite = Date.now();
+          save({ progress: doc.progress, updatedAt: doc.updatedAt });
+        }
+      },
+    });
+    doc.resultFileId = await uploadResult(db, String(doc._id), JSON.stringify(payload));
+    doc.summary = {
+      channelId: payload.channelId,
+      channelTitle: payload.channelTitle,
+      channelHandle: payload.channelHandle,
+      videoCount: payload.videos.length,
+      tabs: payload.tabs,
+      fetch: { counts: payload.fetchSummary.counts, retried: payload.fetchSummary.retried, elapsedMs: payload.fetchSummary.elapsedMs },
+    };
+    doc.status = 'done';
+  } catch (err) {
+    if (controller.signal.aborted) doc.status = 'cancelled';
+    else {
+      console.error(`[scrapeJobs] job ${doc._id} failed:`, err?.message || err);
+      doc.status = 'failed';
+      doc.error = err?.message || 'Scrape failed';
+    }
+  }
+  doc.updatedAt = new Date().toISOString();
+  doc.finishedAt = doc.updatedAt;
+  running.delete(String(doc._id));
+  await save({
+    status: doc.status,
+    progress: doc.progress,
+    error: doc.error || null,
+    summary: doc.summary || null,
+    resultFileId: doc.resultFileId || null,
+    updatedAt: doc.updatedAt,
+    finishedAt: doc.finishedAt,
+  });
+  notify();
+  listeners.clear();
+}
+
+/** Start a scrape in the background. options: { channelUrl, maxVideos, tabs } (already validated). */
+async function createScrapeJob(db, username, { channelUrl, maxVideos, tabs }) {
+  const active = [...running.values()].filter((j) => j.doc.username === username).length;
+  if (active >= MAX_RUNNING_PER_USER) {
+    throw jobError(`At most ${MAX_RUNNING_PER_USER} channel downloads can run at once`, 429, 'TOO_MANY_JOBS');
+  }
+  const now = new Date().toISOString();
+  const doc = {
+    username,
+    channelUrl,
+    maxVideos,
+    tabs,
+    status: 'running',
+    progress: emptyProgress(),
+    createdAt: now,
+    updatedAt: now,
+  };
+  const { insertedId } = await db.collection('scrapeJobs').insertOne(doc);
+  doc._id = insertedId;
+  const job = { doc, controller: new AbortController(), listeners: new Set() };
+  running.set(String(insertedId), job);
+  runJob(db, job).catch((err) => console.error(`[scrapeJobs] job ${insertedId} crashed:`, err));
+  pruneJobs(db, username).catch((err) => console.warn('[scrapeJobs] prune failed:', err.message));
+  return publicJob(doc);
+}
+
+// The job doc if it belongs to username; running jobs come from memory so progress is current
+async function findOwnedJob(db, username, id) {
+  if (!ObjectId.isValid(id)) throw jobError('Job not found', 404, 'JOB_NOT_FOUND');
+  const doc = running.get(id)?.doc || (await db.collection('scrapeJobs').findOne({ _id: new ObjectId(id) }));
+  if (!doc) throw jobError('Job not found', 404, 'JOB_NOT_FOUND');
+  if (doc.username !== username) throw jobError('You do not have access to this job', 403, 'JOB_FORBIDDEN');
+  return doc;
+}
+
+async function getScrapeJob(db, username, id) {
+  return publicJob(await findOwnedJob(db, username, id));
+}
+
+/** The user's jobs, newest first. */
+async function listScrapeJobs(db, username) {
+  const docs = await db.collection('scrapeJobs').find({ username }).sort({ createdAt: -1 }).limit(MAX_KEPT_PER_USER).toArray();
+  return docs.map((d) => publicJob(running.get(String(d._id))?.doc || d));
+}
+
+/**
+ * Call listener with the job's public state now and after every change until it
+ * finishes. Returns an unsubscribe function; the job keeps running without listeners.
+ */
+async function watchScrapeJob(db, username, id, listener) {
+  const doc = await findOwnedJob(db, username, id);
+  listener(publicJob(doc));
+  const job = running.get(id);
+  if (!job) return () => {};
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+}
+
+async function cancelScrapeJob(db, username, id) {
+  const doc = await findOwnedJob(db, username, id);
+  const job = running.get(id);
+  if (!job) throw jobError(`Job already ${doc.status}`, 409, 'JOB_FINISHED');
+  job.controller.abort(new Error('Scrape cancelled'));
+  return publicJob(doc);
+}
+
+/** The finished job's channel JSON as text. */
+async function readScrapeResult(db, username, id) {
+  const doc = await findOwnedJob(db, username, id);
+  if (!doc.resultFileId) {
+    throw jobError(doc.status === 'running' ? 'Job is still running' : `Job ${doc.status} without a result`, 409, 'JOB_NO_RESULT');
+  }
+  const chunks = [];
+  for await (const chunk of bucketFor(db).openDownloadStream(doc.resultFileId)) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+module.exports = {
+  FINISHED_STATUSES,
+  ensureScrapeJobIndexes,
+  createScrapeJob,
+  getScrapeJob,
+  listScrapeJobs,
+  watchScrapeJob,
+  cancelScrapeJob,
+  readScrapeResult,
+};
@@ -0,0 +1,509 @@
+// Export a chat session as a self-contained report (GET /api/sessions/:id/export).
+//
+// The session's messages are turned into one report model — the header (title,
+// datasets, computed columns, prompt versions), every message with its charts
+// as static blocks (SVG chart, table, image, link), and an appendix of the tool
+// calls — which is then rendered as a standalone HTML page (inline SVG and
+// images, print stylesheet so "Save as PDF" works) or as Markdown (charts and
+// images embedded as data URIs).
+
+const { escapeXml, lineChart, barChart, scatterChart, heatmap, PISTACHIO, SAGE } = require('./reportSvg');
+const { CONTENT_TYPE_LABELS } = require('./youtubeScrape');
+
+const REPORT_FORMATS = ['html', 'md'];
+const MAX_TABLE_ROWS = 50;
+const MAX_CELL_CHARS = 200;
+const MAX_APPENDIX_CHARS = 4000;
+const MAX_ARRAY_ITEMS = 10;
+
+const escapeHtml = escapeXml;
+
+// ── Formatting ───────────────────────────────────────────────────────────────
+
+function formatTimestamp(iso) {
+  const d = new Date(iso);
+  return Number.isNaN(d.getTime()) ? '' : `${d.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function formatCell(v) {
+  if (v === null || v === undefined) return '';
+  if (typeof v === 'number') {
+    if (!Number.isFinite(v)) return '';
+    return Number.isInteger(v) ? v.toLocaleString('en-US') : String(+v.toPrecision(4));
+  }
+  if (typeof v === 'boolean') return v ? 'yes' : 'no';
+  const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return s.length > MAX_CELL_CHARS ? `${s.slice(0, MAX_CELL_CHARS - 1)}…` : s;
+}
+
+const fileSlug = (s) =>
+  String(s || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+
+// Stored chart and attachment fields come from the client, so only plain
+// raster images and http(s) links make it into the report
+const IMAGE_MIME_RE = /^image\/(png|jpeg|gif|webp)$/;
+const BASE64_RE = /^[A-Za-z0-9+/=]+$/;
+const HTTP_URL_RE = /^https?:\/\/[^\s]+$/i;
+
+function imageDataUri(mimeType, data) {
+  mimeType = mimeType || 'image/png';
+  if (!IMAGE_MIME_RE.test(mimeType) || typeof data !== 'string' || !BASE64_RE.test(data)) return null;
+  return `data:${mimeType};base64,${data}`;
+}
+
+const contentTypeSuffix = (contentType) =>
+  contentType ? ` (${CONTENT_TYPE_LABELS[contentType] || contentType})` : '';
+
+const svgDataUri = (svg) => `data:image/svg+xml;base64,${Buffer.from(svg, 'utf8').toString('base64')}`;
+
+// Tool results are kept for the appendix minus the bulky parts: long arrays
+// are cut to their first items and base64 images are replaced by a note.
+function compactValue(value, depth = 0) {
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_ITEMS).map((v) => compactValue(v, depth + 1));
+    if (value.length > MAX_ARRAY_ITEMS) items.push(`… ${value.length - MAX_ARRAY_ITEMS} more`);
+    return items;
+  }
+  if (value && typeof value === 'object') {
+    if (depth > 4) return '{…}';
+    const out = {};
+    Object.entries(value).forEach(([k, v]) => {
+      out[k] = k === 'imageBase64' && typeof v === 'string' ? `(${Math.round((v.length * 3) / 4 / 1024)} KB image)` : compactValue(v, depth + 1);
+    });
+    return out;
+  }
+  if (typeof value === 'string' && value.length > 300) return `${value.slice(0, 300)}…`;
+  return value;
+}
+
+function compactJson(value) {
+  const text = JSON.stringify(compactValue(value ?? null), null, 2);
+  return text.length > MAX_APPENDIX_CHARS ? `${text.slice(0, MAX_APPENDIX_CHARS)}\n…` : text;
+}
+
+// ── Chart payloads → report blocks ───────────────────────────────────────────
+// Block: { type: 'svg', title, svg } | { type: 'table', title, columns, rows, note? }
+//      | { type: 'image', title, src } | { type: 'link', title, href }
+
+function tableBlock(title, columns, rows = [], note = null) {
+  if (!rows.length) return null;
+  const shown = rows.slice(0, MAX_TABLE_ROWS);
+  const cut = rows.length > shown.length ? `first ${shown.length} of ${rows.length} rows` : null;
+  return { type: 'table', title, columns, rows: shown, note: [note, cut].filter(Boolean).join('; ') || null };
+}
+
+const svgBlock = (title, svg) => (svg ? { type: 'svg', title, svg } : null);
+
+const columnsOf = (rows) => [...new Set(rows.flatMap((r) => Object.keys(r || {})))];
+
+const CHART_BLOCKS = {
+  engagement: (c) => [
+    svgBlock(
+      `Mean ${c.metricColumn} with vs without each keyword`,
+      barChart('Keyword engagement', c.data.map((d) => d.name), [
+        { name: 'With keyword', values: c.data.map((d) => d.withKeyword), color: SAGE },
+        { name: 'Without keyword', values: c.data.map((d) => d.withoutKeyword), color: PISTACHIO },
+      ])
+    ),
+    tableBlock('Keyword comparison', ['name', 'withKeyword', 'withCount', 'withoutKeyword', 'withoutCount', 'pValue', 'significant'], c.data, c.test),
+  ],
+  metricVsTime: (c) => {
+    const title = `${c.metricField} vs time${contentTypeSuffix(c.content_type)}`;
+    return [svgBlock(title, lineChart(title, c.data.map((d) => ({ x: d.x, y: d.value, highlight: d.outlier }))))];
+  },
+  playVideo: (c) => (HTTP_URL_RE.test(c.videoUrl || '') ? [{ type: 'link', title: c.title, href: c.videoUrl }] : []),
+  generatedImage: (c) => {
+    const src = imageDataUri(c.mimeType, c.imageBase64);
+    return src ? [{ type: 'image', title: 'Generated image', src }] : [];
+  },
+  statsJson: (c) => [
+    tableBlock(`Statistics: ${c.field}${contentTypeSuffix(c.content_type)}`, ['statistic', 'value'], ['count', 'mean', 'median', 'std', 'min', 'max'].map((k) => ({ statistic: k, value: c[k] }))),
+  ],
+  groupTable: (c) => [
+    tableBlock(
+      c.title || 'Table',
+      c.columns || columnsOf(c.rows || []),
+      c.rows || [],
+      c.filtered_rows != null && c.total_rows != null ? `${c.filtered_rows} of ${c.total_rows} rows matched` : null
+    ),
+  ],
+  histogram: (c) => [svgBlock(`Distribution of ${c.column}`, barChart(`Distribution of ${c.column}`, c.data.map((d) => d.bin), [{ name: 'Rows', values: c.data.map((d) => d.count) }]))],
+  valueBar: (c) => [svgBlock(`Value counts of ${c.column}`, barChart(`Value counts of ${c.column}`, c.data.map((d) => d.name), [{ name: 'Rows', values: c.data.map((d) => d.count), color: PISTACHIO }]))],
+  scatter: (c) => [svgBlock(`${c.y} vs ${c.x}`, scatterChart(`${c.y} vs ${c.x}`, c.data.map((d) => ({ x: d.x, y: d.y, group: d.group }))))],
+  timeSeries: (c) => [svgBlock(`${c.column} over ${c.dateColumn}`, lineChart(`${c.column} over ${c.dateColumn}`, c.data.map((d) => ({ x: d.x, y: d.value }))))],
+  timeBuckets: (c) => {
+    const hasMean = c.data.some((d) => d.mean != null);
+    const title = `${hasMean ? `Mean ${c.metricColumn}` : 'Rows'} by ${c.bucketUnit}${c.timezone ? ` (${c.timezone})` : ''}`;
+    return [
+      svgBlock(title, barChart(title, c.data.map((d) => d.bucket), [{ name: title, values: c.data.map((d) => (hasMean ? d.mean : d.count)) }])),
+      tableBlock(`Rows per ${c.bucketUnit}`, hasMean ? ['bucket', 'count', 'mean'] : ['bucket', 'count'], c.data),
+    ];
+  },
+  hourWeekdayHeatmap: (c) => {
+    const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    const hours = Array.from({ length: 24 }, (_, h) => h);
+    const byKey = new Map(c.cells.map((cell) => [`${cell.weekday}-${cell.hour}`, cell]));
+    const title = `${c.metricColumn ? `Mean ${c.metricColumn}` : 'Rows'} by posting hour × weekday${c.timezone ? ` (${c.timezone})` : ''}`;
+    return [
+      svgBlock(title, heatmap(title, weekdays, hours, (r, h) => {
+        const cell = byKey.get(`${weekdays[r]}-${h}`);
+        return cell ? (c.metricColumn ? cell.mean : cell.count) ?? null : null;
+      })),
+    ];
+  },
+  tokenStats: (c) => [
+    tableBlock(`Top ${c.kind} tokens`, ['token', 'count', 'share', ...(c.metricColumn ? ['mean'] : [])], c.tokens, `${c.rows_with_tokens} of ${c.total_rows} rows have a token`),
+    tableBlock(`${c.kind} used together`, ['pair', 'count'], c.pairs || []),
+  ],
+  correlation: (c) => {
+    const blocks = [
+      svgBlock('Pearson correlation', heatmap('Pearson correlation', c.columns, c.columns, (r, col) => c.pearson?.[r]?.[col] ?? null, { diverging: true, showValues: c.columns.length <= 10 })),
+      tableBlock('Strongest pairs', ['a', 'b', 'pearson', 'spearman', 'n', 'p_value'], c.strongest_pairs || []),
+    ];
+    if (c.regression?.coefficients) {
+      const r = c.regression;
+      blocks.push(tableBlock(`Linear regression of ${r.target} — R² = ${r.r2}, adjusted R² = ${r.adjusted_r2}, n = ${r.n}`, ['term', 'estimate', 'std_error', 't', 'p_value'], r.coefficients));
+    }
+    if (c.scatter?.data) {
+      const s = c.scatter;
+      blocks.push(svgBlock(`${s.y} vs ${s.x} (slope ${s.slope}, R² ${s.r2})`, scatterChart(`${s.y} vs ${s.x}`, s.data, { trend: s.trend })));
+    }
+    return blocks;
+  },
+  outliers: (c) => {
+    const title = `Outliers in ${c.column} (${c.method} > ${c.threshold})`;
+    const bounds = `bounds ${formatCell(c.lower_bound)} – ${formatCell(c.upper_bound)}, ${c.outlier_count} of ${c.values_checked} values flagged`;
+    return [
+      c.data?.length ? svgBlock(`${c.column} over time`, lineChart(`${c.column} over time`, c.data.map((d) => ({ x: d.x, y: d.value, highlight: d.outlier })))) : null,
+      tableBlock(title, columnsOf(c.outliers || []), c.outliers || [], bounds),
+    ];
+  },
+};
+
+function chartBlocks(chart) {
+  const build = CHART_BLOCKS[chart?._chartType];
+  if (!build) return [];
+  try {
+    return build(chart).filter(Boolean);
+  } catch (err) {
+    console.warn(`[export] could not render ${chart._chartType} chart:`, err.message);
+    return [];
+  }
+}
+
+// ── Report model ─────────────────────────────────────────────────────────────
+
+const KIND_LABELS = { csv: 'CSV', channel: 'channel JSON', labels: 'text labels' };
+const ITEM_LABELS = { csv: 'rows', channel: 'videos', labels: 'labelled texts' };
+
+function buildReport(session, datasets) {
+  const messages = session.messages || [];
+  const appendix = [];
+  const entries = messages.map((m, i) => {
+    const calls = (m.toolCalls || []).map((tc) => {
+      appendix.push({ id: `A${appendix.length + 1}`, message: i + 1, name: tc.name, args: tc.args, result: tc.result, invalid: !!tc.invalid });
+      return appendix[appendix.length - 1].id;
+    });
+    const images = m.imageData ? (Array.isArray(m.imageData) ? m.imageData : [m.imageData]) : [];
+    return {
+      number: i + 1,
+      author: m.role === 'user' ? session.username || 'User' : 'Assistant',
+      role: m.role,
+      timestamp: formatTimestamp(m.timestamp),
+      promptVersion: m.promptVersion || null,
+      content: m.content || '',
+      images: images.map((img) => img && imageDataUri(img.mimeType, img.data)).filter(Boolean),
+      blocks: (m.charts || []).flatMap(chartBlocks),
+      calls,
+    };
+  });
+
+  return {
+    title: session.title || 'Chat session',
+    created: formatTimestamp(session.createdAt),
+    exported: formatTimestamp(new Date().toISOString()),
+    datasets: datasets.map((d) => {
+      const count = Number.isFinite(d.itemCount) ? `${d.itemCount.toLocaleString('en-US')} ${ITEM_LABELS[d.kind] || 'items'}` : '';
+      const channel = d.channelTitle ? ` "${d.channelTitle}"` : '';
+      return `${d.name} (${KIND_LABELS[d.kind] || d.kind}${channel}${count ? `, ${count}` : ''})`;
+    }),
+    computedColumns: (session.computedColumns || []).map((c) => `${c.name} = ${c.expression}`),
+    promptVersions: [...new Set(messages.map((m) => m.promptVersion).filter(Boolean))],
+    entries,
+    appendix,
+  };
+}
+
+// ── Markdown ─────────────────────────────────────────────────────────────────
+
+// A code fence longer than any backtick run inside the text
+function fence(text, lang = '') {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map((s) => s.length));
+  const ticks = '`'.repeat(longest + 1);
+  return `${ticks}${lang}\n${text}\n${ticks}`;
+}
+
+// Message headings move two levels down, under the report's own # and ##
+function shiftHeadings(markdown) {
+  let inFence = false;
+  return String(markdown || '')
+    .split('\n')
+    .map((line) => {
+      if (/^\s*(`{3,}|~{3,})/.test(line)) inFence = !inFence;
+      return !inFence && /^#{1,6}\s/.test(line) ? `##${line.replace(/^(#{5,6})/, '####')}` : line;
+    })
+    .join('\n');
+}
+
+const mdCell = (v) => formatCell(v).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+function markdownBlock(block) {
+  if (block.type === 'svg') return `**${block.title}**\n\n![${block.title}](${svgDataUri(block.svg)})`;
+  if (block.type === 'image') return `![${block.title}](${block.src})`;
+  if (block.type === 'link') return `▶ [${block.title}](${block.href})`;
+  const lines = [
+    `**${block.title}**`,
+    '',
+    `| ${block.columns.map(mdCell).join(' | ')} |`,
+    `| ${block.columns.map(() => '---').join(' | ')} |`,
+    ...block.rows.map((r) => `| ${block.columns.map((c) => mdCell(r[c])).join(' | ')} |`),
+  ];
+  if (block.note) lines.push('', `_${block.note}_`);
+  return lines.join('\n');
+}
+
+function renderMarkdown(report) {
+  const out = [`# ${report.title}`, ''];
+  out.push(`- **Created:** ${report.created}`, `- **Exported:** ${report.exported}`, `- **Messages:** ${report.entries.length}`);
+  if (report.datasets.length) out.push(`- **Datasets:** ${report.datasets.join('; ')}`);
+  if (report.computedColumns.length) out.push(`- **Computed columns:** ${report.computedColumns.map((c) => `\`${c}\``).join(', ')}`);
+  if (report.promptVersions.length) out.push(`- **Prompt versions:** ${report.promptVersions.join(', ')}`);
+  out.push('', '---');
+
+  report.entries.forEach((e) => {
+    out.push('', `## ${e.number}. ${e.author} · ${e.timestamp}${e.promptVersion ? ` · ${e.promptVersion}` : ''}`, '', shiftHeadings(e.content));
+    e.images.forEach((src, i) => out.push('', `![Attachment ${i + 1}](${src})`));
+    e.blocks.forEach((b) => out.push('', markdownBlock(b)));
+    if (e.calls.length) out.push('', `_Tool calls: ${e.calls.join(', ')} (see appendix)_`);
+  });
+
+  if (report.appendix.length) {
+    out.push('', '---', '', '## Appendix: tool calls');
+    report.appendix.forEach((a) => {
+      out.push('', `### ${a.id}. ${a.name} (message ${a.message})${a.invalid ? ' — rejected' : ''}`);
+      out.push('', '**Arguments**', '', fence(compactJson(a.args || {}), 'json'));
+      out.push('', '**Result**', '', fence(compactJson(a.result), 'json'));
+    });
+  }
+  return `${out.join('\n')}\n`;
+}
+
+// ── HTML ─────────────────────────────────────────────────────────────────────
+// Message content is the Markdown the chat renders with react-markdown; the
+// subset Gemini uses (headings, lists, quotes, code, tables, emphasis, links)
+// is converted here so the report needs no scripts.
+
+function inlineMarkdown(text) {
+  const codes = [];
+  const withoutCode = text.replace(/`([^`]+)`/g, (_, code) => {
+    codes.push(code);
+    return `\uE000${codes.length - 1}\uE000`;
+  });
+  return escapeHtml(withoutCode)
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*?)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~([^~]+)~~/g, '<del>$1</del>')
+    .replace(/\uE000(\d+)\uE000/g, (_, i) => `<code>${escapeHtml(codes[Number(i)])}</code>`);
+}
+
+const TABLE_DIVIDER_RE = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const LIST_RE = /^\s*([-*+]|\d+[.)])\s+/;
+const splitRow = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map((c) => c.trim());
+
+function markdownTable(lines, start) {
+  const header = splitRow(lines[start]);
+  let i = start + 2;
+  const rows = [];
+  while (i < lines.length && lines[i].includes('|') && lines[i].trim()) rows.push(splitRow(lines[i++]));
+  const html = `<table><thead><tr>${header.map((h) => `<th>${inlineMarkdown(h)}</th>`).join('')}</tr></thead><tbody>${rows
+    .map((r) => `<tr>${r.map((c) => `<td>${inlineMarkdown(c)}</td>`).join('')}</tr>`)
+    .join('')}</tbody></table>`;
+  return { html, next: i };
+}
+
+function markdownList(lines, start) {
+  const ordered = /^\s*\d/.test(lines[start]);
+  const items = [];
+  let i = start;
+  while (i < lines.length && LIST_RE.test(lines[i]) && /^\s*\d/.test(lines[i]) === ordered) {
+    items.push(lines[i].replace(LIST_RE, ''));
+    i++;
+    // Indented continuation lines belong to the previous item
+    while (i < lines.length && /^\s{2,}\S/.test(lines[i]) && !LIST_RE.test(lines[i])) items[items.length - 1] += ` ${lines[i++].trim()}`;
+  }
+  const tag = ordered ? 'ol' : 'ul';
+  return { html: `<${tag}>${items.map((it) => `<li>${inlineMarkdown(it)}</li>`).join('')}</${tag}>`, next: i };
+}
+
+function fenceEnd(lines, start, marker) {
+  for (let j = start + 1; j < lines.length; j++) if (lines[j].trim().startsWith(marker)) return j;
+  return lines.length;
+}
+
+function markdownToHtml(markdown) {
+  const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const out = [];
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length) out.push(`<p>${inlineMarkdown(paragraph.join('\n'))}</p>`);
+    paragraph = [];
+  };
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      flush();
+      const stop = fenceEnd(lines, i, fenceMatch[1]);
+      out.push(`<pre><code>${escapeHtml(lines.slice(i + 1, stop).join('\n'))}</code></pre>`);
+      i = stop + 1;
+    } else if (!line.trim()) {
+      flush();
+      i++;
+    } else if (/^#{1,6}\s/.test(line)) {
+      flush();
+      // Message headings sit below the report's own h1/h2
+      const level = Math.min(6, line.match(/^#+/)[0].length + 2);
+      out.push(`<h${level}>${inlineMarkdown(line.replace(/^#+\s*/, ''))}</h${level}>`);
+      i++;
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      out.push('<hr>');
+      i++;
+    } else if (line.includes('|') && TABLE_DIVIDER_RE.test(lines[i + 1] || '')) {
+      flush();
+      const table = markdownTable(lines, i);
+      out.push(table.html);
+      i = table.next;
+    } else if (LIST_RE.test(line)) {
+      flush();
+      const list = markdownList(lines, i);
+      out.push(list.html);
+      i = list.next;
+    } else if (/^\s*>/.test(line)) {
+      flush();
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+      out.push(`<blockquote>${markdownToHtml(quoted.join('\n'))}</blockquote>`);
+    } else {
+      paragraph.push(line);
+      i++;
+    }
+  }
+  flush();
+  return out.join('\n');
+}
+
+function htmlBlock(block) {
+  const title = `<div class="block-title">${escapeHtml(block.title)}</div>`;
+  if (block.type === 'svg') return `<figure>${title}${block.svg}</figure>`;
+  if (block.type === 'image') return `<figure><img src="${escapeHtml(block.src)}" alt="${escapeHtml(block.title)}"></figure>`;
+  if (block.type === 'link') return `<p class="video-link">▶ <a href="${escapeHtml(block.href)}">${escapeHtml(block.title)}</a></p>`;
+  return `<figure>${title}<table><thead><tr>${block.columns.map((c) => `<th>${escapeHtml(c)}</th>`).join('')}</tr></thead><tbody>${block.rows
+    .map((r) => `<tr>${block.columns.map((c) => `<td>${escapeHtml(formatCell(r[c]))}</td>`).join('')}</tr>`)
+    .join('')}</tbody></table>${block.note ? `<figcaption>${escapeHtml(block.note)}</figcaption>` : ''}</figure>`;
+}
+
+const REPORT_CSS = `
+body { font-family: Inter, Arial, sans-serif; color: #3d3a36; background: #fefbf7; margin: 0; line-height: 1.55; }
+main { max-width: 760px; margin: 0 auto; padding: 2rem 1.5rem 4rem; }
+h1 { font-size: 1.6rem; margin-bottom: 0.4rem; }
+.meta { list-style: none; padding: 0; color: #666; font-size: 0.9rem; }
+.message { border-radius: 14px; padding: 0.9rem 1.1rem; margin: 1.2rem 0; background: #fff; border: 1px solid rgba(156, 175, 136, 0.25); page-break-inside: avoid; }
+.message.user { background: rgba(184, 212, 168, 0.35); }
+.message-head { font-size: 0.8rem; color: #777; margin-bottom: 0.4rem; }
+figure { margin: 1rem 0; overflow-x: auto; page-break-inside: avoid; }
+figure img, figure svg { max-width: 100%; height: auto; border-radius: 8px; }
+.block-title { font-weight: 600; font-size: 0.9rem; margin-bottom: 0.4rem; }
+figcaption, .tool-refs { font-size: 0.8rem; color: #777; }
+table { border-collapse: collapse; font-size: 0.8rem; width: 100%; }
+th, td { border: 1px solid rgba(156, 175, 136, 0.35); padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+th { background: #f7e7ce; }
+pre { background: #f7e7ce; padding: 0.7rem; border-radius: 8px; overflow-x: auto; font-size: 0.78rem; white-space: pre-wrap; }
+code { font-family: Menlo, Consolas, monospace; }
+blockquote { border-left: 3px solid #f8e4eb; margin: 0.5rem 0; padding-left: 0.8rem; color: #555; }
+.appendix h3 { font-size: 0.95rem; margin-bottom: 0.3rem; }
+@media print { body { background: #fff; } main { padding: 0; } .message { border-color: #ddd; } a { color: inherit; } }
+`;
+
+function renderHtml(report) {
+  const meta = [
+    `<li><strong>Created:</strong> ${escapeHtml(report.created)}</li>`,
+    `<li><strong>Exported:</strong> ${escapeHtml(report.exported)}</li>`,
+    `<li><strong>Messages:</strong> ${report.entries.length}</li>`,
+    report.datasets.length && `<li><strong>Datasets:</strong> ${escapeHtml(report.datasets.join('; '))}</li>`,
+    report.computedColumns.length && `<li><strong>Computed columns:</strong> ${report.computedColumns.map((c) => `<code>${escapeHtml(c)}</code>`).join(', ')}</li>`,
+    report.promptVersions.length && `<li><strong>Prompt versions:</strong> ${escapeHtml(report.promptVersions.join(', '))}</li>`,
+  ].filter(Boolean);
+
+  const messages = report.entries.map((e) => {
+    const head = `${e.number}. ${e.author} · ${e.timestamp}${e.promptVersion ? ` · ${e.promptVersion}` : ''}`;
+    const body = [
+      markdownToHtml(e.content),
+      ...e.images.map((src, i) => `<figure><img src="${escapeHtml(src)}" alt="Attachment ${i + 1}"></figure>`),
+      ...e.blocks.map(htmlBlock),
+      e.calls.length ? `<p class="tool-refs">Tool calls: ${e.calls.map((id) => `<a href="#${id}">${id}</a>`).join(', ')}</p>` : '',
+    ].join('\n');
+    return `<section class="message ${e.role === 'user' ? 'user' : 'model'}"><div class="message-head">${escapeHtml(head)}</div>${body}</section>`;
+  });
+
+  const appendix = report.appendix.length
+    ? `<section class="appendix"><h2>Appendix: tool calls</h2>${report.appendix
+        .map(
+          (a) =>
+            `<h3 id="${a.id}">${a.id}. ${escapeHtml(a.name)} (message ${a.message})${a.invalid ? ' — rejected' : ''}</h3><div class="block-title">Arguments</div><pre><code>${escapeHtml(
+              compactJson(a.args || {})
+            )}</code></pre><div class="block-title">Result</div><pre><code>${escapeHtml(compactJson(a.result))}</code></pre>`
+        )
+        .join('\n')}</section>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(report.title)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(report.title)}</h1>
+<ul class="meta">${meta.join('')}</ul>
+${messages.join('\n')}
+${appendix}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a session document as a report. datasets: metadata from listDatasets().
+ * Returns { body, contentType, fileName }.
+ */
+function buildSessionReport(session, datasets, format = 'html') {
+  const report = buildReport(session, datasets);
+  const base = fileSlug(report.title) || `chat-${session._id}`;
+  if (format === 'md') {
+    return { body: renderMarkdown(report), contentType: 'text/markdown; charset=utf-8', fileName: `${base}.md` };
+  }
+  return { body: renderHtml(report), contentType: 'text/html; charset=utf-8', fileName: `${base}.html` };
+}
+
+module.exports = { REPORT_FORMATS, buildSessionReport, markdownToHtml };
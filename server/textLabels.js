@@ -0,0 +1,144 @@
+// Sentiment + topic labels for tweet text, classified by Gemini in batches.
+// The client sends the distinct texts of a column (a chunk at a time) and
+// stores the returned labels with the session as the 'labels' dataset, so a
+// text is only ever classified once per session.
+//
+// Topics: the caller may pass its own list; otherwise the first chunk asks the
+// model to propose a short topic list from a sample, and the client sends that
+// list back with every later chunk so all rows share one set of labels.
+
+const { getSystemPrompt } = require('./prompts');
+const { CHAT_MODEL } = require('./geminiChat');
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const OTHER_TOPIC = 'other';
+const MAX_TEXTS_PER_REQUEST = 500;
+const MAX_TOPICS = 12;
+const MAX_TEXT_CHARS = 500;
+const BATCH_SIZE = 40;
+const BATCH_CONCURRENCY = 3;
+const TOPIC_SAMPLE_SIZE = 80;
+
+function labelError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const cleanTopic = (t) => String(t ?? '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 40);
+
+function cleanRequest(body) {
+  const { texts, topics } = body || {};
+  if (!Array.isArray(texts) || !texts.length) throw labelError('texts must be a non-empty array');
+  if (texts.length > MAX_TEXTS_PER_REQUEST) throw labelError(`At most ${MAX_TEXTS_PER_REQUEST} texts per request`);
+  if (topics !== undefined && !Array.isArray(topics)) throw labelError('topics must be an array');
+  const cleanTopics = [...new Set((topics || []).map(cleanTopic).filter(Boolean))];
+  if (cleanTopics.length > MAX_TOPICS) throw labelError(`At most ${MAX_TOPICS} topics`);
+  return {
+    texts: texts.map((t) => String(t ?? '').slice(0, MAX_TEXT_CHARS)),
+    topics: cleanTopics,
+  };
+}
+
+async function generateJson(ai, prompt, userText, schema) {
+  const response = await ai.models.generateContent({
+    model: CHAT_MODEL,
+    contents: [{ role: 'user', parts: [{ text: userText }] }],
+    config: {
+      ...(prompt.text && { systemInstruction: prompt.text }),
+      responseMimeType: 'application/json',
+      responseSchema: schema,
+    },
+  });
+  const text = (response?.candidates?.[0]?.content?.parts || [])
+    .map((p) => (typeof p?.text === 'string' ? p.text : ''))
+    .join('');
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw labelError('Label model returned invalid JSON', 502);
+  }
+}
+
+const numbered = (texts) => texts.map((t, i) => `${i + 1}. ${t.replace(/\s+/g, ' ').trim()}`).join('\n');
+
+async function proposeTopics(ai, prompt, texts) {
+  const step = Math.max(1, Math.floor(texts.length / TOPIC_SAMPLE_SIZE));
+  const sample = texts.filter((_, i) => i % step === 0).slice(0, TOPIC_SAMPLE_SIZE);
+  const result = await generateJson(ai, prompt, `TASK: PROPOSE TOPICS\n\nTEXTS:\n${numbered(sample)}`, {
+    type: 'OBJECT',
+    properties: { topics: { type: 'ARRAY', items: { type: 'STRING' } } },
+    required: ['topics'],
+  });
+  const topics = [...new Set((result?.topics || []).map(cleanTopic).filter((t) => t && t !== OTHER_TOPIC))];
+  return [...topics.slice(0, MAX_TOPICS - 1), OTHER_TOPIC];
+}
+
+async function labelBatch(ai, prompt, texts, topics) {
+  const result = await generateJson(
+    ai,
+    prompt,
+    `TASK: LABEL\n\nTOPICS: ${topics.join(', ')}\n\nTEXTS:\n${numbered(texts)}`,
+    {
+      type: 'OBJECT',
+      properties: {
+        labels: {
+          type: 'ARRAY',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              index: { type: 'INTEGER' },
+              sentiment: { type: 'STRING', enum: SENTIMENTS },
+              topic: { type: 'STRING' },
+            },
+            required: ['index', 'sentiment', 'topic'],
+          },
+        },
+      },
+      required: ['labels'],
+    }
+  );
+  // Missing or malformed entries come back as null so the client can retry them later
+  const out = texts.map(() => null);
+  for (const l of result?.labels || []) {
+    const i = Number(l?.index) - 1;
+    if (!Number.isInteger(i) || i < 0 || i >= texts.length) continue;
+    const topic = cleanTopic(l.topic);
+    out[i] = {
+      sentiment: SENTIMENTS.includes(l.sentiment) ? l.sentiment : 'neutral',
+      topic: topics.includes(topic) ? topic : OTHER_TOPIC,
+    };
+  }
+  return out;
+}
+
+/**
+ * Classify texts. Returns { topics, labels: [{ sentiment, topic } | null], promptVersion }
+ * with labels aligned to body.texts.
+ */
+async function labelTexts(ai, body) {
+  const { texts, topics: requested } = cleanRequest(body);
+  const prompt = getSystemPrompt('labels');
+  const topics = requested.length
+    ? [...requested.filter((t) => t !== OTHER_TOPIC), OTHER_TOPIC]
+    : await proposeTopics(ai, prompt, texts);
+
+  const batches = [];
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) batches.push(texts.slice(i, i + BATCH_SIZE));
+  const results = new Array(batches.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < batches.length) {
+      const i = next++;
+      results[i] = await labelBatch(ai, prompt, batches[i], topics);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, batches.length) }, worker));
+
+  return { topics, labels: results.flat(), promptVersion: prompt.version };
+}
+
+module.exports = {
+  MAX_TEXTS_PER_REQUEST,
+  labelTexts,
+};
@@ -1,13 +1,67 @@
 const axios = require('axios');
 
-function extractHandle(channelUrl) {
-  if (!channelUrl || typeof channelUrl !== 'string') return null;
-  const u = channelUrl.trim();
-  const handleMatch = u.match(/youtube\.com\/@([^/?&#]+)/i);
-  if (handleMatch) return handleMatch[1];
-  const rawHandle = u.match(/^@([^/?&#]+)$/);
-  if (rawHandle) return rawHandle[1];
-  return null;
+// Upper bound for maxVideos (per tab). A tab only embeds its first ~30 videos;
+// the rest come from innertube continuation pages (see listVideoItems).
+const MAX_CHANNEL_VIDEOS = Math.max(1, parseInt(process.env.YOUTUBE_MAX_VIDEOS || '500', 10));
+const VIDEOS_PER_PAGE = 30;
+// Watch pages fetched at once, retries per video (429 / 5xx / dropped connection)
+// and the wall-clock budget for one channel download
+const FETCH_CONCURRENCY = Math.min(16, Math.max(1, parseInt(process.env.YOUTUBE_FETCH_CONCURRENCY || '4', 10)));
+const FETCH_RETRIES = Math.min(10, Math.max(0, parseInt(process.env.YOUTUBE_FETCH_RETRIES || '3', 10)));
+const SCRAPE_BUDGET_MS = Math.max(5000, parseInt(process.env.YOUTUBE_SCRAPE_BUDGET_MS || '300000', 10));
+const WATCH_TIMEOUT_MS = 20000;
+// Transcript, comment count and innertube player requests made after the watch page
+const FOLLOW_UP_TIMEOUT_MS = 15000;
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 15000;
+
+// ── Channel identity ────────────────────────────────────────────────────────
+
+const INVALID_CHANNEL_MESSAGE =
+  'Invalid YouTube channel URL. Use a channel URL (youtube.com/@handle, /channel/UC…, /c/name or /user/name), an @handle, or a video URL';
+const CHANNEL_ID_RE = /^UC[\w-]{22}$/;
+const VIDEO_ID_RE = /^[\w-]{11}$/;
+
+// Path of each channel reference kind on youtube.com; tab pages live under it
+const CHANNEL_PATHS = {
+  handle: (v) => `/@${encodeURIComponent(v)}`,
+  channel_id: (v) => `/channel/${v}`,
+  custom_url: (v) => `/c/${encodeURIComponent(v)}`,
+  user_url: (v) => `/user/${encodeURIComponent(v)}`,
+};
+
+/**
+ * What a channel reference points at: { kind, value } with kind 'handle',
+ * 'channel_id', 'custom_url', 'user_url' or 'video', or null when unrecognized.
+ * Accepts @name, bare handles and UC… ids, youtube.com/@name, /channel/UC…,
+ * /c/name and /user/name, and watch, youtu.be, /shorts/, /live/ and /embed/
+ * video URLs, with or without the scheme.
+ */
+function parseChannelInput(input) {
+  if (!input || typeof input !== 'string') return null;
+  const s = input.trim();
+  if (/^@[^\s/?#]+$/.test(s)) return { kind: 'handle', value: s.slice(1) };
+  if (CHANNEL_ID_RE.test(s)) return { kind: 'channel_id', value: s };
+  if (/^[\w-]{3,30}$/.test(s)) return { kind: 'handle', value: s };
+
+  let url;
+  let parts;
+  try {
+    url = new URL(/^https?:\/\//i.test(s) ? s : `https://${s}`);
+    parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+  const host = url.hostname.toLowerCase().replace(/^(www|m|music)\./, '');
+  const [first = '', second = ''] = parts;
+  if (host === 'youtu.be') return VIDEO_ID_RE.test(first) ? { kind: 'video', value: first } : null;
+  if (host !== 'youtube.com') return null;
+  if (first.length > 1 && first.startsWith('@')) return { kind: 'handle', value: first.slice(1) };
+  if (first === 'channel' && CHANNEL_ID_RE.test(second)) return { kind: 'channel_id', value: second };
+  if (first === 'c' && second) return { kind: 'custom_url', value: second };
+  if (first === 'user' && second) return { kind: 'user_url', value: second };
+  const videoId = first === 'watch' ? url.searchParams.get('v') || '' : ['shorts', 'live', 'embed'].includes(first) ? second : '';
+  return VIDEO_ID_RE.test(videoId) ? { kind: 'video', value: videoId } : null;
 }
 
 function extractJsonAfterMarker(html, marker) {
@@ -50,8 +104,7 @@ function parseCountText(s) {
   const text = String(s).trim();
   if (!text) return null;
 
-  const compact = text.toLowerCase().replace(/\s+/g, '');
-  const suffixMatch = compact.match(/([\d,.]+)([kmb])\b/);
+  const suffixMatch = text.toLowerCase().match(/([\d,.]+)\s*([kmb])\b/);
   if (suffixMatch) {
     const base = Number(suffixMatch[1].replace(/,/g, ''));
     if (!Number.isFinite(base)) return null;
@@ -224,7 +277,7 @@ function extractTranscriptFromXml(xml) {
   return chunks.join(' ').trim();
 }
 
-async function fetchTranscriptFromTracks(captionTracks) {
+async function fetchTranscriptFromTracks(captionTracks, { timeout = FOLLOW_UP_TIMEOUT_MS, signal } = {}) {
   if (!Array.isArray(captionTracks) || !captionTracks.length) return null;
   const preferred =
     captionTracks.find((t) => String(t.languageCode || '').toLowerCase().startsWith('en')) ||
@@ -232,15 +285,16 @@ async function fetchTranscriptFromTracks(captionTracks) {
   const baseUrl = preferred?.baseUrl;
   if (!baseUrl) return null;
   try {
-    const res = await axios.get(baseUrl, { timeout: 15000 });
+    const res = await axios.get(baseUrl, { timeout, signal });
     const transcript = extractTranscriptFromXml(res.data);
     return transcript && transcript.length ? transcript : null;
   } catch {
+    signal?.throwIfAborted();
     return null;
   }
 }
 
-async function fetchCommentCountViaInnertube(html, videoId) {
+async function fetchCommentCountViaInnertube(html, videoId, { timeout = FOLLOW_UP_TIMEOUT_MS, signal } = {}) {
   const cfg = extractInnertubeConfig(html);
   if (!cfg.apiKey || !cfg.clientVersion) return { count: null, source: null };
   try {
@@ -257,7 +311,8 @@ async function fetchCommentCountViaInnertube(html, videoId) {
       videoId,
     };
     const res = await axios.post(url, body, {
-      timeout: 15000,
+      timeout,
+      signal,
       headers: {
         'Content-Type': 'application/json',
         'User-Agent': 'Mozilla/5.0',
@@ -272,11 +327,12 @@ async function fetchCommentCountViaInnertube(html, videoId) {
     }
     return { count: null, source: null };
   } catch {
+    signal?.throwIfAborted();
     return { count: null, source: null };
   }
 }
 
-async function fetchPlayerDataViaInnertube(html, videoId) {
+async function fetchPlayerDataViaInnertube(html, videoId, { timeout = FOLLOW_UP_TIMEOUT_MS, signal } = {}) {
   const cfg = extractInnertubeConfig(html);
   if (!cfg.apiKey || !cfg.clientVersion) return null;
   try {
@@ -293,7 +349,8 @@ async function fetchPlayerDataViaInnertube(html, videoId) {
       videoId,
     };
     const res = await axios.post(url, body, {
-      timeout: 15000,
+      timeout,
+      signal,
       headers: {
         'Content-Type': 'application/json',
         'User-Agent': 'Mozilla/5.0',
@@ -301,6 +358,7 @@ async function fetchPlayerDataViaInnertube(html, videoId) {
     });
     return res.data || null;
   } catch {
+    signal?.throwIfAborted();
     return null;
   }
 }
@@ -324,29 +382,186 @@ function collectByKeyPattern(node, keyPattern, out) {
   }
 }
 
-function collectVideoRenderers(node, acc) {
+// Channel tabs the scraper can page through: URL path under the channel and the
+// contentType given to the videos listed there.
+const CHANNEL_TABS = {
+  videos: { path: 'videos', title: 'videos', contentType: 'video' },
+  shorts: { path: 'shorts', title: 'shorts', contentType: 'short' },
+  live: { path: 'streams', title: 'live', contentType: 'live' },
+  podcasts: { path: 'podcasts', title: 'podcasts', contentType: 'podcast' },
+};
+const CHANNEL_TAB_NAMES = Object.keys(CHANNEL_TABS);
+// Plural names for report titles; same as CONTENT_TYPE_LABELS in src/services/youtubeTools.js
+const CONTENT_TYPE_LABELS = { video: 'videos', short: 'Shorts', live: 'live streams', podcast: 'podcast episodes' };
+
+// Renderer keys that hold one listed video, and how to read each. Shorts use
+// reel items (older layout) or shorts lockups; playlists use playlistVideoRenderer.
+const VIDEO_ITEM_PARSERS = {
+  videoRenderer: (vr) => ({
+    videoId: vr.videoId || '',
+    title: getText(vr.title) || '',
+    relativePublished: getText(vr.publishedTimeText) || null,
+    durationText: getText(vr.lengthText) || null,
+    viewCount: parseCountText(getText(vr.viewCountText)),
+  }),
+  playlistVideoRenderer: (vr) => {
+    const info = (vr.videoInfo?.runs || []).map((r) => r.text || '');
+    return {
+      videoId: vr.videoId || '',
+      title: getText(vr.title) || '',
+      relativePublished: info.find((t) => /ago$/i.test(t.trim())) || null,
+      durationText: getText(vr.lengthText) || null,
+      viewCount: parseCountText(info.find((t) => /view/i.test(t))),
+    };
+  },
+  reelItemRenderer: (r) => ({
+    videoId: r.videoId || '',
+    title: getText(r.headline) || '',
+    relativePublished: null,
+    durationText: null,
+    viewCount: parseCountText(getText(r.viewCountText)),
+  }),
+  shortsLockupViewModel: (m) => ({
+    videoId:
+      m.onTap?.innertubeCommand?.reelWatchEndpoint?.videoId ||
+      String(m.entityId || '').replace(/^shorts-shelf-item-/, ''),
+    title: m.overlayMetadata?.primaryText?.content || '',
+    relativePublished: null,
+    durationText: null,
+    viewCount: parseCountText(m.overlayMetadata?.secondaryText?.content),
+  }),
+};
+
+function collectVideoItems(node, acc) {
   if (!node) return;
   if (Array.isArray(node)) {
-    for (const item of node) collectVideoRenderers(item, acc);
+    for (const item of node) collectVideoItems(item, acc);
     return;
   }
   if (typeof node !== 'object') return;
-  if (node.videoRenderer) acc.push(node.videoRenderer);
-  for (const value of Object.values(node)) collectVideoRenderers(value, acc);
+  for (const [key, parse] of Object.entries(VIDEO_ITEM_PARSERS)) {
+    if (node[key]) acc.push(parse(node[key]));
+  }
+  for (const value of Object.values(node)) collectVideoItems(value, acc);
 }
 
-function pickVideosTab(ytInitialData) {
+/**
+ * The tab renderer for tabName, matched by its URL then its title. A channel
+ * without that tab serves its home page instead, so only the Videos tab falls
+ * back to whichever tab is selected.
+ */
+function pickTab(ytInitialData, tabName = 'videos') {
   const tabs = ytInitialData?.contents?.twoColumnBrowseResultsRenderer?.tabs;
   if (!Array.isArray(tabs)) return null;
+  const { path, title } = CHANNEL_TABS[tabName];
+  const urlOf = (t) => t.tabRenderer?.endpoint?.commandMetadata?.webCommandMetadata?.url || '';
+  const titleOf = (t) => (t.tabRenderer?.title || '').toLowerCase();
+  const match =
+    tabs.find((t) => t.tabRenderer && urlOf(t).endsWith(`/${path}`)) ||
+    tabs.find((t) => titleOf(t) === title);
+  if (tabName !== 'videos') return match?.tabRenderer?.content ? match : null;
   return (
-    tabs.find((t) => (t.tabRenderer?.title || '').toLowerCase() === 'videos') ||
-    tabs.find((t) => (t.tabRenderer?.title || '').toLowerCase().includes('video')) ||
+    match ||
+    tabs.find((t) => titleOf(t).includes('video')) ||
     tabs.find((t) => t.tabRenderer?.selected) ||
     tabs[0] ||
     null
   );
 }
 
+// Playlist ids listed on a Podcasts tab (lockups on the current layout, grid renderers on the older one)
+function findPodcastPlaylistIds(tab) {
+  const ids = [];
+  for (const lockup of findAllObjectsWithKey(tab, 'lockupViewModel')) {
+    if (/PODCAST|PLAYLIST/.test(lockup?.contentType || '') && lockup.contentId) ids.push(lockup.contentId);
+  }
+  for (const grid of findAllObjectsWithKey(tab, 'gridPlaylistRenderer')) {
+    if (grid?.playlistId) ids.push(grid.playlistId);
+  }
+  return [...new Set(ids)];
+}
+
+function findContinuationToken(node) {
+  for (const item of findAllObjectsWithKey(node, 'continuationItemRenderer')) {
+    const token = item?.continuationEndpoint?.continuationCommand?.token;
+    if (token) return token;
+  }
+  return null;
+}
+
+async function fetchBrowseContinuation(cfg, token, signal) {
+  const url = `https://www.youtube.com/youtubei/v1/browse?key=${cfg.apiKey}`;
+  const body = {
+    context: {
+      client: {
+        clientName: 'WEB',
+        clientVersion: cfg.clientVersion,
+        hl: 'en',
+        gl: 'US',
+      },
+    },
+    continuation: token,
+  };
+  const res = await axios.post(url, body, {
+    timeout: 15000,
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Mozilla/5.0',
+    },
+  });
+  return res.data || null;
+}
+
+/**
+ * Up to maxVideos entries of a channel tab or playlist, in page order: the items
+ * embedded in the page, then continuation pages from youtubei/v1/browse until
+ * enough are listed or the list runs out. A failed continuation keeps what was
+ * listed. Returns { videos, pages, complete }.
+ */
+async function listVideoItems(html, root, maxVideos, onProgress, signal) {
+  const seen = new Set();
+  const videos = [];
+  const addFrom = (node) => {
+    const items = [];
+    collectVideoItems(node, items);
+    for (const item of items) {
+      if (!item.videoId || seen.has(item.videoId)) continue;
+      seen.add(item.videoId);
+      videos.push(item);
+    }
+  };
+
+  addFrom(root);
+  let token = findContinuationToken(root);
+  let pages = 1;
+  onProgress?.({ phase: 'listing', listed: videos.length, target: maxVideos, pages });
+
+  const cfg = extractInnertubeConfig(html);
+  const maxPages = Math.ceil(maxVideos / VIDEOS_PER_PAGE) + 5;
+  while (videos.length < maxVideos && token && cfg.apiKey && cfg.clientVersion && pages < maxPages) {
+    signal?.throwIfAborted();
+    let page;
+    try {
+      page = await fetchBrowseContinuation(cfg, token, signal);
+    } catch (e) {
+      signal?.throwIfAborted();
+      console.warn(`continuation page ${pages + 1} failed: ${e?.message || e}`);
+      break;
+    }
+    const items = page?.onResponseReceivedActions || page?.onResponseReceivedEndpoints || [];
+    const before = videos.length;
+    addFrom(items);
+    token = findContinuationToken(items);
+    pages++;
+    onProgress?.({ phase: 'listing', listed: videos.length, target: maxVideos, pages });
+    // Same page again (or an empty one): stop instead of looping
+    if (videos.length === before) break;
+  }
+
+  return { videos: videos.slice(0, maxVideos), pages, complete: !token };
+}
+
 function parseDurationTextSeconds(text) {
   if (!text || typeof text !== 'string') return null;
   const parts = text
@@ -360,18 +575,35 @@ function parseDurationTextSeconds(text) {
   return null;
 }
 
-function extractChannelMeta(ytInitialData, handle) {
-  const title =
-    ytInitialData?.header?.c4TabbedHeaderRenderer?.title ||
-    ytInitialData?.metadata?.channelMetadataRenderer?.title ||
-    handle;
-  const channelId = ytInitialData?.metadata?.channelMetadataRenderer?.externalId || handle;
-  return { channelTitle: title || handle, channelId: channelId || handle };
+/**
+ * Canonical identity from a channel page: { channelId, channelTitle, channelHandle, channelUrl }.
+ * target is the parsed input, used when the page leaves a field out.
+ */
+function extractChannelMeta(ytInitialData, target) {
+  const meta = ytInitialData?.metadata?.channelMetadataRenderer;
+  const title = ytInitialData?.header?.c4TabbedHeaderRenderer?.title || meta?.title || target.value;
+  const channelId = meta?.externalId || (target.kind === 'channel_id' ? target.value : null);
+  let handle = (String(meta?.vanityChannelUrl || '').match(/\/@([^/?#]+)/) || [])[1] || null;
+  try {
+    if (handle) handle = decodeURIComponent(handle);
+  } catch {
+    // keep the encoded form
+  }
+  if (!handle && target.kind === 'handle') handle = target.value;
+  return {
+    channelId: channelId || target.value,
+    channelTitle: title || target.value,
+    channelHandle: handle ? `@${handle}` : null,
+    channelUrl: CHANNEL_ID_RE.test(channelId || '')
+      ? `https://www.youtube.com/channel/${channelId}`
+      : `https://www.youtube.com${CHANNEL_PATHS[target.kind](target.value)}`,
+  };
 }
 
-async function fetchHtml(url) {
+async function fetchHtml(url, timeout = WATCH_TIMEOUT_MS, signal) {
   const res = await axios.get(url, {
-    timeout: 20000,
+    timeout,
+    signal,
     headers: {
       'User-Agent':
         'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
@@ -382,8 +614,38 @@ async function fetchHtml(url) {
   return res.data;
 }
 
-async function fetchVideoDetails(videoId) {
-  const html = await fetchHtml(`https://www.youtube.com/watch?v=${videoId}`);
+// The uploader's channel id, from the video's watch page
+async function channelIdOfVideo(videoId, signal) {
+  let html;
+  try {
+    html = await fetchHtml(`https://www.youtube.com/watch?v=${videoId}`, undefined, signal);
+  } catch (e) {
+    signal?.throwIfAborted();
+    throw new Error(`Could not find the channel of video ${videoId}: ${e?.message || e}`);
+  }
+  let player = null;
+  try {
+    player = JSON.parse(
+      extractJsonByMarkers(html, ['var ytInitialPlayerResponse = ', 'window["ytInitialPlayerResponse"] = ', 'ytInitialPlayerResponse = ']) || 'null'
+    );
+  } catch {
+    // fall through to the raw page search
+  }
+  const channelId =
+    player?.videoDetails?.channelId ||
+    player?.microformat?.playerMicroformatRenderer?.externalChannelId ||
+    (html.match(/"channelId":"(UC[\w-]{22})"/) || [])[1];
+  if (!CHANNEL_ID_RE.test(channelId || '')) throw new Error(`Could not find the channel of video ${videoId}`);
+  return channelId;
+}
+
+/**
+ * Metadata and transcript of one video. timeout bounds the watch-page request;
+ * the follow-up requests stop at deadline (the scrape's time budget) too.
+ */
+async function fetchVideoDetails(videoId, { timeout = WATCH_TIMEOUT_MS, deadline = Infinity, signal } = {}) {
+  const html = await fetchHtml(`https://www.youtube.com/watch?v=${videoId}`, timeout, signal);
+  const followUp = () => ({ timeout: Math.max(1, Math.min(FOLLOW_UP_TIMEOUT_MS, deadline - Date.now())), signal });
   const playerJsonString = extractJsonByMarkers(html, [
     'var ytInitialPlayerResponse = ',
     'window["ytInitialPlayerResponse"] = ',
@@ -414,7 +676,7 @@ async function fetchVideoDetails(videoId) {
   const durationSeconds = Number(details.lengthSeconds);
   const publishRaw = micro.publishDate || micro.uploadDate || null;
   let captionTracks = playerData?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
-  let transcript = await fetchTranscriptFromTracks(captionTracks);
+  let transcript = await fetchTranscriptFromTracks(captionTracks, followUp());
 
   // view count: prefer player response, fallback watch-page initial data strings
   let viewCount = parseCountText(details.viewCount);
@@ -458,20 +720,20 @@ async function fetchVideoDetails(videoId) {
     }
   }
   if (comment.count === null) {
-    const viaNext = await fetchCommentCountViaInnertube(html, videoId);
+    const viaNext = await fetchCommentCountViaInnertube(html, videoId, followUp());
     if (viaNext.count !== null) comment = viaNext;
   }
 
   let description = details.shortDescription || getText(micro.description) || '';
   if (!description || !description.trim() || !transcript) {
-    const playerViaInnertube = await fetchPlayerDataViaInnertube(html, videoId);
+    const playerViaInnertube = await fetchPlayerDataViaInnertube(html, videoId, followUp());
     const innerDetails = playerViaInnertube?.videoDetails || {};
     if ((!description || !description.trim()) && innerDetails.shortDescription) {
       description = innerDetails.shortDescription;
     }
     if (!transcript) {
       captionTracks = playerViaInnertube?.captions?.playerCaptionsTracklistRenderer?.captionTracks || captionTracks;
-      transcript = await fetchTranscriptFromTracks(captionTracks);
+      transcript = await fetchTranscriptFromTracks(captionTracks, followUp());
     }
   }
 
@@ -511,102 +773,315 @@ function backwardInductionDate(relative, now = new Date()) {
   return Number.isNaN(d.getTime()) ? null : d;
 }
 
-async function scrapeYouTubeChannelData(channelUrl, rawMaxVideos = 10) {
-  const handle = extractHandle(channelUrl);
-  if (!handle) throw new Error('Invalid YouTube channel URL. Use format: https://www.youtube.com/@handle');
+// ── Video detail fetching ───────────────────────────────────────────────────
+
+// Resolves after ms, or rejects with the signal's reason as soon as it aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// 429, 5xx and requests that got no response are worth another try; other 4xx and parse errors aren't
+function isRetryable(err) {
+  const status = err?.response?.status;
+  if (status) return status === 429 || status >= 500;
+  return Boolean(err?.isAxiosError);
+}
+
+// Exponential backoff with jitter (between half and all of the ceiling), or Retry-After when sent
+function retryDelay(err, attempt) {
+  const retryAfter = Number(err?.response?.headers?.['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(RETRY_MAX_MS, retryAfter * 1000);
+  const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+/**
+ * fetchVideoDetails with retries. Gives up early when the next attempt would
+ * start past deadline. Returns { detail, attempts }; a thrown error carries .attempts.
+ */
+async function fetchVideoDetailsWithRetry(videoId, deadline, retries, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const timeout = Math.max(1000, Math.min(WATCH_TIMEOUT_MS, deadline - Date.now()));
+      return { detail: await fetchVideoDetails(videoId, { timeout, deadline, signal }), attempts: attempt + 1 };
+    } catch (err) {
+      signal?.throwIfAborted();
+      const delay = retryDelay(err, attempt);
+      if (attempt >= retries || !isRetryable(err) || Date.now() + delay >= deadline) {
+        err.attempts = attempt + 1;
+        throw err;
+      }
+      const status = err?.response?.status;
+      console.warn(`retrying video ${videoId} in ${Math.round(delay)} ms (${status || err?.code || 'error'}, attempt ${attempt + 1})`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/** Run worker over items with at most `limit` in flight; results keep the items' order. */
+async function mapPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+// One output video from its listing entry and watch-page details (null: listing data only)
+function toVideoRecord(v, detail) {
+  const induced = !detail?.releaseDate ? backwardInductionDate(v.relativePublished) : null;
+  const inducedIso = induced ? normalizeIsoDate(induced.toISOString()) : null;
+  const durationSeconds = detail?.duration ?? parseDurationTextSeconds(v.durationText);
+  return {
+    videoId: v.videoId,
+    title: v.title,
+    contentType: v.contentType,
+    description: detail?.description || '',
+    transcript: detail?.transcript || null,
+    duration: Number.isFinite(durationSeconds) ? durationSeconds : 0,
+    releaseDate: detail?.releaseDate || inducedIso,
+    viewCount: detail?.viewCount ?? v.viewCount ?? 0,
+    likeCount: detail ? detail.likeCount : null,
+    commentCount: detail ? detail.commentCount : null,
+    videoUrl: `https://www.youtube.com/watch?v=${v.videoId}`,
+    thumbnail: `https://i.ytimg.com/vi/${v.videoId}/hqdefault.jpg`,
+  };
+}
+
+/**
+ * Details for every listed video through a pool of `concurrency` workers.
+ * Videos whose fetch fails keep their listing data (status "fallback"); once the
+ * deadline passes, the ones not started yet are "skipped" the same way. An
+ * aborted signal rejects with its reason.
+ * Returns { videos, outcomes: [{ videoId, status, attempts, ms, error? }] }.
+ */
+async function fetchAllVideoDetails(listed, { concurrency, retries, deadline, onProgress, signal }) {
+  let done = 0;
+  const results = await mapPool(listed, concurrency, async (v) => {
+    signal?.throwIfAborted();
+    const started = Date.now();
+    let detail = null;
+    let outcome;
+    if (started >= deadline) {
+      outcome = { videoId: v.videoId, status: 'skipped', attempts: 0, ms: 0, error: 'time budget exhausted' };
+    } else {
+      try {
+        const fetched = await fetchVideoDetailsWithRetry(v.videoId, deadline, retries, signal);
+        detail = fetched.detail;
+        outcome = { videoId: v.videoId, status: 'ok', attempts: fetched.attempts, ms: Date.now() - started };
+        if (detail.commentCount === null) {
+          console.warn(`Comment count unavailable for video ${v.videoId}; source=${detail.commentCountSource || 'none'}`);
+        }
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        console.warn(`watch fetch failed for video ${v.videoId}: ${e?.message || e}`);
+        const error = e?.response?.status ? `HTTP ${e.response.status}` : e?.message || String(e);
+        outcome = { videoId: v.videoId, status: 'fallback', attempts: e?.attempts || 1, ms: Date.now() - started, error };
+      }
+    }
+    done++;
+    onProgress?.({
+      phase: 'details',
+      done,
+      total: listed.length,
+      videoId: v.videoId,
+      status: outcome.status,
+      transcript: Boolean(detail?.transcript),
+    });
+    return { video: toVideoRecord(v, detail), outcome };
+  });
+  return { videos: results.map((r) => r.video), outcomes: results.map((r) => r.outcome) };
+}
+
+function summarizeOutcomes(outcomes, { concurrency, retries, budgetMs, elapsedMs }) {
+  const counts = { ok: 0, fallback: 0, skipped: 0 };
+  for (const o of outcomes) counts[o.status]++;
+  return {
+    concurrency,
+    retries,
+    budgetMs,
+    elapsedMs,
+    budgetExhausted: counts.skipped > 0,
+    counts,
+    retried: outcomes.filter((o) => o.attempts > 1).length,
+    videos: outcomes,
+  };
+}
 
-  const maxVideos = Math.min(100, Math.max(1, parseInt(rawMaxVideos || '10', 10)));
-  const videosPageUrl = `https://www.youtube.com/@${handle}/videos`;
-  const html = await fetchHtml(videosPageUrl);
+// ── Channel scrape ──────────────────────────────────────────────────────────
 
+function parseInitialData(html) {
   const ytInitialDataRaw =
     extractJsonAfterMarker(html, 'var ytInitialData = ') ||
     extractJsonAfterMarker(html, 'window["ytInitialData"] = ') ||
     extractJsonAfterMarker(html, 'ytInitialData = ');
   if (!ytInitialDataRaw) throw new Error('ytInitialData not found');
-
-  let ytInitialData;
   try {
-    ytInitialData = JSON.parse(ytInitialDataRaw);
+    return JSON.parse(ytInitialDataRaw);
   } catch {
     throw new Error('Failed to parse ytInitialData');
   }
+}
 
-  const videosTab = pickVideosTab(ytInitialData);
-  if (!videosTab) throw new Error('Videos tab not found in ytInitialData');
-  const channelMeta = extractChannelMeta(ytInitialData, handle);
+// Videos of each podcast playlist on the tab, up to maxVideos in total
+async function listPodcastVideos(tab, maxVideos, onProgress, signal) {
+  const videos = [];
+  let pages = 0;
+  let complete = true;
+  for (const playlistId of findPodcastPlaylistIds(tab)) {
+    if (videos.length >= maxVideos) {
+      complete = false;
+      break;
+    }
+    const html = await fetchHtml(`https://www.youtube.com/playlist?list=${encodeURIComponent(playlistId)}`, undefined, signal);
+    const listed = videos.length;
+    const pagesBefore = pages;
+    const listing = await listVideoItems(
+      html,
+      parseInitialData(html)?.contents,
+      maxVideos - listed,
+      (p) => onProgress?.({ ...p, listed: listed + p.listed, target: maxVideos, pages: pagesBefore + p.pages }),
+      signal
+    );
+    videos.push(...listing.videos);
+    pages += listing.pages;
+    complete = complete && listing.complete;
+  }
+  return { videos, pages, complete };
+}
 
-  const renderers = [];
-  collectVideoRenderers(videosTab, renderers);
-  if (!renderers.length) throw new Error('No videos found');
+/**
+ * List one tab of the channel at basePath (e.g. /@handle, /channel/UC…).
+ * Returns { channelMeta, videos, pages, complete }, each video tagged with the
+ * tab's contentType; throws when the channel has no such tab.
+ */
+async function listChannelTab(basePath, target, tabName, maxVideos, onProgress, signal) {
+  const html = await fetchHtml(`https://www.youtube.com${basePath}/${CHANNEL_TABS[tabName].path}`, undefined, signal);
+  const ytInitialData = parseInitialData(html);
+  const tab = pickTab(ytInitialData, tabName);
+  if (!tab) {
+    throw new Error(tabName === 'videos' ? 'Videos tab not found in ytInitialData' : `Channel has no ${tabName} tab`);
+  }
+  const tabProgress = (p) => onProgress?.({ ...p, tab: tabName });
+  const listing =
+    tabName === 'podcasts'
+      ? await listPodcastVideos(tab, maxVideos, tabProgress, signal)
+      : await listVideoItems(html, tab, maxVideos, tabProgress, signal);
+  const { contentType } = CHANNEL_TABS[tabName];
+  return {
+    ...listing,
+    channelMeta: extractChannelMeta(ytInitialData, target),
+    videos: listing.videos.map((v) => ({ ...v, contentType })),
+  };
+}
 
-  const top = renderers.slice(0, maxVideos).map((vr) => {
-    return {
-      videoId: vr.videoId || '',
-      title: getText(vr.title) || '',
-      relativePublished: getText(vr.publishedTimeText) || null,
-      durationText: getText(vr.lengthText) || null,
-      viewCount: parseCountText(getText(vr.viewCountText)),
-    };
-  }).filter((v) => v.videoId);
+/**
+ * Channel metadata plus details for its newest videos on each requested tab
+ * (CHANNEL_TAB_NAMES; maxVideos applies per tab). channelUrl is any form
+ * parseChannelInput accepts; a video URL scrapes its uploader's channel. The
+ * result carries the canonical channelId, channelHandle and channelUrl, and
+ * resolvedFrom (the input's kind). onProgress receives
+ * { phase: 'listing', tab, listed, target, pages } while a tab is paged
+ * through, then { phase: 'details', done, total, videoId, status, transcript }
+ * as each video finishes. concurrency, retries and budgetMs default to the env
+ * settings; the budget counts from the start of the scrape. The result's
+ * fetchSummary reports how each video's details were fetched. Aborting signal
+ * stops the scrape and rejects with the signal's reason.
+ */
+async function scrapeYouTubeChannelData(
+  channelUrl,
+  rawMaxVideos = 10,
+  {
+    tabs = ['videos'],
+    onProgress,
+    signal,
+    concurrency = FETCH_CONCURRENCY,
+    retries = FETCH_RETRIES,
+    budgetMs = SCRAPE_BUDGET_MS,
+  } = {}
+) {
+  const started = Date.now();
+  const deadline = started + budgetMs;
+  const target = parseChannelInput(channelUrl);
+  if (!target) throw new Error(INVALID_CHANNEL_MESSAGE);
+  const tabNames = [...new Set(tabs)];
+  const unknown = tabNames.filter((t) => !CHANNEL_TABS[t]);
+  if (!tabNames.length || unknown.length) throw new Error(`tabs must be one or more of: ${CHANNEL_TAB_NAMES.join(', ')}`);
 
-  const videos = [];
-  for (const v of top) {
+  const maxVideos = Math.min(MAX_CHANNEL_VIDEOS, Math.max(1, parseInt(rawMaxVideos || '10', 10)));
+  // A video URL scrapes its uploader's channel, addressed by id; resolvedFrom keeps the input's kind
+  const channelTarget =
+    target.kind === 'video' ? { kind: 'channel_id', value: await channelIdOfVideo(target.value, signal) } : target;
+  let basePath = CHANNEL_PATHS[channelTarget.kind](channelTarget.value);
+  let channelMeta = null;
+  const tabSummary = {};
+  // videoId → listed video; a live stream or podcast episode also shows up on the
+  // Videos tab, so the more specific contentType wins
+  const listed = new Map();
+  for (const tabName of tabNames) {
+    let listing;
     try {
-      const detail = await fetchVideoDetails(v.videoId);
-      const induced = !detail.releaseDate ? backwardInductionDate(v.relativePublished) : null;
-      const inducedIso = induced ? normalizeIsoDate(induced.toISOString()) : null;
-      const finalIso = detail.releaseDate || inducedIso;
-      const finalDurationSeconds =
-        detail.duration ??
-        parseDurationTextSeconds(v.durationText);
-      videos.push({
-        videoId: v.videoId,
-        title: v.title,
-        description: detail.description || '',
-        transcript: detail.transcript || null,
-        duration: Number.isFinite(finalDurationSeconds) ? finalDurationSeconds : 0,
-        releaseDate: finalIso,
-        viewCount: detail.viewCount ?? v.viewCount ?? 0,
-        likeCount: detail.likeCount,
-        commentCount: detail.commentCount,
-        videoUrl: `https://www.youtube.com/watch?v=${v.videoId}`,
-        thumbnail: `https://i.ytimg.com/vi/${v.videoId}/hqdefault.jpg`,
-      });
-      if (detail.commentCount === null) {
-        console.warn(`Comment count unavailable for video ${v.videoId}; source=${detail.commentCountSource || 'none'}`);
-      }
+      listing = await listChannelTab(basePath, channelTarget, tabName, maxVideos, onProgress, signal);
     } catch (e) {
-      console.warn(`watch fetch failed for video ${v.videoId}: ${e?.message || e}`);
-      const induced = backwardInductionDate(v.relativePublished);
-      const inducedIso = induced ? normalizeIsoDate(induced.toISOString()) : null;
-      const fallbackDurationSeconds = parseDurationTextSeconds(v.durationText);
-      videos.push({
-        videoId: v.videoId,
-        title: v.title,
-        description: '',
-        transcript: null,
-        duration: Number.isFinite(fallbackDurationSeconds) ? fallbackDurationSeconds : 0,
-        releaseDate: inducedIso,
-        viewCount: v.viewCount ?? 0,
-        likeCount: null,
-        commentCount: null,
-        videoUrl: `https://www.youtube.com/watch?v=${v.videoId}`,
-        thumbnail: `https://i.ytimg.com/vi/${v.videoId}/hqdefault.jpg`,
-      });
+      // One tab requested: its error is the request's error. Otherwise skip the tab.
+      if (tabNames.length === 1 || signal?.aborted) throw e;
+      console.warn(`skipping ${tabName} tab for ${basePath}: ${e?.message || e}`);
+      tabSummary[tabName] = { listed: 0, error: e?.message || String(e) };
+      continue;
+    }
+    if (!channelMeta) {
+      channelMeta = listing.channelMeta;
+      // Later tabs by channel id: custom and user URLs don't always resolve every tab
+      if (CHANNEL_ID_RE.test(channelMeta.channelId)) basePath = CHANNEL_PATHS.channel_id(channelMeta.channelId);
+    }
+    tabSummary[tabName] = { listed: listing.videos.length };
+    if (listing.videos.length < maxVideos && !listing.complete) {
+      console.warn(`listed ${listing.videos.length} of ${maxVideos} requested ${tabName} for ${basePath} after ${listing.pages} page(s)`);
+    }
+    for (const v of listing.videos) {
+      const existing = listed.get(v.videoId);
+      if (!existing) listed.set(v.videoId, v);
+      else if (existing.contentType === 'video') existing.contentType = v.contentType;
     }
   }
+  const top = [...listed.values()];
+  if (!top.length) throw new Error('No videos found');
 
-  if (!videos.length) throw new Error('No videos found');
+  const { videos, outcomes } = await fetchAllVideoDetails(top, { concurrency, retries, deadline, onProgress, signal });
+  const fetchSummary = summarizeOutcomes(outcomes, { concurrency, retries, budgetMs, elapsedMs: Date.now() - started });
   return {
     channelId: channelMeta.channelId,
     channelTitle: channelMeta.channelTitle,
+    channelHandle: channelMeta.channelHandle,
+    channelUrl: channelMeta.channelUrl,
+    resolvedFrom: target.kind,
+    tabs: tabSummary,
+    fetchSummary,
     videos,
   };
 }
 
 module.exports = {
+  MAX_CHANNEL_VIDEOS,
+  CHANNEL_TAB_NAMES,
+  CONTENT_TYPE_LABELS,
+  INVALID_CHANNEL_MESSAGE,
   scrapeYouTubeChannelData,
-  extractHandle,
+  parseChannelInput,
 };
-
@@ -1,14 +1,15 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import Auth from './components/Auth';
 import Chat from './components/Chat';
 import YouTubeChannelDownload from './components/YouTubeChannelDownload';
+import { getAuthTokens, clearAuthTokens, setAuthFailureHandler } from './services/mongoApi';
 import './App.css';
 
 function App() {
   const [user, setUser] = useState(() => {
     try {
       const raw = localStorage.getItem('chatapp_user');
-      if (!raw) return null;
+      if (!raw || !getAuthTokens()) return null;
       const data = JSON.parse(raw);
       return data && data.username ? data : null;
     } catch {
@@ -28,9 +29,19 @@ function App() {
 
   const handleLogout = () => {
     localStorage.removeItem('chatapp_user');
+    clearAuthTokens();
     setUser(null);
   };
 
+  // Expired/revoked tokens that can't be refreshed send the user back to login.
+  useEffect(() => {
+    setAuthFailureHandler(() => {
+      localStorage.removeItem('chatapp_user');
+      setUser(null);
+    });
+    return () => setAuthFailureHandler(null);
+  }, []);
+
   if (!user) return <Auth onLogin={handleLogin} />;
 
   return (
@@ -0,0 +1,44 @@
+import { useState } from 'react';
+import { serializeCsvRow } from '../services/csvParser';
+import './MetricVsTimeChart.css';
+
+// Frame for tool charts: title, "Download CSV" of the plotted data and an
+// enlarge overlay. children(height) renders the recharts chart at that height.
+export default function ChartPanel({ title, columns, rows, fileName, height = 260, children }) {
+  const [enlarged, setEnlarged] = useState(false);
+
+  const handleDownload = () => {
+    const csv = [serializeCsvRow(columns), ...rows.map((r) => serializeCsvRow(columns.map((c) => r[c])))].join('\n');
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  };
+
+  const content = (
+    <>
+      <div className="metric-vs-time-header">
+        <span>{title}</span>
+        <div className="metric-vs-time-actions">
+          <button type="button" onClick={handleDownload}>Download CSV</button>
+          <button type="button" onClick={() => setEnlarged((e) => !e)}>{enlarged ? 'Shrink' : 'Enlarge'}</button>
+        </div>
+      </div>
+      {children(enlarged ? 400 : height)}
+    </>
+  );
+
+  if (enlarged) {
+    return (
+      <div className="metric-vs-time-enlarged" onClick={() => setEnlarged(false)} role="button" tabIndex={0} onKeyDown={(e) => e.key === 'Escape' && setEnlarged(false)}>
+        <div className="metric-vs-time-enlarged-inner" onClick={(e) => e.stopPropagation()}>
+          {content}
+        </div>
+      </div>
+    );
+  }
+
+  return <div className="metric-vs-time-wrap">{content}</div>;
+}
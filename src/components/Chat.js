@@ -1,23 +1,28 @@
 import { useState, useEffect, useRef } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
-import { streamChat, chatWithCsvTools, chatWithYouTubeTools } from '../services/gemini';
-import { parseCsvToRows, executeTool, computeDatasetSummary, enrichWithEngagement, buildSlimCsv } from '../services/csvTools';
-import { executeYouTubeTool } from '../services/youtubeTools';
+import { streamChat, chatWithTools } from '../services/gemini';
+import { parseCsvToRows, prepareCsvDataset, deriveCsvDataset } from '../services/csvTools';
+import { executeRegisteredTool } from '../services/toolRegistry';
 import { normalizeVideosReleaseDates } from '../services/dateNormalization';
 import {
   getSessions,
   createSession,
   deleteSession,
+  exportSession,
   saveMessage,
   loadMessages,
+  getSessionSummary,
+  refreshSessionSummary,
+  loadSessionDatasets,
+  saveSessionDataset,
+  deleteSessionDataset,
+  saveComputedColumns,
+  labelTexts,
   generateImage as apiGenerateImage,
 } from '../services/mongoApi';
-import EngagementChart from './EngagementChart';
-import MetricVsTimeChart from './MetricVsTimeChart';
-import PlayVideoCard from './PlayVideoCard';
-import GeneratedImage from './GeneratedImage';
-import StatsJsonCard from './StatsJsonCard';
+import ToolChart from './ToolChart';
+import ComputedColumnsPanel from './ComputedColumnsPanel';
 import './Chat.css';
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
@@ -35,22 +40,23 @@ const toBase64 = (str) => {
   return btoa(binary);
 };
 
-const parseCSV = (text) => {
-  const lines = text.split('\n').filter((l) => l.trim());
-  if (!lines.length) return null;
-  const headers = lines[0].split(',').map((h) => h.trim().replace(/^"|"$/g, ''));
-  const rowCount = lines.length - 1;
-
-  // Short human-readable preview (header + first 5 rows) for context
-  const preview = lines.slice(0, 6).join('\n');
-
-  // Full CSV as base64 — avoids ALL string-escaping issues in Python code execution
-  // (tweet text with quotes, apostrophes, emojis, etc. all break triple-quoted strings)
-  const raw = text.length > 500000 ? text.slice(0, 500000) : text;
-  const base64 = toBase64(raw);
-  const truncated = text.length > 500000;
+// The pandas fallback embeds at most this much of the raw CSV as base64
+const CSV_BASE64_LIMIT = 500000;
+
+// Parse a CSV File or string into a prepared dataset, in a Web Worker when the
+// browser has one (large files stay responsive), else on the main thread.
+const loadCsvDataset = async (source, onProgress) => {
+  if (typeof Worker !== 'undefined') {
+    const { parseCsvInWorker } = await import('../services/csvWorkerClient');
+    return parseCsvInWorker(source, { onProgress });
+  }
+  const text = typeof source === 'string' ? source : await source.text();
+  return prepareCsvDataset(parseCsvToRows(text));
+};
 
-  return { headers, rowCount, preview, base64, truncated };
+const formatCsvProgress = (name, { rows, bytes, totalBytes }) => {
+  const pct = totalBytes ? ` · ${Math.round((bytes / totalBytes) * 100)}%` : '';
+  return `Parsing ${name}: ${rows.toLocaleString()} rows${pct}`;
 };
 
 // Normalize channel JSON: accept snake_case (video_url, video_id, etc.) and ensure camelCase for tools
@@ -86,6 +92,18 @@ const messageText = (m) => {
   return m.content || '';
 };
 
+// Plain-text history for Gemini. seq/tokenEstimate (set once a message is saved)
+// let the history trimmer swap turns covered by the session summary for the summary.
+const toHistory = (messages) =>
+  messages
+    .filter((m) => m.role === 'user' || m.role === 'model')
+    .map((m) => ({
+      role: m.role,
+      content: m.content || messageText(m),
+      seq: m.seq,
+      tokenEstimate: m.tokenEstimate,
+    }));
+
 // ── Structured part renderer (code execution responses) ───────────────────────
 
 function StructuredParts({ parts }) {
@@ -158,18 +176,35 @@ export default function Chat({ user, onLogout }) {
   const [sessionSlimCsv, setSessionSlimCsv] = useState(null);
   const [channelJsonData, setChannelJsonData] = useState(null);
   const [channelJsonFileName, setChannelJsonFileName] = useState(null);
+  const [csvFileName, setCsvFileName] = useState(null);
   const [channelLoadNotice, setChannelLoadNotice] = useState('');
+  const [csvLoadNotice, setCsvLoadNotice] = useState('');
+  const [computedColumns, setComputedColumns] = useState([]);
+  const [computedColumnErrors, setComputedColumnErrors] = useState([]);
+  const [showComputedColumns, setShowComputedColumns] = useState(false);
+  const [conversationSummary, setConversationSummary] = useState(null);
   const [streaming, setStreaming] = useState(false);
   const [dragOver, setDragOver] = useState(false);
   const [openMenuId, setOpenMenuId] = useState(null);
 
   const bottomRef = useRef(null);
   const inputRef = useRef(null);
-  const abortRef = useRef(false);
+  // AbortController of the message being sent; Stop aborts its requests and tool calls
+  const abortRef = useRef(null);
   const fileInputRef = useRef(null);
   // Set to true immediately before setActiveSessionId() is called during a send
   // so the messages useEffect knows to skip the reload (streaming is in progress).
   const justCreatedSessionRef = useRef(false);
+  // Datasets loaded before the session exists; saved once the first send creates it
+  const pendingDatasetsRef = useRef({});
+  // Session whose datasets are being restored (ignores late responses after switching)
+  const datasetSessionRef = useRef(null);
+  // Parsed CSV before computed columns, and the current definitions (read by tool calls mid-stream)
+  const csvBaseRef = useRef(null);
+  const computedColumnsRef = useRef([]);
+  const pendingComputedColumnsRef = useRef(null);
+  // label_text cache ({ column, columns, topics, labels }), added as columns like the computed ones
+  const textLabelsRef = useRef(null);
 
   const withTimeout = (p, ms = 90000) =>
     Promise.race([
@@ -183,7 +218,7 @@ export default function Chat({ user, onLogout }) {
   useEffect(() => {
     const init = async () => {
       try {
-        const list = await getSessions(username);
+        const list = await getSessions();
         setSessions(list);
       } catch (err) {
         console.error('[chat] failed to load sessions:', err);
@@ -197,6 +232,7 @@ export default function Chat({ user, onLogout }) {
   useEffect(() => {
     if (!activeSessionId || activeSessionId === 'new') {
       setMessages([]);
+      setConversationSummary(null);
       return;
     }
     // If a session was just created during an active send, messages are already
@@ -206,12 +242,16 @@ export default function Chat({ user, onLogout }) {
       return;
     }
     setMessages([]);
+    setConversationSummary(null);
     loadMessages(activeSessionId)
       .then(setMessages)
       .catch((err) => {
         console.error('[chat] failed to load messages:', err);
         setMessages([]);
       });
+    getSessionSummary(activeSessionId)
+      .then(({ summary }) => setConversationSummary(summary ? { ...summary, sessionId: activeSessionId } : null))
+      .catch((err) => console.warn('[chat] failed to load summary:', err.message));
   }, [activeSessionId]);
 
   useEffect(() => {
@@ -228,20 +268,6 @@ export default function Chat({ user, onLogout }) {
     ]);
   }, [activeSessionId, messages.length, user?.firstName, user?.username]);
 
-  useEffect(() => {
-    try {
-      const raw = localStorage.getItem('youtube_channel_data');
-      if (!raw) return;
-      const parsed = JSON.parse(raw);
-      const videos = normalizeChannelVideos(parsed?.videos || []);
-      if (!Array.isArray(videos) || !videos.length) return;
-      setChannelJsonData({ channelTitle: parsed?.channelTitle || parsed?.channel?.channelTitle || '', videos });
-      setChannelJsonFileName(parsed?.fileName || 'youtube_channel_data.json');
-    } catch {
-      // Ignore malformed localStorage payloads.
-    }
-  }, []);
-
   useEffect(() => {
     bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
@@ -261,10 +287,7 @@ export default function Chat({ user, onLogout }) {
     setInput('');
     setImages([]);
     setCsvContext(null);
-    setSessionCsvRows(null);
-    setSessionCsvHeaders(null);
-    setChannelJsonData(null);
-    setChannelJsonFileName(null);
+    clearDatasets();
   };
 
   const handleSelectSession = (sessionId) => {
@@ -273,8 +296,8 @@ export default function Chat({ user, onLogout }) {
     setInput('');
     setImages([]);
     setCsvContext(null);
-    setSessionCsvRows(null);
-    setSessionCsvHeaders(null);
+    clearDatasets();
+    restoreDatasets(sessionId);
   };
 
   const handleDeleteSession = async (sessionId, e) => {
@@ -284,8 +307,242 @@ export default function Chat({ user, onLogout }) {
     const remaining = sessions.filter((s) => s.id !== sessionId);
     setSessions(remaining);
     if (activeSessionId === sessionId) {
-      setActiveSessionId(remaining.length > 0 ? remaining[0].id : 'new');
+      const nextId = remaining.length > 0 ? remaining[0].id : 'new';
+      setActiveSessionId(nextId);
       setMessages([]);
+      clearDatasets();
+      if (nextId !== 'new') restoreDatasets(nextId);
+    }
+  };
+
+  // 'html' / 'md' download the report; 'pdf' opens the HTML report with the
+  // browser's print dialog (Save as PDF).
+  const handleExportSession = async (sessionId, format, e) => {
+    e.stopPropagation();
+    setOpenMenuId(null);
+    // Opened before the request so the popup isn't blocked
+    const printWindow = format === 'pdf' ? window.open('', '_blank') : null;
+    try {
+      const { text, fileName } = await exportSession(sessionId, format === 'pdf' ? 'html' : format);
+      if (printWindow) {
+        printWindow.document.write(text);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+        return;
+      }
+      const blob = new Blob([text], { type: format === 'md' ? 'text/markdown' : 'text/html' });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = fileName;
+      a.click();
+      URL.revokeObjectURL(a.href);
+    } catch (err) {
+      printWindow?.close();
+      console.error('[chat] failed to export session:', err);
+      window.alert(`Export failed: ${err.message}`);
+    }
+  };
+
+  // ── Session datasets ────────────────────────────────────────────────────────
+  // The CSV and channel JSON loaded in a chat are stored with its session on the
+  // server, so reopening the session brings back the same data.
+
+  const showCsvDataset = (base, definitions) => {
+    const derived = deriveCsvDataset(base, definitions, textLabelsRef.current);
+    setSessionCsvHeaders(derived.headers);
+    setSessionCsvRows(derived.rows);
+    setCsvDataSummary(derived.summary);
+    setSessionSlimCsv(derived.slimCsv);
+    setComputedColumnErrors(derived.errors);
+  };
+
+  // dataset: from prepareCsvDataset (rows with the computed engagement col, summary, slim CSV);
+  // the session's text labels and computed columns are added on top
+  const applyCsvDataset = (dataset, fileName) => {
+    csvBaseRef.current = dataset;
+    setCsvFileName(fileName);
+    showCsvDataset(dataset, computedColumnsRef.current);
+  };
+
+  // Replace the computed column definitions (panel or add_computed_column tool),
+  // re-derive the rows and save them with the session.
+  const changeComputedColumns = (next, sessionId = activeSessionId) => {
+    computedColumnsRef.current = next;
+    setComputedColumns(next);
+    if (csvBaseRef.current) showCsvDataset(csvBaseRef.current, next);
+    if (!sessionId || sessionId === 'new') {
+      pendingComputedColumnsRef.current = next;
+      return;
+    }
+    saveComputedColumns(sessionId, next).catch((err) =>
+      console.error('[chat] failed to save computed columns:', err)
+    );
+  };
+
+  // New labels from the label_text tool: re-derive the rows and save them as the 'labels' dataset
+  const changeTextLabels = (next, sessionId) => {
+    textLabelsRef.current = next;
+    if (csvBaseRef.current) showCsvDataset(csvBaseRef.current, computedColumnsRef.current);
+    persistDataset('labels', 'text_labels.json', JSON.stringify(next), sessionId);
+  };
+
+  // Parse a CSV (File, or text restored from the server), showing row progress
+  // in the chip area. Returns null if it has no data rows or fails to parse.
+  const parseCsvWithProgress = async (source, name) => {
+    setCsvLoadNotice(`Parsing ${name}…`);
+    try {
+      const dataset = await loadCsvDataset(source, (p) => setCsvLoadNotice(formatCsvProgress(name, p)));
+      if (!dataset.rowCount) {
+        setCsvLoadNotice(`${name} has no data rows`);
+        return null;
+      }
+      setCsvLoadNotice('');
+      return dataset;
+    } catch (err) {
+      console.error('[chat] failed to parse CSV:', err);
+      setCsvLoadNotice(`Could not parse ${name}: ${err.message}`);
+      return null;
+    }
+  };
+
+  const loadCsvFile = async (file) => {
+    const sessionId = datasetSessionRef.current;
+    const dataset = await parseCsvWithProgress(file, file.name);
+    if (!dataset || datasetSessionRef.current !== sessionId) return;
+    const head = await fileToText(file.slice(0, CSV_BASE64_LIMIT));
+    setCsvContext({
+      name: file.name,
+      headers: dataset.fileHeaders,
+      rowCount: dataset.rowCount,
+      preview: dataset.preview,
+      base64: toBase64(head),
+      truncated: file.size > CSV_BASE64_LIMIT,
+    });
+    applyCsvDataset(dataset, file.name);
+    persistDataset('csv', file.name, file);
+  };
+
+  const applyChannelDataset = (data, fileName) => {
+    const rawVideos = data?.videos;
+    if (!Array.isArray(rawVideos)) throw new Error('JSON must include a "videos" array');
+    const videos = normalizeChannelVideos(rawVideos);
+    const channelTitle = data.channelTitle || data.channel_title || '';
+    setChannelJsonData({ channelTitle, videos });
+    setChannelJsonFileName(fileName);
+    return videos;
+  };
+
+  const clearDatasets = () => {
+    pendingDatasetsRef.current = {};
+    pendingComputedColumnsRef.current = null;
+    datasetSessionRef.current = null;
+    csvBaseRef.current = null;
+    textLabelsRef.current = null;
+    computedColumnsRef.current = [];
+    setComputedColumns([]);
+    setComputedColumnErrors([]);
+    setShowComputedColumns(false);
+    setSessionCsvRows(null);
+    setSessionCsvHeaders(null);
+    setCsvDataSummary(null);
+    setSessionSlimCsv(null);
+    setCsvFileName(null);
+    setChannelJsonData(null);
+    setChannelJsonFileName(null);
+    setChannelLoadNotice('');
+    setCsvLoadNotice('');
+  };
+
+  const restoreDatasets = (sessionId) => {
+    datasetSessionRef.current = sessionId;
+    loadSessionDatasets(sessionId)
+      .then(async ({ datasets = [], computedColumns: savedColumns = [] }) => {
+        if (datasetSessionRef.current !== sessionId) return;
+        computedColumnsRef.current = savedColumns;
+        setComputedColumns(savedColumns);
+        const labels = datasets.find((d) => d.kind === 'labels');
+        if (labels) {
+          const { column, columns, topics, labels: byText, promptVersion } = labels;
+          textLabelsRef.current = { column, columns, topics, labels: byText, promptVersion };
+        }
+        for (const d of datasets) {
+          if (d.kind === 'csv') {
+            const dataset = await parseCsvWithProgress(d.text, d.name);
+            if (dataset && datasetSessionRef.current === sessionId) applyCsvDataset(dataset, d.name);
+          } else if (d.kind === 'channel') {
+            const videos = applyChannelDataset(d, d.name);
+            setChannelLoadNotice(`Restored channel data: ${videos.length} videos`);
+          }
+        }
+      })
+      .catch((err) => console.error('[chat] failed to restore datasets:', err));
+  };
+
+  // Save a freshly loaded dataset with the active session, or hold it until
+  // the first message creates the session.
+  const persistDataset = (kind, name, text, sessionId = activeSessionId) => {
+    if (!sessionId || sessionId === 'new') {
+      pendingDatasetsRef.current = { ...pendingDatasetsRef.current, [kind]: { name, text } };
+      return;
+    }
+    saveSessionDataset(sessionId, kind, name, text).catch((err) =>
+      console.error(`[chat] failed to save ${kind} dataset:`, err)
+    );
+  };
+
+  const savePendingDatasets = (sessionId) => {
+    const pending = pendingDatasetsRef.current;
+    pendingDatasetsRef.current = {};
+    Object.entries(pending).forEach(([kind, { name, text }]) => {
+      saveSessionDataset(sessionId, kind, name, text).catch((err) =>
+        console.error(`[chat] failed to save ${kind} dataset:`, err)
+      );
+    });
+    const columns = pendingComputedColumnsRef.current;
+    pendingComputedColumnsRef.current = null;
+    if (columns) {
+      saveComputedColumns(sessionId, columns).catch((err) =>
+        console.error('[chat] failed to save computed columns:', err)
+      );
+    }
+  };
+
+  const removeChannelDataset = () => {
+    setChannelJsonData(null);
+    setChannelJsonFileName(null);
+    setChannelLoadNotice('');
+    const { channel, ...rest } = pendingDatasetsRef.current;
+    pendingDatasetsRef.current = rest;
+    if (activeSessionId && activeSessionId !== 'new') {
+      deleteSessionDataset(activeSessionId, 'channel').catch((err) =>
+        console.error('[chat] failed to delete channel dataset:', err)
+      );
+    }
+  };
+
+  // The server drops the CSV's text labels and computed columns with it
+  const removeCsvDataset = () => {
+    csvBaseRef.current = null;
+    textLabelsRef.current = null;
+    computedColumnsRef.current = [];
+    pendingComputedColumnsRef.current = null;
+    setCsvContext(null);
+    setCsvFileName(null);
+    setComputedColumns([]);
+    setComputedColumnErrors([]);
+    setShowComputedColumns(false);
+    setSessionCsvRows(null);
+    setSessionCsvHeaders(null);
+    setCsvDataSummary(null);
+    setSessionSlimCsv(null);
+    setCsvLoadNotice('');
+    const { csv, labels, ...rest } = pendingDatasetsRef.current;
+    pendingDatasetsRef.current = rest;
+    if (activeSessionId && activeSessionId !== 'new') {
+      deleteSessionDataset(activeSessionId, 'csv').catch((err) =>
+        console.error('[chat] failed to delete CSV dataset:', err)
+      );
     }
   };
 
@@ -319,36 +576,16 @@ export default function Chat({ user, onLogout }) {
     if (jsonFiles.length > 0) {
       try {
         const text = await fileToText(jsonFiles[0]);
-        const data = JSON.parse(text);
-        const rawVideos = data?.videos;
-        if (!Array.isArray(rawVideos)) throw new Error('JSON must include a "videos" array');
-        const videos = normalizeChannelVideos(rawVideos);
-        const channelTitle = data.channelTitle || data.channel_title || '';
-        setChannelJsonData({ channelTitle, videos });
-        setChannelJsonFileName(jsonFiles[0].name);
+        const videos = applyChannelDataset(JSON.parse(text), jsonFiles[0].name);
         setChannelLoadNotice(`Loaded channel data: ${videos.length} videos`);
-        localStorage.setItem('youtube_channel_data', JSON.stringify({ channelTitle, videos, fileName: jsonFiles[0].name }));
+        persistDataset('channel', jsonFiles[0].name, text);
       } catch (err) {
         console.error('Invalid JSON file', err);
         setChannelLoadNotice('Invalid JSON. Expected shape: { "videos": [ ... ] }');
       }
     }
 
-    if (csvFiles.length > 0) {
-      const file = csvFiles[0];
-      const text = await fileToText(file);
-      const parsed = parseCSV(text);
-      if (parsed) {
-        setCsvContext({ name: file.name, ...parsed });
-        // Parse rows, add computed engagement col, build summary + slim CSV
-        const raw = parseCsvToRows(text);
-        const { rows, headers } = enrichWithEngagement(raw.rows, raw.headers);
-        setSessionCsvHeaders(headers);
-        setSessionCsvRows(rows);
-        setCsvDataSummary(computeDatasetSummary(rows, headers));
-        setSessionSlimCsv(buildSlimCsv(rows, headers));
-      }
-    }
+    if (csvFiles.length > 0) await loadCsvFile(csvFiles[0]);
 
     if (imageFiles.length > 0) {
       const newImages = await Promise.all(
@@ -373,34 +610,16 @@ export default function Chat({ user, onLogout }) {
     if (jsonFiles.length > 0) {
       try {
         const text = await fileToText(jsonFiles[0]);
-        const data = JSON.parse(text);
-        const rawVideos = data?.videos;
-        if (!Array.isArray(rawVideos)) throw new Error('JSON must include a "videos" array');
-        const videos = normalizeChannelVideos(rawVideos);
-        const channelTitle = data.channelTitle || data.channel_title || '';
-        setChannelJsonData({ channelTitle, videos });
-        setChannelJsonFileName(jsonFiles[0].name);
+        const videos = applyChannelDataset(JSON.parse(text), jsonFiles[0].name);
         setChannelLoadNotice(`Loaded channel data: ${videos.length} videos`);
-        localStorage.setItem('youtube_channel_data', JSON.stringify({ channelTitle, videos, fileName: jsonFiles[0].name }));
+        persistDataset('channel', jsonFiles[0].name, text);
       } catch (err) {
         console.error('Invalid JSON file', err);
         setChannelLoadNotice('Invalid JSON. Expected shape: { "videos": [ ... ] }');
       }
     }
 
-    if (csvFiles.length > 0) {
-      const text = await fileToText(csvFiles[0]);
-      const parsed = parseCSV(text);
-      if (parsed) {
-        setCsvContext({ name: csvFiles[0].name, ...parsed });
-        const raw = parseCsvToRows(text);
-        const { rows, headers } = enrichWithEngagement(raw.rows, raw.headers);
-        setSessionCsvHeaders(headers);
-        setSessionCsvRows(rows);
-        setCsvDataSummary(computeDatasetSummary(rows, headers));
-        setSessionSlimCsv(buildSlimCsv(rows, headers));
-      }
-    }
+    if (csvFiles.length > 0) await loadCsvFile(csvFiles[0]);
     if (imageFiles.length > 0) {
       const newImages = await Promise.all(
         imageFiles.map(async (f) => ({
@@ -437,7 +656,27 @@ export default function Chat({ user, onLogout }) {
   };
 
   const handleStop = () => {
-    abortRef.current = true;
+    abortRef.current?.abort();
+  };
+
+  // ── Conversation summary ────────────────────────────────────────────────────
+
+  // Record the saved position/token estimate on a message in state
+  const markSaved = (localId, saved) => {
+    if (!Number.isInteger(saved?.seq)) return;
+    setMessages((m) =>
+      m.map((msg) => (msg.id === localId ? { ...msg, seq: saved.seq, tokenEstimate: saved.tokenEstimate } : msg))
+    );
+  };
+
+  // Fold older turns into the session's rolling summary in the background;
+  // the server skips the model call until enough history has piled up.
+  const updateSummary = (sessionId) => {
+    refreshSessionSummary(sessionId)
+      .then(({ summary }) => {
+        if (summary) setConversationSummary({ ...summary, sessionId });
+      })
+      .catch((err) => console.warn('[chat] summary refresh failed:', err.message));
   };
 
   // ── Send message ────────────────────────────────────────────────────────────
@@ -450,13 +689,15 @@ export default function Chat({ user, onLogout }) {
     let sessionId = activeSessionId;
     if (sessionId === 'new') {
       const title = chatTitle();
-      const { id } = await createSession(username, 'lisa', title);
+      const { id } = await createSession('lisa', title);
       sessionId = id;
       justCreatedSessionRef.current = true; // tell useEffect to skip the reload
       setActiveSessionId(id);
       setSessions((prev) => [{ id, agent: 'lisa', title, createdAt: new Date().toISOString(), messageCount: 0 }, ...prev]);
+      savePendingDatasets(id);
     }
 
+    const summary = conversationSummary?.sessionId === sessionId ? conversationSummary : null;
     const videos = channelJsonData?.videos ?? [];
     const hasAnchor = images.length > 0;
     const wantsImageGeneration =
@@ -470,7 +711,7 @@ export default function Chat({ user, onLogout }) {
 
     const capturedCsv = csvContext;
     const needsBase64 = false;
-    const useTools = !!sessionCsvRows && !capturedCsv && !useYouTubeTools;
+    const useTools = !!sessionCsvRows && !capturedCsv;
 
     // ── Build prompt ─────────────────────────────────────────────────────────
     const userName = [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.username || '';
@@ -494,7 +735,7 @@ export default function Chat({ user, onLogout }) {
     const videoListSuffix = videos.length > MAX_VIDEOS_IN_PROMPT ? `\n... and ${videos.length - MAX_VIDEOS_IN_PROMPT} more videos (use play_video by title or ordinal).` : '';
     const jsonContextBlock =
       useYouTubeTools && videos.length
-        ? `[YouTube channel JSON loaded: "${channelJsonData?.channelTitle || 'Channel'}" with ${videos.length} videos. Use ONLY these videos and their URLs when answering or calling play_video — never invent a URL.\n\nLightweight video metadata (index 1-based):\n${videoListForPrompt.map((v, i) => `${i + 1}. title="${v.title || 'Untitled'}" | releaseDate="${v.releaseDate || v.release_date || ''}" | viewCount=${v.viewCount ?? 0} | likeCount=${v.likeCount ?? 0} | commentCount=${v.commentCount ?? 0} | duration=${v.duration ?? ''} | videoUrl="${v.videoUrl || `https://www.youtube.com/watch?v=${v.videoId || ''}`}"`).join('\n')}${videoListSuffix}\n]\n\n`
+        ? `[YouTube channel JSON loaded: "${channelJsonData?.channelTitle || 'Channel'}" with ${videos.length} videos. Use ONLY these videos and their URLs when answering or calling play_video — never invent a URL.\n\nLightweight video metadata (index 1-based):\n${videoListForPrompt.map((v, i) => `${i + 1}. title="${v.title || 'Untitled'}" | contentType=${v.contentType || 'video'} | releaseDate="${v.releaseDate || v.release_date || ''}" | viewCount=${v.viewCount ?? 0} | likeCount=${v.likeCount ?? 0} | commentCount=${v.commentCount ?? 0} | duration=${v.duration ?? ''} | videoUrl="${v.videoUrl || `https://www.youtube.com/watch?v=${v.videoId || ''}`}"`).join('\n')}${videoListSuffix}\n]\n\n`
         : useYouTubeTools && wantsImageGeneration
           ? '[No channel data loaded. You have the generateImage tool only — use it to generate an image from the user\'s prompt or from an image they attached.]\n\n'
           : '';
@@ -548,10 +789,13 @@ ${sessionSummary}${slimCsvBlock}
     const capturedImages = [...images];
     setImages([]);
     setCsvContext(null);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
     setStreaming(true);
     try {
       // Store display text only — base64 is never persisted
-      await saveMessage(sessionId, 'user', userContent, capturedImages.length ? capturedImages : null);
+      markSaved(userMsg.id, await saveMessage(sessionId, 'user', userContent, capturedImages.length ? capturedImages : null));
 
       const assistantId = `a-${Date.now()}`;
       setMessages((m) => [
@@ -559,13 +803,12 @@ ${sessionSummary}${slimCsvBlock}
         { id: assistantId, role: 'model', content: useImageTools ? 'Generating image…' : '', timestamp: new Date().toISOString() },
       ]);
 
-      abortRef.current = false;
-
       let fullContent = '';
       let groundingData = null;
       let structuredParts = null;
       let toolCharts = [];
       let toolCalls = [];
+      let promptVersion = null;
 
       // HARD ROUTE: image requests never enter Gemini tool-calling/chat pipelines.
       if (useImageTools) {
@@ -585,6 +828,7 @@ ${sessionSummary}${slimCsvBlock}
           90000
         );
         fullContent = 'Here you go.';
+        promptVersion = result.promptVersion || null;
         toolCharts = [{
           _chartType: 'generatedImage',
           imageBase64: result.imageBase64,
@@ -601,84 +845,98 @@ ${sessionSummary}${slimCsvBlock}
               : msg
           )
         );
-        await saveMessage(
+        markSaved(assistantId, await saveMessage(
           sessionId,
           'model',
           fullContent,
           null,
           toolCharts.length ? toolCharts : null,
-          null
-        );
+          null,
+          promptVersion
+        ));
+        updateSummary(sessionId);
         setSessions((prev) =>
           prev.map((s) => (s.id === sessionId ? { ...s, messageCount: s.messageCount + 2 } : s))
         );
         inputRef.current?.focus();
         return;
-      } else if (useYouTubeTools) {
+      } else if (useYouTubeTools || useTools) {
         // History: plain display text only — session summary handles CSV context on every message
-        const history = messages
-          .filter((m) => m.role === 'user' || m.role === 'model')
-          .map((m) => ({ role: m.role, content: m.content || messageText(m) }));
-        const anchorImage = capturedImages[0];
-        const youtubeContext = {
-          videos,
-          anchorImageBase64: anchorImage?.data || null,
-          anchorMimeType: anchorImage?.mimeType || 'image/png',
-        };
-        const { text: answer, charts: returnedCharts, toolCalls: returnedCalls } = await chatWithYouTubeTools(
-          history,
-          promptForGemini,
-          (toolName, args) => executeYouTubeTool(toolName, args, youtubeContext)
-        );
-        fullContent = answer;
-        toolCharts = returnedCharts || [];
-        toolCalls = returnedCalls || [];
-        setMessages((m) =>
-          m.map((msg) =>
-            msg.id === assistantId
-              ? {
-                  ...msg,
-                  content: fullContent,
-                  charts: toolCharts.length ? toolCharts : undefined,
-                  toolCalls: toolCalls.length ? toolCalls : undefined,
-                }
-              : msg
-          )
-        );
-      } else if (useTools) {
-        const history = messages
-          .filter((m) => m.role === 'user' || m.role === 'model')
-          .map((m) => ({ role: m.role, content: m.content || messageText(m) }));
-        console.log('[Chat] useTools=true | rows:', sessionCsvRows.length, '| headers:', sessionCsvHeaders);
-        const { text: answer, charts: returnedCharts, toolCalls: returnedCalls } = await chatWithCsvTools(
+        const history = toHistory(messages);
+        // One agent over every loaded dataset: CSV and channel tools can be mixed in a turn
+        const toolContext = {};
+        if (useTools) {
+          toolContext.csv = {
+            rows: sessionCsvRows,
+            computedColumns: computedColumnsRef.current,
+            onComputedColumnsChange: (next) => changeComputedColumns(next, sessionId),
+            textLabels: textLabelsRef.current,
+            labelTexts: (texts, topics) => labelTexts(texts, topics, signal),
+            signal,
+            onTextLabelsChange: (next) => changeTextLabels(next, sessionId),
+            onLabelProgress: (p) => setCsvLoadNotice(p ? `Labelling texts with Gemini… ${p.done.toLocaleString()} / ${p.total.toLocaleString()}` : ''),
+          };
+        }
+        if (useYouTubeTools) {
+          const anchorImage = capturedImages[0];
+          toolContext.youtube = {
+            videos,
+            anchorImageBase64: anchorImage?.data || null,
+            anchorMimeType: anchorImage?.mimeType || 'image/png',
+          };
+        }
+        const toolEvents = chatWithTools(
           history,
           promptForGemini,
-          sessionCsvHeaders,
-          (toolName, args) => executeTool(toolName, args, sessionCsvRows)
-        );
-        fullContent = answer;
-        toolCharts = returnedCharts || [];
-        toolCalls = returnedCalls || [];
-        setMessages((m) =>
-          m.map((msg) =>
-            msg.id === assistantId
-              ? {
-                  ...msg,
-                  content: fullContent,
-                  charts: toolCharts.length ? toolCharts : undefined,
-                  toolCalls: toolCalls.length ? toolCalls : undefined,
-                }
-              : msg
-          )
+          Object.keys(toolContext),
+          (toolName, args) => executeRegisteredTool(toolName, args, toolContext),
+          { csvHeaders: sessionCsvHeaders, summary, signal }
         );
+
+        // ── Streaming tool path: text, tool calls and charts render as they arrive ─
+        const updateAssistant = () => {
+          const snapshot = {
+            content: fullContent,
+            charts: toolCharts.length ? [...toolCharts] : undefined,
+            toolCalls: toolCalls.length ? [...toolCalls] : undefined,
+          };
+          setMessages((m) =>
+            m.map((msg) => (msg.id === assistantId ? { ...msg, ...snapshot } : msg))
+          );
+        };
+        for await (const event of toolEvents) {
+          if (signal.aborted) break;
+          if (event.type === 'text') {
+            fullContent += event.text;
+            updateAssistant();
+          } else if (event.type === 'toolStart') {
+            // Show the call right away; the result is filled in by toolResult
+            toolCalls = [...toolCalls, { id: event.id, name: event.name, args: event.args, pending: true }];
+            updateAssistant();
+          } else if (event.type === 'toolResult') {
+            const idx = toolCalls.findIndex((tc) => tc.pending && tc.id === event.id);
+            const entry = { name: event.name, args: event.args, result: event.result, ...(event.invalid && { invalid: true }) };
+            toolCalls = idx >= 0
+              ? toolCalls.map((tc, i) => (i === idx ? entry : tc))
+              : [...toolCalls, entry];
+            if (event.chart) toolCharts = [...toolCharts, event.chart];
+            updateAssistant();
+          } else if (event.type === 'done') {
+            fullContent = event.text;
+            toolCharts = event.charts || [];
+            toolCalls = event.toolCalls || [];
+            promptVersion = event.promptVersion || null;
+            updateAssistant();
+          }
+        }
+        // Stopped mid-loop: drop calls that never returned so they aren't persisted
+        toolCalls = toolCalls.filter((tc) => !tc.pending);
       } else {
         const imageParts = capturedImages.map((img) => ({ mimeType: img.mimeType, data: img.data }));
-        const history = messages
-          .filter((m) => m.role === 'user' || m.role === 'model')
-          .map((m) => ({ role: m.role, content: m.content || messageText(m) }));
+        const history = toHistory(messages);
         // ── Streaming path: plain text + search grounding (no code execution) ─
-        for await (const chunk of streamChat(history, promptForGemini, imageParts)) {
-          if (abortRef.current) break;
+        for await (const chunk of streamChat(history, promptForGemini, imageParts, { summary, signal })) {
+          if (signal.aborted) break;
           if (chunk.type === 'text') {
             fullContent += chunk.text;
             const contentSnapshot = fullContent;
@@ -695,6 +953,8 @@ ${sessionSummary}${slimCsvBlock}
             );
           } else if (chunk.type === 'grounding') {
             groundingData = chunk.data;
+          } else if (chunk.type === 'promptVersion') {
+            promptVersion = chunk.version || null;
           }
         }
       }
@@ -709,14 +969,16 @@ ${sessionSummary}${slimCsvBlock}
       const savedContent = structuredParts
         ? structuredParts.filter((p) => p.type === 'text').map((p) => p.text).join('\n')
         : fullContent;
-      await saveMessage(
+      markSaved(assistantId, await saveMessage(
         sessionId,
         'model',
         savedContent,
         null,
         toolCharts.length ? toolCharts : null,
-        toolCalls.length ? toolCalls : null
-      );
+        toolCalls.length ? toolCalls : null,
+        promptVersion
+      ));
+      updateSummary(sessionId);
 
       setSessions((prev) =>
         prev.map((s) => (s.id === sessionId ? { ...s, messageCount: s.messageCount + 2 } : s))
@@ -785,6 +1047,15 @@ ${sessionSummary}${slimCsvBlock}
                 <span className="three-dots">⋮</span>
                 {openMenuId === session.id && (
                   <div className="session-dropdown">
+                    <button className="session-menu-btn" onClick={(e) => handleExportSession(session.id, 'html', e)}>
+                      Export HTML
+                    </button>
+                    <button className="session-menu-btn" onClick={(e) => handleExportSession(session.id, 'md', e)}>
+                      Export Markdown
+                    </button>
+                    <button className="session-menu-btn" onClick={(e) => handleExportSession(session.id, 'pdf', e)}>
+                      Print / PDF
+                    </button>
                     <button
                       className="session-delete-btn"
                       onClick={(e) => handleDeleteSession(session.id, e)}
@@ -861,11 +1132,12 @@ ${sessionSummary}${slimCsvBlock}
                 )}
               </div>
 
-              {/* Tool error (e.g. generateImage failed) — show so user sees real message */}
-              {m.toolCalls?.some((tc) => tc.result?.error) && (
+              {/* Tool error (e.g. generateImage failed) — show so user sees real message.
+                  Rejected arguments are only logged below: Gemini gets them back and retries. */}
+              {m.toolCalls?.some((tc) => tc.result?.error && !tc.invalid) && (
                 <div className="chat-tool-error">
                   <strong>Tool error:</strong>{' '}
-                  {m.toolCalls.find((tc) => tc.result?.error)?.result?.error || 'Something went wrong.'}
+                  {m.toolCalls.find((tc) => tc.result?.error && !tc.invalid)?.result?.error || 'Something went wrong.'}
                 </div>
               )}
 
@@ -881,7 +1153,9 @@ ${sessionSummary}${slimCsvBlock}
                         <span className="tool-call-name">{tc.name}</span>
                         <span className="tool-call-args">{JSON.stringify(tc.args)}</span>
                         {tc.result?.error && (
-                          <span className="tool-call-result tool-call-error">→ {tc.result.error}</span>
+                          <span className="tool-call-result tool-call-error">
+                            → {tc.invalid ? 'rejected before running: ' : ''}{tc.result.error}
+                          </span>
                         )}
                         {tc.result && !tc.result._chartType && !tc.result.error && (
                           <span className="tool-call-result">
@@ -892,43 +1166,17 @@ ${sessionSummary}${slimCsvBlock}
                         {tc.result?._chartType && (
                           <span className="tool-call-result">→ rendered chart</span>
                         )}
+                        {tc.pending && (
+                          <span className="tool-call-result tool-call-pending">→ running…</span>
+                        )}
                       </div>
                     ))}
                   </div>
                 </details>
               )}
 
-              {/* Engagement charts from tool calls */}
-              {m.charts?.map((chart, ci) =>
-                chart._chartType === 'engagement' ? (
-                  <EngagementChart
-                    key={ci}
-                    data={chart.data}
-                    metricColumn={chart.metricColumn}
-                  />
-                ) : chart._chartType === 'metricVsTime' ? (
-                  <MetricVsTimeChart
-                    key={ci}
-                    data={chart.data}
-                    metricField={chart.metricField}
-                  />
-                ) : chart._chartType === 'playVideo' ? (
-                  <PlayVideoCard
-                    key={ci}
-                    title={chart.title}
-                    thumbnail={chart.thumbnail}
-                    videoUrl={chart.videoUrl}
-                  />
-                ) : chart._chartType === 'generatedImage' ? (
-                  <GeneratedImage
-                    key={ci}
-                    imageBase64={chart.imageBase64}
-                    mimeType={chart.mimeType}
-                  />
-                ) : chart._chartType === 'statsJson' ? (
-                  <StatsJsonCard key={ci} stats={chart} />
-                ) : null
-              )}
+              {/* Charts and cards from tool calls */}
+              {m.charts?.map((chart, ci) => <ToolChart key={ci} chart={chart} />)}
 
               {/* Search sources */}
               {m.grounding?.groundingChunks?.length > 0 && (
@@ -967,7 +1215,7 @@ ${sessionSummary}${slimCsvBlock}
               <span className="csv-chip-meta">
                 {channelJsonData.videos?.length ?? 0} videos
               </span>
-              <button className="csv-chip-remove" onClick={() => { setChannelJsonData(null); setChannelJsonFileName(null); setChannelLoadNotice(''); localStorage.removeItem('youtube_channel_data'); }} aria-label="Remove JSON">×</button>
+              <button className="csv-chip-remove" onClick={removeChannelDataset} aria-label="Remove JSON">×</button>
             </div>
           )}
           {channelLoadNotice && (
@@ -976,6 +1224,44 @@ ${sessionSummary}${slimCsvBlock}
               <span className="csv-chip-name">{channelLoadNotice}</span>
             </div>
           )}
+          {csvLoadNotice && (
+            <div className="csv-chip" role="status">
+              <span className="csv-chip-icon">⏳</span>
+              <span className="csv-chip-name">{csvLoadNotice}</span>
+            </div>
+          )}
+          {/* Session CSV chip (once the upload has been sent, or restored with the session) */}
+          {sessionCsvRows && !csvContext && (
+            <div className="csv-chip">
+              <span className="csv-chip-icon">📄</span>
+              <span className="csv-chip-name">{csvFileName || 'CSV'}</span>
+              <span className="csv-chip-meta">
+                {sessionCsvRows.length} rows · {sessionCsvHeaders?.length ?? 0} cols
+              </span>
+              <button className="csv-chip-remove" onClick={removeCsvDataset} aria-label="Remove CSV dataset">×</button>
+            </div>
+          )}
+          {sessionCsvRows && (
+            <button
+              type="button"
+              className="csv-chip csv-chip-button"
+              onClick={() => setShowComputedColumns((v) => !v)}
+              aria-expanded={showComputedColumns}
+            >
+              <span className="csv-chip-icon">ƒx</span>
+              <span className="csv-chip-name">Computed columns</span>
+              <span className="csv-chip-meta">{computedColumns.length}</span>
+            </button>
+          )}
+          {sessionCsvRows && showComputedColumns && (
+            <ComputedColumnsPanel
+              columns={computedColumns}
+              baseHeaders={(sessionCsvHeaders || []).filter((h) => !computedColumns.some((c) => c.name === h))}
+              errors={computedColumnErrors}
+              onChange={(next) => changeComputedColumns(next)}
+              onClose={() => setShowComputedColumns(false)}
+            />
+          )}
           {/* CSV chip */}
           {csvContext && (
             <div className="csv-chip">
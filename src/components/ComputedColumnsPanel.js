@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import { EXPRESSION_FUNCTIONS } from '../services/expression';
+import { checkComputedColumn, MAX_COMPUTED_COLUMNS } from '../services/csvTools';
+import './ComputedColumnsPanel.css';
+
+// Lists the session's computed CSV columns and adds new ones.
+// baseHeaders: the CSV's own columns; errors: [{ name, error }] from the last derive.
+export default function ComputedColumnsPanel({ columns, baseHeaders, errors = [], onChange, onClose }) {
+  const [name, setName] = useState('');
+  const [expression, setExpression] = useState('');
+  const [error, setError] = useState('');
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const def = { name: name.trim(), expression: expression.trim() };
+    const others = columns.filter((c) => c.name !== def.name);
+    if (others.length >= MAX_COMPUTED_COLUMNS) {
+      setError(`At most ${MAX_COMPUTED_COLUMNS} computed columns`);
+      return;
+    }
+    const message = checkComputedColumn(def, baseHeaders, others);
+    if (message) {
+      setError(message);
+      return;
+    }
+    const replacing = others.length < columns.length;
+    onChange(replacing ? columns.map((c) => (c.name === def.name ? def : c)) : [...columns, def]);
+    setName('');
+    setExpression('');
+    setError('');
+  };
+
+  const errorFor = (colName) => errors.find((e) => e.name === colName)?.error;
+
+  return (
+    <div className="computed-columns-panel">
+      <div className="computed-columns-header">
+        <span>Computed columns</span>
+        <button type="button" onClick={onClose} aria-label="Close">×</button>
+      </div>
+      {columns.length > 0 ? (
+        <ul className="computed-columns-list">
+          {columns.map((c) => (
+            <li key={c.name}>
+              <code className="computed-columns-name">{c.name}</code>
+              <span className="computed-columns-expr">= {c.expression}</span>
+              {errorFor(c.name) && <span className="computed-columns-error">{errorFor(c.name)}</span>}
+              <button
+                type="button"
+                onClick={() => onChange(columns.filter((x) => x.name !== c.name))}
+                aria-label={`Remove ${c.name}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="computed-columns-empty">No computed columns yet. You can also ask the assistant to add one.</div>
+      )}
+      <form className="computed-columns-form" onSubmit={handleAdd}>
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Name, e.g. amplification" maxLength={60} />
+        <input
+          value={expression}
+          onChange={(e) => setExpression(e.target.value)}
+          placeholder="(Retweet Count + Quote Count) / View Count"
+          maxLength={500}
+        />
+        <button type="submit" disabled={!name.trim() || !expression.trim()}>Add</button>
+      </form>
+      {error && <div className="computed-columns-error">{error}</div>}
+      <div className="computed-columns-help">
+        Operators + − * / % == != &gt; &lt; &amp;&amp; || ! · functions: {EXPRESSION_FUNCTIONS.join(', ')} ·
+        use [brackets] for names with symbols
+      </div>
+    </div>
+  );
+}
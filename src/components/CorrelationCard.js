@@ -0,0 +1,34 @@
+import CorrelationHeatmap from './CorrelationHeatmap';
+import GroupTable from './GroupTable';
+import TrendScatterChart from './TrendScatterChart';
+
+// correlate result: correlation heatmap, then the regression table and trend scatter when a target was given
+export default function CorrelationCard({ result }) {
+  if (!result?.columns) return null;
+  const { regression, scatter } = result;
+
+  return (
+    <>
+      <CorrelationHeatmap columns={result.columns} pearson={result.pearson} spearman={result.spearman} pairCounts={result.pair_counts} />
+      {regression?.coefficients && (
+        <GroupTable
+          title={`Linear regression of ${regression.target} — R² = ${regression.r2}, adjusted R² = ${regression.adjusted_r2}, n = ${regression.n}`}
+          columns={['term', 'estimate', 'std_error', 't', 'p_value']}
+          rows={regression.coefficients}
+          fileName={`regression_${regression.target}.csv`}
+        />
+      )}
+      {scatter && (
+        <TrendScatterChart
+          data={scatter.data}
+          trend={scatter.trend}
+          x={scatter.x}
+          y={scatter.y}
+          slope={scatter.slope}
+          intercept={scatter.intercept}
+          r2={scatter.r2}
+        />
+      )}
+    </>
+  );
+}
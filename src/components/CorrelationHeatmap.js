@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import ChartPanel from './ChartPanel';
+import './CorrelationHeatmap.css';
+
+// Green for positive, rose for negative correlation; opacity follows |r|
+const cellColor = (r) =>
+  r == null ? undefined : r >= 0 ? `rgba(107, 143, 113, ${Math.abs(r)})` : `rgba(217, 119, 138, ${Math.abs(r)})`;
+
+// Column × column correlation matrix with a Pearson / Spearman switch
+export default function CorrelationHeatmap({ columns, pearson, spearman, pairCounts }) {
+  const [method, setMethod] = useState('pearson');
+  if (!columns?.length || !pearson) return null;
+
+  const matrix = method === 'pearson' ? pearson : spearman;
+  const cells = columns.flatMap((a, i) =>
+    columns.map((b, j) => ({ a, b, pearson: pearson[i][j], spearman: spearman[i][j], n: pairCounts?.[i]?.[j] }))
+  );
+
+  return (
+    <ChartPanel
+      title={`${method === 'pearson' ? 'Pearson' : 'Spearman'} correlation`}
+      columns={['a', 'b', 'pearson', 'spearman', 'n']}
+      rows={cells}
+      fileName="correlation_matrix.csv"
+    >
+      {(height) => (
+        <div className="correlation-heatmap" style={{ minHeight: height }}>
+          <div className="correlation-methods">
+            {['pearson', 'spearman'].map((m) => (
+              <button key={m} type="button" className={m === method ? 'active' : ''} onClick={() => setMethod(m)}>
+                {m === 'pearson' ? 'Pearson' : 'Spearman'}
+              </button>
+            ))}
+          </div>
+          <div className="correlation-grid" style={{ gridTemplateColumns: `minmax(6rem, auto) repeat(${columns.length}, minmax(2.6rem, 1fr))` }}>
+            <span />
+            {columns.map((c) => (
+              <span key={c} className="correlation-col-label" title={c}>{c}</span>
+            ))}
+            {columns.map((row, i) => (
+              <div key={row} className="correlation-row">
+                <span className="correlation-row-label" title={row}>{row}</span>
+                {columns.map((col, j) => {
+                  const r = matrix[i][j];
+                  return (
+                    <span
+                      key={col}
+                      className="correlation-cell"
+                      style={{ background: cellColor(r), color: r != null && Math.abs(r) > 0.6 ? '#fff' : undefined }}
+                      title={`${row} × ${col}: r = ${r ?? 'n/a'}${pairCounts ? ` (n = ${pairCounts[i][j]})` : ''}`}
+                    >
+                      {r == null ? '—' : r.toFixed(2)}
+                    </span>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </ChartPanel>
+  );
+}
@@ -92,6 +92,18 @@ export default function EngagementChart({ data, metricColumn = 'Favorite Count'
           <Bar dataKey="withoutKeyword" name="Without keyword" fill={WITHOUT_COLOR} radius={[5, 5, 0, 0]} />
         </BarChart>
       </ResponsiveContainer>
+      {data.some((d) => d.pValue !== undefined) && (
+        <ul className="engagement-chart-tests">
+          {data.map((d) => (
+            <li key={d.name}>
+              <strong>{d.name}</strong>:{' '}
+              {d.pValue === null
+                ? 'not enough rows to test'
+                : `p = ${d.pValue} (${d.significant ? 'significant' : 'not significant'} at 0.05, Welch's t-test)`}
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 }
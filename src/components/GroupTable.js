@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { serializeCsvRow } from '../services/csvParser';
+import './GroupTable.css';
+
+const compareCells = (a, b) => {
+  if (a == null || a === '') return 1;
+  if (b == null || b === '') return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+const formatCell = (v) => (typeof v === 'number' ? v.toLocaleString() : v == null ? '—' : String(v));
+
+// Result table of group_aggregate (also used by token_stats). Click a header to
+// sort by it (again to flip).
+export default function GroupTable({ title, columns, rows, filters, sortColumn, ascending, filteredRows, totalRows, truncated, fileName = 'group_aggregate.csv' }) {
+  const [sort, setSort] = useState({ column: sortColumn, desc: !ascending });
+
+  if (!columns?.length || !rows) return null;
+
+  const sorted = sort.column
+    ? [...rows].sort((a, b) => {
+        // Blanks stay last in either direction
+        if (a[sort.column] == null || a[sort.column] === '') return 1;
+        if (b[sort.column] == null || b[sort.column] === '') return -1;
+        return (sort.desc ? -1 : 1) * compareCells(a[sort.column], b[sort.column]);
+      })
+    : rows;
+
+  const toggleSort = (column) =>
+    setSort((s) => (s.column === column ? { column, desc: !s.desc } : { column, desc: true }));
+
+  const handleDownload = () => {
+    const csv = [serializeCsvRow(columns), ...sorted.map((r) => serializeCsvRow(columns.map((c) => r[c])))].join('\n');
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  };
+
+  return (
+    <div className="group-table-wrap">
+      <div className="group-table-header">
+        <span>{title}</span>
+        <button type="button" onClick={handleDownload}>Download CSV</button>
+      </div>
+      {(filters?.length > 0 || filteredRows !== undefined) && (
+        <div className="group-table-meta">
+          {filters?.length > 0 && <>Filters: {filters.join(' AND ')} · </>}
+          {filteredRows !== undefined && <>{filteredRows.toLocaleString()} of {totalRows?.toLocaleString()} rows</>}
+          {truncated && <> · {truncated}</>}
+        </div>
+      )}
+      <div className="group-table-scroll">
+        <table className="group-table">
+          <thead>
+            <tr>
+              {columns.map((c) => (
+                <th key={c} aria-sort={sort.column === c ? (sort.desc ? 'descending' : 'ascending') : 'none'}>
+                  <button type="button" onClick={() => toggleSort(c)}>
+                    {c}
+                    {sort.column === c && <span className="group-table-arrow">{sort.desc ? '▼' : '▲'}</span>}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((r, i) => (
+              <tr key={i}>
+                {columns.map((c) => (
+                  <td key={c} className={typeof r[c] === 'number' ? 'num' : ''}>{formatCell(r[c])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import ChartPanel from './ChartPanel';
+
+export default function HistogramChart({ data, column }) {
+  if (!data?.length) return null;
+
+  return (
+    <ChartPanel
+      title={`Distribution of ${column}`}
+      columns={['start', 'end', 'count']}
+      rows={data}
+      fileName={`histogram_${column}.csv`}
+    >
+      {(height) => (
+        <ResponsiveContainer width="100%" height={height}>
+          <BarChart data={data} margin={{ top: 8, right: 16, left: 0, bottom: 40 }} barCategoryGap={1}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(156, 175, 136, 0.2)" vertical={false} />
+            <XAxis dataKey="bin" tick={{ fontSize: 10 }} angle={-30} textAnchor="end" interval="preserveStartEnd" />
+            <YAxis tick={{ fontSize: 10 }} allowDecimals={false} />
+            <Tooltip />
+            <Bar dataKey="count" name="Rows" fill="#9caf88" />
+          </BarChart>
+        </ResponsiveContainer>
+      )}
+    </ChartPanel>
+  );
+}
@@ -0,0 +1,51 @@
+import ChartPanel from './ChartPanel';
+import './HourWeekdayHeatmap.css';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const HOURS = Array.from({ length: 24 }, (_, h) => h);
+
+// Weekday × hour grid shaded by the mean metric (or by row count without one)
+export default function HourWeekdayHeatmap({ cells, metricColumn, timezone }) {
+  if (!cells?.length) return null;
+
+  const valueOf = (c) => (metricColumn ? c.mean : c.count);
+  const values = cells.map(valueOf).filter((v) => v != null);
+  const max = values.length ? Math.max(...values) : 0;
+  const byKey = new Map(cells.map((c) => [`${c.weekday}-${c.hour}`, c]));
+
+  return (
+    <ChartPanel
+      title={`${metricColumn ? `Mean ${metricColumn}` : 'Rows'} by posting hour × weekday${timezone ? ` (${timezone})` : ''}`}
+      columns={['weekday', 'hour', 'count', 'mean']}
+      rows={cells}
+      fileName="hour_weekday_heatmap.csv"
+    >
+      {(height) => (
+        <div className="heatmap-grid" style={{ height }}>
+          <span />
+          {HOURS.map((h) => (
+            <span key={h} className="heatmap-hour">{h % 3 === 0 ? h : ''}</span>
+          ))}
+          {WEEKDAYS.map((day) => (
+            <div key={day} className="heatmap-row">
+              <span className="heatmap-day">{day}</span>
+              {HOURS.map((h) => {
+                const cell = byKey.get(`${day}-${h}`) || { count: 0, mean: null };
+                const v = valueOf(cell);
+                const alpha = v != null && max > 0 ? 0.08 + 0.92 * (v / max) : 0;
+                return (
+                  <span
+                    key={h}
+                    className="heatmap-cell"
+                    style={{ background: v != null ? `rgba(156, 175, 136, ${alpha})` : undefined }}
+                    title={`${day} ${String(h).padStart(2, '0')}:00 — ${cell.count} rows${cell.mean != null ? `, mean ${cell.mean}` : ''}`}
+                  />
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+    </ChartPanel>
+  );
+}
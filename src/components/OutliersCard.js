@@ -0,0 +1,37 @@
+import GroupTable from './GroupTable';
+import MetricVsTimeChart from './MetricVsTimeChart';
+
+const METHOD_LABELS = { iqr: 'IQR', zscore: 'z-score', mad: 'MAD' };
+
+// find_outliers / find_outliers_json result: the metric over time with the
+// flagged points highlighted (when there is a time axis), then the flagged rows
+export default function OutliersCard({ result }) {
+  if (!result?.outliers) return null;
+  const label = `${METHOD_LABELS[result.method] || result.method} > ${result.threshold}`;
+  const first = result.outliers[0] || {};
+  const columns = ['row', 'date', 'title', 'text', 'value', 'score', 'direction', 'link', 'video_url'].filter((c) => c in first);
+
+  return (
+    <>
+      {result.data?.length > 0 && (
+        <MetricVsTimeChart
+          data={result.data}
+          metricField={result.column}
+          title={`${result.column} over time — ${result.outlier_count} outlier${result.outlier_count === 1 ? '' : 's'} (${label})`}
+          fileName={`outliers_${result.column}.csv`}
+        />
+      )}
+      {result.outliers.length > 0 && (
+        <GroupTable
+          title={`Outliers in ${result.column} (${label})`}
+          columns={columns}
+          rows={result.outliers}
+          filteredRows={result.outlier_count}
+          totalRows={result.values_checked}
+          truncated={result.truncated}
+          fileName={`outliers_${result.column}.csv`}
+        />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,42 @@
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import ChartPanel from './ChartPanel';
+
+const PALETTE = ['#9caf88', '#e8a5b0', '#e9c46a', '#7fa7c9', '#b58db6', '#f4a261', '#6b8f71', '#c9b79c'];
+
+// x vs y, one series per value of the optional color column
+export default function ScatterPlotChart({ data, x, y, color }) {
+  if (!data?.length) return null;
+
+  const groups = color ? [...new Set(data.map((d) => d.group))] : [null];
+
+  return (
+    <ChartPanel
+      title={`${y} vs ${x}${color ? ` by ${color}` : ''}`}
+      columns={color ? ['x', 'y', 'group', 'label'] : ['x', 'y', 'label']}
+      rows={data}
+      fileName={`scatter_${x}_${y}.csv`}
+      height={300}
+    >
+      {(height) => (
+        <ResponsiveContainer width="100%" height={height}>
+          <ScatterChart margin={{ top: 8, right: 16, left: 0, bottom: 24 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(156, 175, 136, 0.2)" />
+            <XAxis type="number" dataKey="x" name={x} tick={{ fontSize: 10 }} domain={['auto', 'auto']} />
+            <YAxis type="number" dataKey="y" name={y} tick={{ fontSize: 10 }} domain={['auto', 'auto']} />
+            <Tooltip cursor={{ strokeDasharray: '3 3' }} />
+            {color && <Legend wrapperStyle={{ fontSize: 11 }} />}
+            {groups.map((g, i) => (
+              <Scatter
+                key={g ?? 'all'}
+                name={g ?? y}
+                data={color ? data.filter((d) => d.group === g) : data}
+                fill={PALETTE[i % PALETTE.length]}
+                fillOpacity={0.75}
+              />
+            ))}
+          </ScatterChart>
+        </ResponsiveContainer>
+      )}
+    </ChartPanel>
+  );
+}
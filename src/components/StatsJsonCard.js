@@ -1,8 +1,10 @@
+import { contentTypeSuffix } from '../services/youtubeTools';
+
 export default function StatsJsonCard({ stats }) {
   if (!stats) return null;
   return (
     <div className="stats-json-card">
-      <div className="stats-json-title">Statistics: {stats.field}</div>
+      <div className="stats-json-title">Statistics: {stats.field}{contentTypeSuffix(stats.content_type)}</div>
       <div className="stats-json-grid">
         <div><strong>Count</strong><span>{stats.count}</span></div>
         <div><strong>Mean</strong><span>{stats.mean}</span></div>
@@ -0,0 +1,35 @@
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import ChartPanel from './ChartPanel';
+
+const UNIT_TITLES = { hour: 'hour of day', weekday: 'weekday', day: 'day', week: 'week' };
+
+// Rows per time bucket (bars) with the mean metric per bucket (line, right axis)
+export default function TimeBucketChart({ data, bucketUnit, metricColumn, timezone }) {
+  if (!data?.length) return null;
+
+  return (
+    <ChartPanel
+      title={`Activity by ${UNIT_TITLES[bucketUnit] || bucketUnit}${timezone ? ` (${timezone})` : ''}`}
+      columns={metricColumn ? ['bucket', 'count', 'mean'] : ['bucket', 'count']}
+      rows={data}
+      fileName={`time_buckets_${bucketUnit}.csv`}
+    >
+      {(height) => (
+        <ResponsiveContainer width="100%" height={height}>
+          <ComposedChart data={data} margin={{ top: 8, right: 8, left: 0, bottom: 40 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(156, 175, 136, 0.2)" vertical={false} />
+            <XAxis dataKey="bucket" tick={{ fontSize: 10 }} angle={-30} textAnchor="end" interval="preserveStartEnd" />
+            <YAxis yAxisId="count" tick={{ fontSize: 10 }} allowDecimals={false} />
+            {metricColumn && <YAxis yAxisId="mean" orientation="right" tick={{ fontSize: 10 }} />}
+            <Tooltip />
+            <Legend wrapperStyle={{ fontSize: 11 }} verticalAlign="top" />
+            <Bar yAxisId="count" dataKey="count" name="Rows" fill="#b8d4a8" radius={[4, 4, 0, 0]} />
+            {metricColumn && (
+              <Line yAxisId="mean" type="monotone" dataKey="mean" name={`Mean ${metricColumn}`} stroke="#c97b84" strokeWidth={2} dot={{ r: 2 }} connectNulls />
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+    </ChartPanel>
+  );
+}
@@ -0,0 +1,41 @@
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import ChartPanel from './ChartPanel';
+
+const formatDate = (x) => {
+  const d = new Date(x);
+  return Number.isNaN(d.getTime()) ? '' : d.toLocaleDateString();
+};
+
+// A CSV column over a date column (one point per row), sorted by date
+export default function TimeSeriesChart({ data, column, dateColumn }) {
+  if (!data?.length) return null;
+
+  return (
+    <ChartPanel
+      title={`${column} over ${dateColumn}`}
+      columns={['date', 'value', 'label']}
+      rows={data}
+      fileName={`time_series_${column}.csv`}
+    >
+      {(height) => (
+        <ResponsiveContainer width="100%" height={height}>
+          <LineChart data={data} margin={{ top: 8, right: 16, left: 0, bottom: 24 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(156, 175, 136, 0.2)" />
+            <XAxis
+              type="number"
+              dataKey="x"
+              domain={['dataMin', 'dataMax']}
+              tick={{ fontSize: 10 }}
+              angle={-30}
+              textAnchor="end"
+              tickFormatter={formatDate}
+            />
+            <YAxis tick={{ fontSize: 10 }} />
+            <Tooltip labelFormatter={(x) => new Date(x).toLocaleString()} />
+            <Line type="monotone" dataKey="value" stroke="#9caf88" strokeWidth={2} dot={data.length <= 120 ? { r: 2 } : false} name={column} />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </ChartPanel>
+  );
+}
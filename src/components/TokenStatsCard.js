@@ -0,0 +1,28 @@
+import GroupTable from './GroupTable';
+
+const KIND_TITLES = { hashtag: 'Hashtags', mention: 'Mentions', domain: 'Link domains', media_type: 'Media types' };
+
+// token_stats result: per-token frequency / mean metric, then co-occurring pairs
+export default function TokenStatsCard({ stats }) {
+  if (!stats?.tokens) return null;
+  const title = KIND_TITLES[stats.kind] || stats.kind;
+  const tokenColumns = ['token', 'count', 'share', ...(stats.metricColumn ? ['mean'] : [])];
+
+  return (
+    <>
+      <GroupTable
+        title={`${title}${stats.metricColumn ? ` — rows and mean ${stats.metricColumn}` : ''}`}
+        columns={tokenColumns}
+        rows={stats.tokens}
+        sortColumn={stats.sort_by}
+        filteredRows={stats.rows_with_tokens}
+        totalRows={stats.total_rows}
+        truncated={`${stats.unique_tokens} unique`}
+        fileName={`${stats.kind}_tokens.csv`}
+      />
+      {stats.pairs?.length > 0 && (
+        <GroupTable title={`${title} used together`} columns={['pair', 'count']} rows={stats.pairs} sortColumn="count" fileName={`${stats.kind}_pairs.csv`} />
+      )}
+    </>
+  );
+}
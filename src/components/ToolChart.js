@@ -0,0 +1,10 @@
+import { Suspense } from 'react';
+import { getChartRenderer } from '../services/toolRegistry';
+
+// A tool payload is drawn by the renderer its tool registered for the payload's
+// _chartType (see toolRegistry.js). Unknown types render nothing.
+export default function ToolChart({ chart }) {
+  const render = getChartRenderer(chart?._chartType);
+  if (!render) return null;
+  return <Suspense fallback={null}>{render(chart)}</Suspense>;
+}
@@ -0,0 +1,31 @@
+import { ComposedChart, Scatter, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import ChartPanel from './ChartPanel';
+
+// y vs x points with the fitted least-squares line
+export default function TrendScatterChart({ data, trend, x, y, slope, intercept, r2 }) {
+  if (!data?.length) return null;
+
+  return (
+    <ChartPanel
+      title={`${y} vs ${x} — y = ${slope} · x ${intercept < 0 ? '−' : '+'} ${Math.abs(intercept)}${r2 != null ? `, R² = ${r2}` : ''}`}
+      columns={['x', 'y', 'label']}
+      rows={data}
+      fileName={`trend_${x}_${y}.csv`}
+      height={300}
+    >
+      {(height) => (
+        <ResponsiveContainer width="100%" height={height}>
+          <ComposedChart margin={{ top: 8, right: 16, left: 0, bottom: 24 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(156, 175, 136, 0.2)" />
+            <XAxis type="number" dataKey="x" name={x} tick={{ fontSize: 10 }} domain={['auto', 'auto']} />
+            <YAxis type="number" dataKey="y" name={y} tick={{ fontSize: 10 }} domain={['auto', 'auto']} />
+            <Tooltip cursor={{ strokeDasharray: '3 3' }} />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+            <Scatter name={y} data={data} fill="#9caf88" fillOpacity={0.7} />
+            <Line name="Trend" data={trend} dataKey="y" stroke="#e8a5b0" strokeWidth={2} dot={false} isAnimationActive={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+    </ChartPanel>
+  );
+}
@@ -0,0 +1,35 @@
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import ChartPanel from './ChartPanel';
+
+// Value counts of a categorical column, most frequent first
+export default function ValueBarChart({ data, column }) {
+  if (!data?.length) return null;
+
+  return (
+    <ChartPanel
+      title={`${column} — value counts`}
+      columns={['name', 'count']}
+      rows={data}
+      fileName={`value_counts_${column}.csv`}
+    >
+      {(height) => (
+        <ResponsiveContainer width="100%" height={height}>
+          <BarChart data={data} margin={{ top: 8, right: 16, left: 0, bottom: 56 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(156, 175, 136, 0.2)" vertical={false} />
+            <XAxis
+              dataKey="name"
+              tick={{ fontSize: 10 }}
+              angle={-30}
+              textAnchor="end"
+              interval={0}
+              tickFormatter={(v) => (String(v).length > 18 ? `${String(v).slice(0, 17)}…` : v)}
+            />
+            <YAxis tick={{ fontSize: 10 }} allowDecimals={false} />
+            <Tooltip />
+            <Bar dataKey="count" name="Rows" fill="#b8d4a8" radius={[5, 5, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      )}
+    </ChartPanel>
+  );
+}
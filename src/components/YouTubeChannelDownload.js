@@ -1,82 +1,188 @@
-import { useState, useRef } from 'react';
-import { fetchYouTubeChannelData } from '../services/mongoApi';
+import { useState, useRef, useEffect, useCallback } from 'react';
+import {
+  createYouTubeJob,
+  watchYouTubeJob,
+  cancelYouTubeJob,
+  listYouTubeJobs,
+  fetchYouTubeJobResult,
+} from '../services/mongoApi';
 import { normalizeVideosReleaseDates } from '../services/dateNormalization';
 import './YouTubeChannelDownload.css';
 
 const SAMPLE_JSON_URL = '/veritasium_channel_data.json';
+// Matches the server's default YOUTUBE_MAX_VIDEOS; beyond the first ~30 videos
+// the scraper pages through each selected tab
+const MAX_VIDEOS = 500;
+const RECENT_JOBS_SHOWN = 5;
 
-function progressInterval(setProgress, done) {
-  const steps = [15, 30, 45, 60, 75, 90];
-  let i = 0;
-  const id = setInterval(() => {
-    if (done.current) return;
-    setProgress((p) => (p < 90 ? steps[i] ?? 90 : p));
-    i++;
-    if (i >= steps.length) clearInterval(id);
-  }, 600);
-  return () => clearInterval(id);
+// Channel tabs the scraper reads; each video's contentType records which one it came from
+const CHANNEL_TABS = [
+  { id: 'videos', label: 'Videos' },
+  { id: 'shorts', label: 'Shorts' },
+  { id: 'live', label: 'Live' },
+  { id: 'podcasts', label: 'Podcasts' },
+];
+
+// "10 with full details · 2 from listing only · 1 skipped (time budget) · 3 retried · 42.0 s"
+function formatFetchSummary({ counts, retried, elapsedMs }) {
+  const parts = [`${counts.ok} with full details`];
+  if (counts.fallback) parts.push(`${counts.fallback} from listing only`);
+  if (counts.skipped) parts.push(`${counts.skipped} skipped (time budget)`);
+  if (retried) parts.push(`${retried} retried`);
+  parts.push(`${(elapsedMs / 1000).toFixed(1)} s`);
+  return parts.join(' · ');
+}
+
+// Listing is the first 20% of the bar, video details the rest
+function progressPercent(job) {
+  const p = job?.progress;
+  if (!p) return 0;
+  if (p.phase === 'listing') {
+    const target = (job.maxVideos || 1) * (job.tabs?.length || 1);
+    return Math.min(20, (p.listed / target) * 20);
+  }
+  return 20 + (p.detailsTotal ? (p.detailsDone / p.detailsTotal) * 80 : 0);
+}
+
+function progressLabel(p) {
+  if (!p || p.phase === 'listing') {
+    return `Listing videos${p?.tab ? ` (${p.tab})` : ''}… ${p?.listed ?? 0} found`;
+  }
+  return `Listed ${p.listed} · details ${p.detailsDone}/${p.detailsTotal} · ${p.transcripts} transcripts`;
+}
+
+const normalizeChannelData = (data) => {
+  const base = data?.channel ? { channelTitle: data.channel.channelTitle || '', videos: data.videos || [] } : data;
+  const { videos, normalizedCount, invalidCount } = normalizeVideosReleaseDates(base?.videos || []);
+  console.warn(`[download-channel] normalized release dates: ok=${normalizedCount}, invalid=${invalidCount}`);
+  return { ...base, videos };
+};
+
+// Sample Veritasium data shown when a scrape fails, or null if it can't be loaded either
+async function loadSampleFallback(serverMessage) {
+  const isScraperFailure =
+    serverMessage.includes('ytInitialData not found') ||
+    serverMessage.includes('No videos found') ||
+    serverMessage.includes('Invalid YouTube channel URL') ||
+    serverMessage.includes('parse');
+  try {
+    const res = await fetch(SAMPLE_JSON_URL);
+    if (!res.ok) throw new Error('Sample not found');
+    const sample = normalizeChannelData(await res.json());
+    return { ...sample, _sampleFallback: true, _fallbackReason: isScraperFailure ? 'scrape_failed' : 'other' };
+  } catch {
+    return null;
+  }
 }
 
 export default function YouTubeChannelDownload() {
   const [channelUrl, setChannelUrl] = useState('https://www.youtube.com/@veritasium');
   const [maxVideos, setMaxVideos] = useState(10);
-  const [loading, setLoading] = useState(false);
-  const [progress, setProgress] = useState(0);
+  const [tabs, setTabs] = useState(['videos']);
+  const [job, setJob] = useState(null);
+  const [recentJobs, setRecentJobs] = useState([]);
   const [result, setResult] = useState(null);
   const [error, setError] = useState('');
-  const doneRef = useRef(false);
+  const followRef = useRef(null);
+  const loading = job?.status === 'running';
+
+  const refreshRecentJobs = useCallback(() => listYouTubeJobs().then(setRecentJobs).catch(() => {}), []);
+
+  const showResult = useCallback(async (jobId) => {
+    try {
+      setResult(normalizeChannelData(await fetchYouTubeJobResult(jobId)));
+    } catch (err) {
+      setError(err.message || 'Could not load the download');
+    }
+  }, []);
+
+  const showFailure = useCallback(async (message) => {
+    setError(message || 'Download failed');
+    setResult(await loadSampleFallback(message || ''));
+  }, []);
+
+  // Follow a job's progress stream until it finishes, then show its outcome
+  const follow = useCallback(
+    async (jobId) => {
+      followRef.current?.abort();
+      const controller = new AbortController();
+      followRef.current = controller;
+      let last = null;
+      try {
+        for await (const state of watchYouTubeJob(jobId, controller.signal)) {
+          last = state;
+          setJob(state);
+        }
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setJob(null);
+        await showFailure(err.message);
+        return;
+      }
+      if (last?.status === 'done') await showResult(jobId);
+      else if (last?.status === 'failed') await showFailure(last.error);
+      else if (last?.status === 'cancelled') setError('Download cancelled.');
+      refreshRecentJobs();
+    },
+    [showFailure, showResult, refreshRecentJobs]
+  );
+
+  // Pick up a download still running from an earlier visit
+  useEffect(() => {
+    let cancelled = false;
+    listYouTubeJobs()
+      .then((jobs) => {
+        if (cancelled) return;
+        setRecentJobs(jobs);
+        const active = jobs.find((j) => j.status === 'running');
+        if (active) {
+          setJob(active);
+          follow(active.id);
+        }
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+      followRef.current?.abort();
+    };
+  }, [follow]);
+
+  const toggleTab = (id) =>
+    setTabs((prev) =>
+      prev.includes(id) ? prev.filter((t) => t !== id) : CHANNEL_TABS.map((t) => t.id).filter((t) => t === id || prev.includes(t))
+    );
 
   const handleDownload = async () => {
     setError('');
     setResult(null);
-    setLoading(true);
-    setProgress(10);
-    doneRef.current = false;
-    const clear = progressInterval(setProgress, doneRef);
+    try {
+      const max = Math.min(MAX_VIDEOS, Math.max(1, maxVideos));
+      const created = await createYouTubeJob(channelUrl, max, tabs);
+      setJob(created);
+      refreshRecentJobs();
+      await follow(created.id);
+    } catch (err) {
+      setJob(null);
+      await showFailure(err.message);
+    }
+  };
 
+  const handleCancel = async () => {
+    if (!job) return;
     try {
-      const max = Math.min(100, Math.max(1, maxVideos));
-      const data = await fetchYouTubeChannelData(channelUrl, max);
-      const base = data?.channel
-        ? { channelTitle: data.channel.channelTitle || '', videos: data.videos || [] }
-        : data;
-      const { videos, normalizedCount, invalidCount } = normalizeVideosReleaseDates(base?.videos || []);
-      console.warn(`[download-channel] normalized release dates: ok=${normalizedCount}, invalid=${invalidCount}`);
-      const normalized = { ...base, videos };
-      doneRef.current = true;
-      clear();
-      setProgress(100);
-      setResult(normalized);
+      await cancelYouTubeJob(job.id);
     } catch (err) {
-      doneRef.current = true;
-      clear();
-      const serverMessage = err.message || '';
-      const isScraperFailure =
-        serverMessage.includes('ytInitialData not found') ||
-        serverMessage.includes('No videos found') ||
-        serverMessage.includes('Invalid YouTube channel URL') ||
-        serverMessage.includes('parse');
-      try {
-        const res = await fetch(SAMPLE_JSON_URL);
-        if (!res.ok) throw new Error('Sample not found');
-        const sample = await res.json();
-        const baseSample = sample?.channel
-          ? { channelTitle: sample.channel.channelTitle || '', videos: sample.videos || [] }
-          : sample;
-        const { videos } = normalizeVideosReleaseDates(baseSample?.videos || []);
-        const normalizedSample = { ...baseSample, videos };
-        setResult({ ...normalizedSample, _sampleFallback: true, _fallbackReason: isScraperFailure ? 'scrape_failed' : 'other' });
-        setError(serverMessage || 'Download failed');
-      } catch (sampleErr) {
-        setError(serverMessage || 'Download failed');
-        setResult(null);
-      }
-    } finally {
-      setLoading(false);
-      setProgress(0);
+      setError(err.message || 'Could not cancel the download');
     }
   };
 
+  const handleLoadJob = async (jobId) => {
+    setError('');
+    setResult(null);
+    setJob(recentJobs.find((j) => j.id === jobId) || null);
+    await showResult(jobId);
+  };
+
   const handleSaveFile = () => {
     if (!result) return;
     const { _sampleFallback, _fallbackReason, ...data } = result;
@@ -88,21 +194,23 @@ export default function YouTubeChannelDownload() {
     URL.revokeObjectURL(a.href);
   };
 
+  const finishedJobs = recentJobs.filter((j) => j.status !== 'running').slice(0, RECENT_JOBS_SHOWN);
+
   return (
     <div className="youtube-download-page">
       <div className="youtube-download-card">
         <h2>YouTube Channel Download</h2>
         <p className="youtube-download-desc">
-          Enter a YouTube channel URL to download video metadata using pure Node.js scraping.
-          Metadata includes: title, description, transcript (if available), duration, release date, view count, like count, comment count, and video URL.
-          Data is saved to a JSON file you can download.
+          Enter a YouTube channel URL (@handle, /channel/, /c/ or /user/ link), a handle, or any video URL from the channel to download video metadata using pure Node.js scraping.
+          Metadata includes: title, content type (video, short, live or podcast), description, transcript (if available), duration, release date, view count, like count, comment count, and video URL.
+          Downloads run on the server, so you can leave this page and load the result later.
         </p>
 
         <div className="youtube-download-form">
           <label>
-            Channel URL
+            Channel URL, handle or video URL
             <input
-              type="url"
+              type="text"
               value={channelUrl}
               onChange={(e) => setChannelUrl(e.target.value)}
               placeholder="https://www.youtube.com/@veritasium"
@@ -110,17 +218,26 @@ export default function YouTubeChannelDownload() {
             />
           </label>
           <label>
-            Max videos (1–100)
+            Max videos per tab (1–{MAX_VIDEOS})
             <input
               type="number"
               min={1}
-              max={100}
+              max={MAX_VIDEOS}
               value={maxVideos}
               onChange={(e) => setMaxVideos(Number(e.target.value) || 10)}
               disabled={loading}
             />
           </label>
-          <button type="button" onClick={handleDownload} disabled={loading}>
+          <fieldset className="youtube-tabs" disabled={loading}>
+            <legend>Channel tabs</legend>
+            {CHANNEL_TABS.map((t) => (
+              <label key={t.id}>
+                <input type="checkbox" checked={tabs.includes(t.id)} onChange={() => toggleTab(t.id)} />
+                {t.label}
+              </label>
+            ))}
+          </fieldset>
+          <button type="button" onClick={handleDownload} disabled={loading || !tabs.length}>
             {loading ? 'Downloading…' : 'Download Channel Data'}
           </button>
         </div>
@@ -128,9 +245,14 @@ export default function YouTubeChannelDownload() {
         {loading && (
           <div className="youtube-progress-wrap">
             <div className="youtube-progress-bar">
-              <div className="youtube-progress-fill" style={{ width: `${progress}%` }} />
+              <div className="youtube-progress-fill" style={{ width: `${progressPercent(job)}%` }} />
+            </div>
+            <div className="youtube-progress-row">
+              <p className="youtube-progress-label">{progressLabel(job.progress)}</p>
+              <button type="button" className="youtube-cancel-btn" onClick={handleCancel}>
+                Cancel
+              </button>
             </div>
-            <p className="youtube-progress-label">Fetching metadata via scraper…</p>
           </div>
         )}
 
@@ -145,12 +267,54 @@ export default function YouTubeChannelDownload() {
                   : 'Download failed; showing sample Veritasium data so you can still use it in Chat or download it.'}
               </p>
             )}
-            <p><strong>{result.channelTitle}</strong> — {result.videos?.length ?? 0} videos</p>
+            <p>
+              {result.channelUrl ? (
+                <a href={result.channelUrl} target="_blank" rel="noopener noreferrer">
+                  <strong>{result.channelTitle}</strong>
+                </a>
+              ) : (
+                <strong>{result.channelTitle}</strong>
+              )}
+              {result.channelHandle && <span className="youtube-channel-handle"> {result.channelHandle}</span>} —{' '}
+              {result.videos?.length ?? 0} videos
+            </p>
+            {result.tabs && Object.keys(result.tabs).length > 1 && (
+              <ul className="youtube-tab-counts">
+                {Object.entries(result.tabs).map(([tab, info]) => (
+                  <li key={tab}>
+                    {CHANNEL_TABS.find((t) => t.id === tab)?.label || tab}: {info.error ? `skipped (${info.error})` : info.listed}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {result.fetchSummary && <p className="youtube-fetch-summary">{formatFetchSummary(result.fetchSummary)}</p>}
             <button type="button" onClick={handleSaveFile} className="youtube-save-btn">
               Download JSON file
             </button>
           </div>
         )}
+
+        {finishedJobs.length > 0 && (
+          <div className="youtube-recent">
+            <h3>Recent downloads</h3>
+            <ul>
+              {finishedJobs.map((j) => (
+                <li key={j.id}>
+                  <span className="youtube-recent-name">{j.summary?.channelTitle || j.channelUrl}</span>
+                  <span className="youtube-recent-meta">
+                    {j.status === 'done' ? `${j.summary?.videoCount ?? 0} videos` : j.status} ·{' '}
+                    {new Date(j.createdAt).toLocaleString()}
+                  </span>
+                  {j.hasResult && (
+                    <button type="button" onClick={() => handleLoadJob(j.id)} disabled={loading}>
+                      Load
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </div>
     </div>
   );
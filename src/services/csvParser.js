@@ -0,0 +1,259 @@
+// ── RFC 4180 CSV parser ───────────────────────────────────────────────────────
+// - quoted fields may contain delimiters, CR/LF and escaped quotes ("")
+// - CRLF, LF and lone CR line endings; a UTF-8 BOM is stripped
+// - delimiter auto-detected from the first lines: comma, semicolon or tab
+// - incremental: push() text chunks as they are read (used by the Web Worker
+//   in csvParser.worker.js so large files never block the chat)
+
+import { parseDateToMs } from './dateNormalization';
+
+const DELIMITERS = [',', ';', '\t'];
+const DETECT_SAMPLE_CHARS = 64 * 1024;
+const DETECT_SAMPLE_LINES = 20;
+
+export const stripBom = (text) => (text.charCodeAt(0) === 0xfeff ? text.slice(1) : text);
+
+// Count delimiter occurrences per line outside quotes for the first few lines.
+// The winner appears on every sampled line, consistently, and most often.
+export function detectDelimiter(sample) {
+  const counts = DELIMITERS.map(() => []);
+  let line = DELIMITERS.map(() => 0);
+  let inQuotes = false;
+  for (let i = 0; i < sample.length && counts[0].length < DETECT_SAMPLE_LINES; i++) {
+    const ch = sample[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === '\n' || ch === '\r')) {
+      if (ch === '\r' && sample[i + 1] === '\n') i++;
+      line.forEach((n, d) => counts[d].push(n));
+      line = DELIMITERS.map(() => 0);
+    } else if (!inQuotes) {
+      const d = DELIMITERS.indexOf(ch);
+      if (d >= 0) line[d]++;
+    }
+  }
+  if (counts[0].length < DETECT_SAMPLE_LINES && line.some((n) => n > 0)) line.forEach((n, d) => counts[d].push(n));
+
+  let best = ',';
+  let bestScore = 0;
+  DELIMITERS.forEach((d, idx) => {
+    const c = counts[idx];
+    if (!c.length || c[0] === 0) return;
+    const consistent = c.filter((n) => n === c[0]).length / c.length;
+    const score = consistent * 1000 + c[0];
+    if (score > bestScore) {
+      best = d;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Incremental parser. push(chunk) returns the records (string arrays) completed
+ * so far; finish() flushes the last one. Pass { delimiter } to skip detection.
+ */
+export function createCsvParser({ delimiter = null } = {}) {
+  let delim = delimiter;
+  let pending = ''; // text held back until the delimiter is known
+  let started = false;
+  let field = '';
+  let record = [];
+  let inQuotes = false;
+  let quoteInQuoted = false; // saw '"' inside a quoted field: escape or closing quote
+  let skipLf = false; // previous char was CR ending a record
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = (out) => {
+    endField();
+    // Blank lines are skipped (a record with one empty field)
+    if (record.length > 1 || record[0] !== '') out.push(record);
+    record = [];
+  };
+
+  // Plain runs (quoted text up to the next quote, unquoted text up to the next
+  // delimiter or line break) are appended as slices rather than char by char.
+  const consume = (text, out) => {
+    let i = 0;
+    while (i < text.length) {
+      const ch = text[i];
+      if (skipLf) {
+        skipLf = false;
+        if (ch === '\n') {
+          i++;
+          continue;
+        }
+      }
+      if (inQuotes) {
+        if (quoteInQuoted) {
+          quoteInQuoted = false;
+          if (ch === '"') {
+            field += '"';
+            i++;
+            continue;
+          }
+          inQuotes = false; // closing quote; handle ch as unquoted below
+        } else {
+          const q = text.indexOf('"', i);
+          if (q === -1) {
+            field += text.slice(i);
+            return;
+          }
+          field += text.slice(i, q);
+          quoteInQuoted = true;
+          i = q + 1;
+          continue;
+        }
+      }
+      if (ch === '"' && field === '') inQuotes = true;
+      else if (ch === delim) endField();
+      else if (ch === '\n') endRecord(out);
+      else if (ch === '\r') {
+        endRecord(out);
+        skipLf = true;
+      } else {
+        let j = i + 1;
+        while (j < text.length) {
+          const c = text[j];
+          if (c === delim || c === '\n' || c === '\r') break;
+          j++;
+        }
+        field += text.slice(i, j);
+        i = j;
+        continue;
+      }
+      i++;
+    }
+  };
+
+  const start = (text, out) => {
+    started = true;
+    if (!delim) delim = detectDelimiter(text);
+    consume(text, out);
+  };
+
+  return {
+    get delimiter() {
+      return delim;
+    },
+    push(chunk) {
+      const out = [];
+      let text = chunk;
+      if (!started) {
+        pending += text;
+        pending = stripBom(pending);
+        if (!delim && pending.length < DETECT_SAMPLE_CHARS) return out;
+        text = pending;
+        pending = '';
+        start(text, out);
+        return out;
+      }
+      consume(text, out);
+      return out;
+    },
+    finish() {
+      const out = [];
+      if (!started) start(pending, out);
+      pending = '';
+      if (quoteInQuoted) {
+        quoteInQuoted = false;
+        inQuotes = false;
+      }
+      if (field !== '' || record.length) endRecord(out);
+      return out;
+    },
+  };
+}
+
+// Unique, non-empty header names ("Name", "Name_2", "column_3", ...)
+export function normalizeHeaders(raw) {
+  const seen = new Map();
+  return raw.map((h, i) => {
+    let name = String(h ?? '').trim() || `column_${i + 1}`;
+    const n = (seen.get(name) || 0) + 1;
+    seen.set(name, n);
+    if (n > 1) name = `${name}_${n}`;
+    return name;
+  });
+}
+
+/** Parse a whole CSV string. Returns { headers, records, delimiter }. */
+export function parseCsv(text, options = {}) {
+  const parser = createCsvParser(options);
+  const records = [...parser.push(String(text ?? '')), ...parser.finish()];
+  if (!records.length) return { headers: [], records: [], delimiter: parser.delimiter || ',' };
+  return { headers: normalizeHeaders(records[0]), records: records.slice(1), delimiter: parser.delimiter };
+}
+
+// ── Type inference ────────────────────────────────────────────────────────────
+// A column is typed only when every non-empty value fits; otherwise it stays a
+// string. Leading zeros (zip codes) and >15 significant digits (tweet IDs, which
+// would lose precision as doubles) keep a value as a string.
+
+const NUMBER_RE = /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+const LEADING_ZERO_RE = /^[-+]?0\d/;
+const MAX_SAFE_DIGITS = 15;
+const BOOLEAN_RE = /^(true|false)$/i;
+// ISO dates / datetimes, 1/31/2024-style dates, and Twitter's "Wed Oct 10 20:19:24 +0000 2018"
+const DATE_RE = /^(\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?)?|\d{1,2}\/\d{1,2}\/\d{2,4}( \d{1,2}:\d{2}(:\d{2})?\s*([AaPp][Mm])?)?|[A-Z][a-z]{2} [A-Z][a-z]{2} \d{1,2} \d{2}:\d{2}:\d{2} [+-]\d{4} \d{4})$/;
+
+const isNumber = (v) =>
+  NUMBER_RE.test(v) && !LEADING_ZERO_RE.test(v) && v.split(/[eE]/)[0].replace(/\D/g, '').length <= MAX_SAFE_DIGITS;
+const isDate = (v) => DATE_RE.test(v) && parseDateToMs(v) !== null;
+
+/** { column: 'number' | 'boolean' | 'date' | 'string' } from up to sampleSize rows. */
+export function inferColumnTypes(headers, records, sampleSize = 5000) {
+  const sample = records.length > sampleSize ? records.slice(0, sampleSize) : records;
+  const types = {};
+  headers.forEach((h, i) => {
+    const values = [];
+    for (const r of sample) {
+      const v = (r[i] ?? '').trim();
+      if (v !== '') values.push(v);
+    }
+    if (!values.length) types[h] = 'string';
+    else if (values.every(isNumber)) types[h] = 'number';
+    else if (values.every((v) => BOOLEAN_RE.test(v))) types[h] = 'boolean';
+    else if (values.every(isDate)) types[h] = 'date';
+    else types[h] = 'string';
+  });
+  return types;
+}
+
+const convert = (value, type) => {
+  const v = value ?? '';
+  if (type === 'number') {
+    const t = v.trim();
+    return t !== '' && isNumber(t) ? Number(t) : v;
+  }
+  if (type === 'boolean') {
+    const t = v.trim();
+    return BOOLEAN_RE.test(t) ? t.toLowerCase() === 'true' : v;
+  }
+  return v;
+};
+
+/** Records → row objects keyed by header, numbers/booleans converted. Empty cells stay ''. */
+export function recordsToRows(headers, records, columnTypes = {}) {
+  return records.map((r) => {
+    const obj = {};
+    headers.forEach((h, i) => {
+      obj[h] = convert(r[i], columnTypes[h]);
+    });
+    return obj;
+  });
+}
+
+/** One CSV line, quoting fields that need it. */
+export function serializeCsvRow(values, delimiter = ',') {
+  return values
+    .map((v) => {
+      const s = String(v ?? '');
+      return s.includes(delimiter) || s.includes('"') || s.includes('\n') || s.includes('\r')
+        ? `"${s.replace(/"/g, '""')}"`
+        : s;
+    })
+    .join(delimiter);
+}
@@ -0,0 +1,44 @@
+import { parseCsv, createCsvParser, detectDelimiter, inferColumnTypes } from './csvParser';
+import { parseCsvToRows } from './csvTools';
+
+test('handles quoted delimiters, escaped quotes, embedded newlines and a BOM', () => {
+  const text = '\uFEFF"ID","Text","Source"\r\n"1","Hello, ""world""\r\nline two","<a href=""x"">y</a>"\r\n"2","",z\r\n';
+  const { headers, records } = parseCsv(text);
+  expect(headers).toEqual(['ID', 'Text', 'Source']);
+  expect(records).toEqual([
+    ['1', 'Hello, "world"\r\nline two', '<a href="x">y</a>'],
+    ['2', '', 'z'],
+  ]);
+});
+
+test('gives the same records however the input is chunked', () => {
+  const text = 'a,b\n"x\n""y""",2\r\n3,"4,5"\n';
+  const parser = createCsvParser({ delimiter: ',' });
+  const records = [];
+  for (const ch of text) records.push(...parser.push(ch));
+  records.push(...parser.finish());
+  expect(records).toEqual([['a', 'b'], ['x\n"y"', '2'], ['3', '4,5']]);
+});
+
+test('detects semicolon and tab delimiters', () => {
+  expect(detectDelimiter('name;score;note\nA;1;"x, y"\nB;2;z\n')).toBe(';');
+  expect(detectDelimiter('name\tscore\nA\t1,5\nB\t2\n')).toBe('\t');
+  expect(parseCsv('a;b\n1;2').records).toEqual([['1', '2']]);
+});
+
+test('infers column types without mangling ids, zip codes or mixed columns', () => {
+  const { headers, records } = parseCsv(
+    'ID,Zip,Views,Ok,Created At,Mixed\n' +
+    '2024205851431490005,02139,19130,true,2026-02-18 14:34:17,1\n' +
+    '2024203683500556610,10001,2.5e3,FALSE,Wed Oct 10 20:19:24 +0000 2018,n/a\n'
+  );
+  expect(inferColumnTypes(headers, records)).toEqual({
+    ID: 'string', Zip: 'string', Views: 'number', Ok: 'boolean', 'Created At': 'date', Mixed: 'string',
+  });
+
+  const { rows } = parseCsvToRows('ID,Views\n2024205851431490005,19130\n2024203683500556610,\n');
+  expect(rows).toEqual([
+    { ID: '2024205851431490005', Views: 19130 },
+    { ID: '2024203683500556610', Views: '' },
+  ]);
+});
@@ -0,0 +1,67 @@
+// Parses a CSV off the main thread so 100k-row files don't freeze the chat.
+//   in:  { file } (streamed in chunks) or { text }
+//   out: { type: 'progress', rows, bytes, totalBytes } … then
+//        { type: 'done', dataset } (see prepareCsvDataset) or { type: 'error', error }
+
+/* eslint-disable no-restricted-globals */ // `self` is the worker scope here
+
+import { createCsvParser, normalizeHeaders, inferColumnTypes, recordsToRows } from './csvParser';
+import { prepareCsvDataset } from './csvTools';
+
+const TEXT_CHUNK_CHARS = 1024 * 1024;
+const PROGRESS_EVERY_MS = 100;
+
+async function* fileChunks(file) {
+  const reader = file.stream().getReader();
+  const decoder = new TextDecoder('utf-8');
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    yield { text: decoder.decode(value, { stream: true }), bytes: value.byteLength };
+  }
+  const tail = decoder.decode();
+  if (tail) yield { text: tail, bytes: 0 };
+}
+
+function* textChunks(text) {
+  for (let i = 0; i < text.length; i += TEXT_CHUNK_CHARS) {
+    const chunk = text.slice(i, i + TEXT_CHUNK_CHARS);
+    yield { text: chunk, bytes: chunk.length };
+  }
+}
+
+async function parse({ file, text }) {
+  const parser = createCsvParser();
+  const totalBytes = file ? file.size : text.length;
+  const records = [];
+  let bytes = 0;
+  let lastReport = 0;
+
+  for await (const chunk of file ? fileChunks(file) : textChunks(text)) {
+    for (const r of parser.push(chunk.text)) records.push(r);
+    bytes += chunk.bytes;
+    const now = Date.now();
+    if (now - lastReport >= PROGRESS_EVERY_MS) {
+      lastReport = now;
+      self.postMessage({ type: 'progress', rows: Math.max(0, records.length - 1), bytes, totalBytes });
+    }
+  }
+  for (const r of parser.finish()) records.push(r);
+  self.postMessage({ type: 'progress', rows: Math.max(0, records.length - 1), bytes: totalBytes, totalBytes });
+
+  const headers = records.length ? normalizeHeaders(records[0]) : [];
+  const body = records.slice(1);
+  const columnTypes = inferColumnTypes(headers, body);
+  return prepareCsvDataset({
+    headers,
+    rows: recordsToRows(headers, body, columnTypes),
+    columnTypes,
+    delimiter: parser.delimiter || ',',
+  });
+}
+
+self.addEventListener('message', (e) => {
+  parse(e.data || {})
+    .then((dataset) => self.postMessage({ type: 'done', dataset }))
+    .catch((err) => self.postMessage({ type: 'error', error: err?.message || String(err) }));
+});
@@ -1,3 +1,21 @@
+import { lazy } from 'react';
+import { registerTool, executeRegisteredTool } from './toolRegistry';
+import { parseCsv, inferColumnTypes, recordsToRows, serializeCsvRow } from './csvParser';
+import {
+  mean,
+  welchTTest,
+  pearson,
+  spearman,
+  correlationPValue,
+  linearRegression,
+  percentile,
+  detectOutliers,
+  OUTLIER_METHODS,
+  DEFAULT_OUTLIER_THRESHOLDS,
+} from './statistics';
+import { compileExpression } from './expression';
+import { parseDateToMs, timeBucket, bucketLabel, bucketRange, weekdayIndex, WEEKDAY_NAMES } from './dateNormalization';
+
 // ── Tool declarations (sent to Gemini so it knows what functions exist) ───────
 
 // IMPORTANT NOTE embedded in every description:
@@ -34,7 +52,7 @@ export const CSV_TOOL_DECLARATIONS = [
           type: 'STRING',
           description: 'Exact column name copied from [CSV columns: ...]. ' + COL_NOTE,
         },
-        top_n: { type: 'NUMBER', description: 'How many top values to return (default 10)' },
+        top_n: { type: 'INTEGER', minimum: 1, maximum: 100, description: 'How many top values to return (default 10)' },
       },
       required: ['column'],
     },
@@ -54,7 +72,7 @@ export const CSV_TOOL_DECLARATIONS = [
           type: 'STRING',
           description: 'Metric to sort by. Use "engagement" for engagement ratio, or any exact column name from [CSV columns: ...].',
         },
-        n: { type: 'NUMBER', description: 'Number of tweets to return (default 10).' },
+        n: { type: 'INTEGER', minimum: 1, maximum: 100, description: 'Number of tweets to return (default 10).' },
         ascending: {
           type: 'BOOLEAN',
           description: 'false = highest first (top performers), true = lowest first (worst performers). Default false.',
@@ -63,44 +81,264 @@ export const CSV_TOOL_DECLARATIONS = [
       required: ['sort_column'],
     },
   },
+  {
+    name: 'group_aggregate',
+    description:
+      'Filter rows, group them by zero or more columns and aggregate numeric columns per group ' +
+      '(count, sum, mean, median, min, max, percentile). Use this for comparisons and subsets, ' +
+      'e.g. "average views of Replies vs Tweets" (group_by ["Type"], mean of "View Count") or ' +
+      '"stats for English tweets only" (filter Language eq "en"). Returns a table the user sees. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        filters: {
+          type: 'ARRAY',
+          description: 'Row filters, all of which must match (AND). Omit to use every row.',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              column: { type: 'STRING', description: 'Exact column name from [CSV columns: ...].' },
+              op: {
+                type: 'STRING',
+                enum: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'contains', 'in'],
+                description: 'eq / ne compare numbers numerically and text case-insensitively; contains is a case-insensitive substring match; in matches any of "values".',
+              },
+              value: { type: 'STRING', description: 'Value to compare against (numbers as text are fine). Not used by "in".' },
+              values: { type: 'ARRAY', items: { type: 'STRING' }, description: 'Accepted values for op "in".' },
+            },
+            required: ['column', 'op'],
+          },
+        },
+        group_by: {
+          type: 'ARRAY',
+          maxItems: 3,
+          items: { type: 'STRING' },
+          description: 'Columns to group by (e.g. ["Type"]). Empty or omitted = one group with all filtered rows.',
+        },
+        aggregations: {
+          type: 'ARRAY',
+          minItems: 1,
+          description: 'What to compute for each group.',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              func: {
+                type: 'STRING',
+                enum: ['count', 'sum', 'mean', 'median', 'min', 'max', 'percentile'],
+                description: 'Aggregation function. count needs no column.',
+              },
+              column: { type: 'STRING', description: 'Numeric column to aggregate (e.g. "View Count" or "engagement").' },
+              percentile: { type: 'NUMBER', minimum: 0, maximum: 100, description: 'For func "percentile": which percentile, e.g. 90.' },
+            },
+            required: ['func'],
+          },
+        },
+        sort_by: { type: 'STRING', description: 'Result column to sort groups by, e.g. "mean(View Count)". Default: first aggregation.' },
+        ascending: { type: 'BOOLEAN', description: 'Sort groups lowest first. Default false.' },
+        limit: { type: 'INTEGER', minimum: 1, maximum: 200, description: 'Max groups to return (default 50).' },
+      },
+      required: ['aggregations'],
+    },
+  },
+  {
+    name: 'compare_keyword_engagement',
+    description:
+      'Compare a metric between tweets that mention a keyword or hashtag and tweets that do not. ' +
+      'Matches whole words in the Text column and tags in the Hashtags column (case-insensitive; "#ai" only matches the hashtag). ' +
+      'Returns mean and count for each side, one comparison per keyword, with a Welch t-test p-value, and renders a with/without bar chart. ' +
+      'Use for questions like "do tweets mentioning X get more likes?". ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        keywords: {
+          type: 'ARRAY',
+          minItems: 1,
+          maxItems: 10,
+          items: { type: 'STRING' },
+          description: 'Keywords or hashtags to test, e.g. ["AI", "#giveaway"]. Each is compared separately.',
+        },
+        metric_column: {
+          type: 'STRING',
+          description: 'Numeric column to compare, e.g. "Favorite Count" or "engagement" (default "engagement" when available).',
+        },
+      },
+      required: ['keywords'],
+    },
+  },
+  {
+    name: 'plot_csv',
+    description:
+      'Draw a chart of the CSV data in the chat. chart_type: ' +
+      '"histogram" (distribution of numeric `column`), "bar" (value counts of categorical `column`), ' +
+      '"scatter" (`x` vs `y`, optionally colored by categorical `color`), ' +
+      '"time_series" (numeric `column` over a date column, default "Created At"). ' +
+      'Use whenever the user asks to plot, chart, graph or visualise CSV data. ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        chart_type: { type: 'STRING', enum: ['histogram', 'bar', 'scatter', 'time_series'], description: 'Kind of chart.' },
+        column: { type: 'STRING', description: 'Column for histogram, bar and time_series.' },
+        x: { type: 'STRING', description: 'Numeric x-axis column (scatter).' },
+        y: { type: 'STRING', description: 'Numeric y-axis column (scatter).' },
+        color: { type: 'STRING', description: 'Optional categorical column to color scatter points by (e.g. "Type").' },
+        date_column: { type: 'STRING', description: 'Date column for time_series (default: "Created At" or the first date-like column).' },
+        bins: { type: 'INTEGER', minimum: 2, maximum: 100, description: 'Histogram bins (default 20).' },
+        top_n: { type: 'INTEGER', minimum: 1, maximum: 50, description: 'Bars to show for bar charts (default 15).' },
+      },
+      required: ['chart_type'],
+    },
+  },
+  {
+    name: 'time_buckets',
+    description:
+      'Posting-time analysis. Buckets rows by a date column (default "Created At") and reports the row count and the mean of a metric per bucket. ' +
+      'bucket: "hour" (0–23), "weekday" (Mon–Sun), "day", "week" (weeks start Monday), or "hour_weekday" for an hour × weekday heatmap of the metric. ' +
+      'Times are in the user\'s local timezone. Use for "when do I tweet most?", "best hour to post", "engagement by weekday", "activity per week". ' + COL_NOTE,
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        bucket: { type: 'STRING', enum: ['hour', 'weekday', 'day', 'week', 'hour_weekday'], description: 'How to bucket timestamps.' },
+        metric_column: { type: 'STRING', description: 'Numeric column to average per bucket (default "engagement" when available).' },
+        date_column: { type: 'STRING', description: 'Date column (default: "Created At" or the first date-like column).' },
+      },
+      required: ['bucket'],
+    },
+  },
+  {
+    name: 'token_stats',
+    description:
+      'Split multi-valued tweet fields into tokens and analyse them: "hashtag" (Hashtags column + #tags in Text), ' +
+      '"mention" (@handles in Text), "domain" (link domains from the URLs column and Text) or "media_type" (Media Type, with "none" for rows without media). ' +
+      'Returns how many rows contain each token, the mean of a metric (default "engagement") for those rows, and the most common co-occurring token pairs. ' +
+      'Use this instead of get_value_counts for Hashtags, URLs, mentions and Media Type.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        kind: { type: 'STRING', enum: ['hashtag', 'mention', 'domain', 'media_type'], description: 'What to tokenize.' },
+        metric_column: { type: 'STRING', description: 'Numeric column to average per token (default "engagement" when available).' },
+        top_n: { type: 'INTEGER', minimum: 1, maximum: 50, description: 'Tokens and pairs to return (default 15).' },
+        sort_by: { type: 'STRING', enum: ['count', 'mean'], description: 'Rank tokens by frequency (default) or by mean metric.' },
+        min_count: { type: 'INTEGER', minimum: 1, description: 'Ignore tokens found in fewer rows than this when ranking by mean (default 2).' },
+      },
+      required: ['kind'],
+    },
+  },
+  {
+    name: 'add_computed_column',
+    description:
+      'Define (or redefine) a computed column from a formula over existing columns, e.g. ' +
+      '"amplification" = "(Retweet Count + Quote Count) / View Count" or "text_length" = "len(Text)". ' +
+      'Operators: + - * / %, comparisons, && || !, parentheses; functions: len, words, lower, upper, contains, concat, ' +
+      'abs, sqrt, log, log10, round, floor, ceil, min, max, coalesce, if(cond, a, b), hour, weekday (0 = Mon), year, month. ' +
+      'Write column names as they appear (spaces allowed), or in [brackets] if they contain symbols. ' +
+      'The column is saved with the chat and every CSV tool can use it right away, including later in this turn.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        name: { type: 'STRING', description: 'Name of the new column, e.g. "amplification".' },
+        expression: { type: 'STRING', description: 'Formula, e.g. "(Retweet Count + Quote Count) / View Count".' },
+      },
+      required: ['name', 'expression'],
+    },
+  },
+  {
+    name: 'remove_computed_column',
+    description: 'Delete a computed column previously defined with add_computed_column.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        name: { type: 'STRING', description: 'Name of the computed column.' },
+      },
+      required: ['name'],
+    },
+  },
+  {
+    name: 'correlate',
+    description:
+      'Pearson and Spearman correlation matrices across numeric columns (default: every numeric column), ' +
+      'with the strongest pairs and their p-values, shown as a heatmap. Give a target to also fit a linear ' +
+      'regression of it on the predictors (default: the other columns), shown as a scatter with a trend line. ' +
+      'Use it for "do longer tweets get more views?" or "what drives engagement?" — add a computed column ' +
+      'first if the variable (e.g. text length) is not in the data.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        columns: {
+          type: 'ARRAY',
+          minItems: 2,
+          maxItems: 12,
+          items: { type: 'STRING' },
+          description: 'Numeric columns to correlate. Omit to use every numeric column.',
+        },
+        target: { type: 'STRING', description: 'Column to predict with a linear regression, e.g. "View Count".' },
+        predictors: {
+          type: 'ARRAY',
+          minItems: 1,
+          maxItems: 8,
+          items: { type: 'STRING' },
+          description: 'Regression inputs. Omit to use the other correlated columns.',
+        },
+      },
+    },
+  },
+  {
+    name: 'find_outliers',
+    description:
+      'Flag unusual rows in a numeric column using "iqr" (beyond 1.5 × IQR from the quartiles, the default), ' +
+      '"zscore" (|z| > 3) or "mad" (modified z-score > 3.5, robust to skew). Returns the flagged rows with their ' +
+      'text, date and link, most extreme first; when the CSV has a date column the values are also plotted ' +
+      'over time with the outliers highlighted.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        column: { type: 'STRING', description: 'Numeric column, e.g. "View Count" or "engagement".' },
+        method: { type: 'STRING', enum: OUTLIER_METHODS, description: 'Detection rule (default "iqr").' },
+        threshold: {
+          type: 'NUMBER',
+          minimum: 0.5,
+          maximum: 10,
+          description: 'Cut-off: IQR multiplier, |z| or modified |z| (defaults 1.5, 3 and 3.5).',
+        },
+        direction: { type: 'STRING', enum: ['both', 'high', 'low'], description: 'Which tail to flag (default both).' },
+        limit: { type: 'INTEGER', minimum: 1, maximum: 100, description: 'Flagged rows to return (default 20).' },
+        date_column: { type: 'STRING', description: 'Time axis for the chart. Defaults to "Created At" or another date column.' },
+      },
+      required: ['column'],
+    },
+  },
+  {
+    name: 'label_text',
+    description:
+      'Classify the text of every row with Gemini into a sentiment (positive / neutral / negative) and a topic, ' +
+      'and add them as "sentiment" and "topic" columns. Topics are proposed automatically from the texts unless ' +
+      'you pass a list. Labels are cached with the chat, so calling it again only labels new texts. Afterwards use ' +
+      'get_value_counts, group_aggregate or compare tools on the new columns, e.g. mean engagement by sentiment.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        text_column: { type: 'STRING', description: 'Column holding the text. Defaults to "Text".' },
+        topics: {
+          type: 'ARRAY',
+          minItems: 2,
+          maxItems: 11,
+          items: { type: 'STRING' },
+          description: 'Topic labels to choose from, e.g. ["ai", "politics", "sports"]; "other" is added automatically.',
+        },
+        relabel: { type: 'BOOLEAN', description: 'Discard cached labels and classify every text again (default false).' },
+      },
+    },
+  },
 ];
 
-// ── Parse a CSV line, respecting quoted fields ────────────────────────────────
-
-const parseLine = (line) => {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      inQuotes = !inQuotes;
-    } else if (ch === ',' && !inQuotes) {
-      result.push(current.trim());
-      current = '';
-    } else {
-      current += ch;
-    }
-  }
-  result.push(current.trim());
-  return result;
-};
-
 // ── Parse a full CSV text into an array of row objects ────────────────────────
+// RFC 4180 parsing (quoted newlines, "" escapes, BOM, , ; or tab delimiters)
+// lives in csvParser.js. Numeric and boolean columns come back typed.
 
 export const parseCsvToRows = (text) => {
-  const lines = text.split('\n').filter((l) => l.trim());
-  if (lines.length < 2) return { headers: [], rows: [] };
-  const headers = parseLine(lines[0]).map((h) => h.replace(/^"|"$/g, ''));
-  const rows = lines.slice(1).map((line) => {
-    const vals = parseLine(line);
-    const obj = {};
-    headers.forEach((h, i) => {
-      obj[h] = (vals[i] || '').replace(/^"|"$/g, '');
-    });
-    return obj;
-  });
-  return { headers, rows };
+  const { headers, records, delimiter } = parseCsv(text);
+  if (!headers.length || !records.length) return { headers: [], rows: [], columnTypes: {}, delimiter };
+  const columnTypes = inferColumnTypes(headers, records);
+  return { headers, rows: recordsToRows(headers, records, columnTypes), columnTypes, delimiter };
 };
 
 // ── Column lookup (case-insensitive + whitespace-tolerant) ───────────────────
@@ -130,6 +368,22 @@ const median = (sorted) =>
 
 const fmt = (n) => +n.toFixed(4);
 
+// Rounding for values shown to the user or the model: 2 decimals, or 4
+// significant digits below 1 so small ratios keep their precision
+const displayNum = (n) =>
+  typeof n === 'number' && Number.isFinite(n) ? (Math.abs(n) >= 1 ? +n.toFixed(2) : +n.toPrecision(4)) : n;
+
+// Spreading 100k values into Math.min/max overflows the call stack
+const minMax = (vals) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of vals) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return { min, max };
+};
+
 // ── Build a slim CSV with only the key analytical columns ────────────────────
 // Extracts text, language, type, engagement metrics, and the computed engagement
 // ratio. Returns a plain CSV string Gemini can read directly in its context —
@@ -148,23 +402,17 @@ const SLIM_PATTERNS = [
   /^engagement$/i,            // computed column added by enrichWithEngagement
 ];
 
-export const buildSlimCsv = (rows, headers) => {
+// extraColumns: user-defined computed columns, always included
+export const buildSlimCsv = (rows, headers, extraColumns = []) => {
   if (!rows.length || !headers.length) return '';
 
   // Pick columns that match any slim pattern, preserving header order
-  const slimHeaders = headers.filter((h) => SLIM_PATTERNS.some((re) => re.test(h)));
+  const slimHeaders = headers.filter((h) => SLIM_PATTERNS.some((re) => re.test(h)) || extraColumns.includes(h));
   if (!slimHeaders.length) return '';
 
-  const escapeCell = (v) => {
-    const s = String(v ?? '');
-    return s.includes(',') || s.includes('"') || s.includes('\n')
-      ? `"${s.replace(/"/g, '""')}"`
-      : s;
-  };
-
   const lines = [
-    slimHeaders.join(','),
-    ...rows.map((r) => slimHeaders.map((h) => escapeCell(r[h])).join(',')),
+    serializeCsvRow(slimHeaders),
+    ...rows.map((r) => serializeCsvRow(slimHeaders.map((h) => (extraColumns.includes(h) ? displayNum(r[h]) : r[h])))),
   ];
   return lines.join('\n');
 };
@@ -200,31 +448,102 @@ export const enrichWithEngagement = (rows, headers) => {
   return { rows: enriched, headers: [...headers, 'engagement'] };
 };
 
+// ── User-defined computed columns ────────────────────────────────────────────
+// Definitions are { name, expression } (see expression.js for the syntax),
+// saved with the session and applied in order, so later ones can use earlier
+// ones. They are recomputed from the parsed rows whenever the list changes.
+
+export const MAX_COMPUTED_COLUMNS = 20;
+
+/** Checks one definition against the columns available to it; returns an error message or null. */
+export const checkComputedColumn = ({ name, expression }, baseHeaders, earlier = []) => {
+  const clean = String(name ?? '').trim();
+  if (!clean) return 'Column name is required';
+  if (clean.length > 60) return 'Column name must be at most 60 characters';
+  if (/[[\]]/.test(clean)) return 'Column name cannot contain [ or ]';
+  if (baseHeaders.includes(clean)) return `"${clean}" is already a column of the CSV`;
+  try {
+    compileExpression(expression, [...baseHeaders, ...earlier.map((c) => c.name)]);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+/**
+ * Adds every valid definition as a column. Returns
+ * { rows, headers, columnTypes, errors: [{ name, error }] }; invalid ones are skipped.
+ */
+export const applyComputedColumns = (rows, headers, columnTypes = {}, definitions = []) => {
+  const errors = [];
+  const compiled = [];
+  let available = [...headers];
+  definitions.forEach((def) => {
+    const name = String(def.name ?? '').trim();
+    if (available.includes(name)) {
+      errors.push({ name, error: `"${name}" is already a column` });
+      return;
+    }
+    try {
+      compiled.push({ name, evaluate: compileExpression(def.expression, available).evaluate });
+      available = [...available, name];
+    } catch (err) {
+      errors.push({ name, error: err.message });
+    }
+  });
+  if (!compiled.length) return { rows, headers, columnTypes, errors };
+
+  const outRows = rows.map((r) => {
+    const out = { ...r };
+    compiled.forEach(({ name, evaluate }) => {
+      out[name] = evaluate(out);
+    });
+    return out;
+  });
+
+  const types = { ...columnTypes };
+  compiled.forEach(({ name }) => {
+    const sample = outRows.slice(0, 5000).map((r) => r[name]).filter((v) => v !== null && v !== '');
+    types[name] = sample.length && sample.every((v) => typeof v === 'number') ? 'number'
+      : sample.length && sample.every((v) => typeof v === 'boolean') ? 'boolean'
+      : 'string';
+  });
+  return { rows: outRows, headers: available, columnTypes: types, errors };
+};
+
+// A column is numeric when at least 80% of its non-empty values parse as numbers
+// (the same rule for the dataset summary and the correlate tool).
+const NUMERIC_RATIO = 0.8;
+const isMostlyNumeric = (valueCount, numericCount) => numericCount > 0 && numericCount / (valueCount || 1) >= NUMERIC_RATIO;
+
+export const numericColumnsOf = (rows, headers) =>
+  headers.filter((h) => {
+    const vals = rows.map((r) => r[h]).filter((v) => v !== '' && v !== undefined && v !== null);
+    return isMostlyNumeric(vals.length, vals.filter((v) => !isNaN(parseFloat(v))).length);
+  });
+
 // ── Dataset summary (auto-computed when CSV is loaded) ───────────────────────
 // Returns a compact markdown string describing every column so Gemini always
 // has exact column names, types, and value distributions in its context.
+// computedColumns ({ name, expression }) are labelled with their formula.
 
-export const computeDatasetSummary = (rows, headers) => {
+export const computeDatasetSummary = (rows, headers, computedColumns = []) => {
   if (!rows.length || !headers.length) return '';
 
   const lines = [`**Dataset: ${rows.length} rows × ${headers.length} columns**\n`];
+  const formulas = Object.fromEntries(computedColumns.map((c) => [c.name, c.expression]));
+  const label = (name) => (formulas[name] ? `"${name}" (computed: ${formulas[name]})` : `"${name}"`);
   const numericCols = [];
   const categoricalCols = [];
 
   headers.forEach((h) => {
     const vals = rows.map((r) => r[h]).filter((v) => v !== '' && v !== undefined && v !== null);
     const numVals = vals.map((v) => parseFloat(v)).filter((v) => !isNaN(v));
-    const numericRatio = numVals.length / (vals.length || 1);
 
-    if (numericRatio >= 0.8 && numVals.length > 0) {
+    if (isMostlyNumeric(vals.length, numVals.length)) {
       const mean = numVals.reduce((a, b) => a + b, 0) / numVals.length;
-      numericCols.push({
-        name: h,
-        count: numVals.length,
-        mean: +mean.toFixed(2),
-        min: Math.min(...numVals),
-        max: Math.max(...numVals),
-      });
+      const { min, max } = minMax(numVals);
+      numericCols.push({ name: h, count: numVals.length, mean: displayNum(mean), min: displayNum(min), max: displayNum(max) });
     } else {
       const counts = {};
       vals.forEach((v) => { counts[v] = (counts[v] || 0) + 1; });
@@ -240,124 +559,1316 @@ export const computeDatasetSummary = (rows, headers) => {
   if (numericCols.length) {
     lines.push('**Numeric columns** (exact names — use these verbatim in tool calls):');
     numericCols.forEach((c) => {
-      lines.push(`  • "${c.name}": mean=${c.mean}, min=${c.min}, max=${c.max}, n=${c.count}`);
+      lines.push(`  • ${label(c.name)}: mean=${c.mean}, min=${c.min}, max=${c.max}, n=${c.count}`);
     });
   }
 
   if (categoricalCols.length) {
     lines.push('\n**Categorical columns** (exact names — use these verbatim in tool calls):');
     categoricalCols.forEach((c) => {
-      lines.push(`  • "${c.name}": ${c.unique} unique values — top: ${c.top}`);
+      lines.push(`  • ${label(c.name)}: ${c.unique} unique values — top: ${c.top}`);
     });
   }
 
   return lines.join('\n');
 };
 
-// ── Client-side tool executor ─────────────────────────────────────────────────
+// ── Prepared dataset ─────────────────────────────────────────────────────────
+// Everything the chat keeps for a loaded CSV, built in one pass so it can run
+// inside the parser Web Worker: enriched rows/headers, column types, the
+// summary, the slim CSV, and a short preview for the attachment chip.
 
-export const executeTool = (toolName, args, rows) => {
-  const ALLOWED_CSV_TOOLS = new Set([
-    'compute_column_stats',
-    'get_value_counts',
-    'get_top_tweets',
-  ]);
-  if (!ALLOWED_CSV_TOOLS.has(toolName)) {
-    console.warn(`[CSV Tool] Unknown tool blocked: ${toolName}`);
-    return { error: `Unknown tool: ${toolName}` };
+export const prepareCsvDataset = ({ headers: fileHeaders, rows: rawRows, columnTypes = {}, delimiter = ',' }) => {
+  const { rows, headers } = enrichWithEngagement(rawRows, fileHeaders);
+  const types = headers.includes('engagement') && !columnTypes.engagement
+    ? { ...columnTypes, engagement: 'number' }
+    : columnTypes;
+  const preview = [
+    serializeCsvRow(fileHeaders, delimiter),
+    ...rawRows.slice(0, 5).map((r) => serializeCsvRow(fileHeaders.map((h) => r[h]), delimiter)),
+  ].join('\n');
+  return {
+    fileHeaders,
+    headers,
+    rows,
+    columnTypes: types,
+    delimiter,
+    rowCount: rows.length,
+    summary: computeDatasetSummary(rows, headers),
+    slimCsv: buildSlimCsv(rows, headers),
+    preview,
+  };
+};
+
+// ── Text labels (label_text) ─────────────────────────────────────────────────
+// Gemini sentiment / topic labels keyed by the exact text they were given for:
+//   { column, columns: { sentiment, topic }, topics, labels: { [text]: [sentiment, topic] }, promptVersion }
+// Saved with the session as the 'labels' dataset and added as two columns.
+
+/** Adds the label columns; rows whose text has no label get ''. Returns { rows, headers, columnTypes }. */
+export const applyTextLabels = (rows, headers, columnTypes = {}, textLabels = null) => {
+  if (!textLabels?.labels || !headers.includes(textLabels.column)) return { rows, headers, columnTypes };
+  const { column, columns, labels } = textLabels;
+  const outRows = rows.map((r) => {
+    const label = labels[String(r[column] ?? '').trim()];
+    return { ...r, [columns.sentiment]: label ? label[0] : '', [columns.topic]: label ? label[1] : '' };
+  });
+  const added = [columns.sentiment, columns.topic].filter((c) => !headers.includes(c));
+  return {
+    rows: outRows,
+    headers: [...headers, ...added],
+    columnTypes: { ...columnTypes, [columns.sentiment]: 'string', [columns.topic]: 'string' },
+  };
+};
+
+/**
+ * A prepared dataset with the session's text labels and computed columns added:
+ * the rows, headers, types, summary and slim CSV the chat uses, plus per-definition errors.
+ */
+export const deriveCsvDataset = (dataset, definitions = [], textLabels = null) => {
+  if (!definitions.length && !textLabels) return { ...dataset, errors: [] };
+  const labelled = applyTextLabels(dataset.rows, dataset.headers, dataset.columnTypes, textLabels);
+  const labelColumns = labelled.headers.slice(dataset.headers.length);
+  const { rows, headers, columnTypes, errors } = applyComputedColumns(
+    labelled.rows,
+    labelled.headers,
+    labelled.columnTypes,
+    definitions
+  );
+  const valid = definitions.filter((d) => !errors.some((e) => e.name === d.name));
+  return {
+    ...dataset,
+    rows,
+    headers,
+    columnTypes,
+    summary: computeDatasetSummary(rows, headers, valid),
+    slimCsv: buildSlimCsv(rows, headers, [...labelColumns, ...valid.map((d) => d.name)]),
+    errors,
+  };
+};
+
+// ── Filter / group-by aggregation ────────────────────────────────────────────
+
+const toNumber = (v) => (typeof v === 'number' ? v : v === '' || v == null ? NaN : Number(v));
+const normText = (v) => String(v ?? '').trim().toLowerCase();
+
+// eq / ne / ordering compare numerically when both sides are numbers, else as text
+const compareValues = (a, b) => {
+  const an = toNumber(a);
+  const bn = toNumber(b);
+  if (!isNaN(an) && !isNaN(bn)) return an - bn;
+  return normText(a).localeCompare(normText(b));
+};
+
+const FILTER_OPS = {
+  eq: (v, f) => compareValues(v, f.value) === 0,
+  ne: (v, f) => compareValues(v, f.value) !== 0,
+  gt: (v, f) => compareValues(v, f.value) > 0,
+  gte: (v, f) => compareValues(v, f.value) >= 0,
+  lt: (v, f) => compareValues(v, f.value) < 0,
+  lte: (v, f) => compareValues(v, f.value) <= 0,
+  contains: (v, f) => normText(v).includes(normText(f.value)),
+  in: (v, f) => (f.values || []).some((x) => compareValues(v, x) === 0),
+};
+
+const aggLabel = (a) =>
+  a.func === 'count' && !a.column
+    ? 'count'
+    : `${a.func === 'percentile' ? `p${a.percentile}` : a.func}(${a.column})`;
+
+const AGGREGATORS = {
+  count: (vals) => vals.length,
+  sum: (vals) => fmt(vals.reduce((x, y) => x + y, 0)),
+  mean: (vals) => (vals.length ? fmt(vals.reduce((x, y) => x + y, 0) / vals.length) : null),
+  median: (vals, sorted) => (vals.length ? fmt(median(sorted())) : null),
+  min: (vals) => (vals.length ? minMax(vals).min : null),
+  max: (vals) => (vals.length ? minMax(vals).max : null),
+  percentile: (vals, sorted, a) => (vals.length ? fmt(percentile(sorted(), a.percentile)) : null),
+};
+
+const groupAggregate = (args, rows) => {
+  const filters = (args.filters || []).map((f) => ({ ...f, column: resolveCol(rows, f.column) }));
+  const groupBy = (args.group_by || []).map((c) => resolveCol(rows, c));
+  const aggs = args.aggregations.map((a) => ({ ...a, column: a.column ? resolveCol(rows, a.column) : undefined }));
+  const limit = args.limit || 50;
+
+  const filtered = rows.filter((r) => filters.every((f) => FILTER_OPS[f.op](r[f.column], f)));
+
+  const groups = new Map();
+  filtered.forEach((r) => {
+    const keyValues = groupBy.map((c) => (r[c] === '' || r[c] == null ? '(blank)' : r[c]));
+    const key = JSON.stringify(keyValues);
+    if (!groups.has(key)) groups.set(key, { keyValues, rows: [] });
+    groups.get(key).rows.push(r);
+  });
+
+  const columns = [...groupBy, ...aggs.map(aggLabel)];
+  let out = [...groups.values()].map(({ keyValues, rows: groupRows }) => {
+    const row = Object.fromEntries(groupBy.map((c, i) => [c, keyValues[i]]));
+    aggs.forEach((a) => {
+      // count without a column counts rows; with a column, non-empty numeric values
+      const vals = a.column ? numericValues(groupRows, a.column) : groupRows.map(() => 0);
+      let sorted = null;
+      const getSorted = () => (sorted = sorted || [...vals].sort((x, y) => x - y));
+      row[aggLabel(a)] = AGGREGATORS[a.func](vals, getSorted, a);
+    });
+    return row;
+  });
+
+  const sortCol = columns.find((c) => normText(c) === normText(args.sort_by)) || aggLabel(aggs[0]);
+  const dir = args.ascending ? 1 : -1;
+  out.sort((a, b) => {
+    if (a[sortCol] == null) return 1;
+    if (b[sortCol] == null) return -1;
+    return dir * compareValues(a[sortCol], b[sortCol]);
+  });
+  const totalGroups = out.length;
+  out = out.slice(0, limit);
+
+  return {
+    _chartType: 'groupTable',
+    title: groupBy.length ? `By ${groupBy.join(', ')}` : 'All rows',
+    filters: filters.map((f) => `${f.column} ${f.op} ${f.op === 'in' ? (f.values || []).join('|') : f.value}`),
+    columns,
+    rows: out,
+    sort_column: sortCol,
+    ascending: !!args.ascending,
+    total_rows: rows.length,
+    filtered_rows: filtered.length,
+    group_count: totalGroups,
+    ...(totalGroups > out.length && { truncated: `showing ${out.length} of ${totalGroups} groups` }),
+  };
+};
+
+// Checks the schema can't express: which fields each op / func needs
+const validateGroupAggregate = (args) => {
+  const issues = [];
+  (args.filters || []).forEach((f, i) => {
+    if (f.op === 'in' && !(f.values || []).length) issues.push({ path: `filters[${i}].values`, message: 'is required for op "in"' });
+    if (f.op !== 'in' && (f.value === undefined || f.value === null)) issues.push({ path: `filters[${i}].value`, message: `is required for op "${f.op}"` });
+  });
+  args.aggregations.forEach((a, i) => {
+    if (a.func !== 'count' && !a.column) issues.push({ path: `aggregations[${i}].column`, message: `is required for func "${a.func}"` });
+    if (a.func === 'percentile' && a.percentile == null) issues.push({ path: `aggregations[${i}].percentile`, message: 'is required for func "percentile"' });
+  });
+  return issues;
+};
+
+// ── Keyword comparison ───────────────────────────────────────────────────────
+
+const SIGNIFICANCE_LEVEL = 0.05;
+
+const textColumnOf = (headers) =>
+  headers.find((h) => /^text$/i.test(h)) || headers.find((h) => /text|content|tweet|body/i.test(h));
+const hashtagColumnOf = (headers) => headers.find((h) => /hashtag/i.test(h));
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "#ai" only matches the hashtag; "ai" matches the word or the hashtag
+const keywordMatcher = (keyword, textCol, hashtagCol) => {
+  const tagOnly = keyword.trim().startsWith('#');
+  const word = keyword.trim().replace(/^#/, '');
+  const tag = word.toLowerCase();
+  const inText = new RegExp(`(^|[^\\w#])${tagOnly ? '#' : '#?'}${escapeRegExp(word)}(?!\\w)`, 'i');
+  return (row) =>
+    (textCol && inText.test(String(row[textCol] ?? ''))) ||
+    (hashtagCol &&
+      String(row[hashtagCol] ?? '')
+        .toLowerCase()
+        .split(/[\s,;#]+/)
+        .includes(tag));
+};
+
+const compareKeywordEngagement = (args, rows) => {
+  const headers = availableHeadersOf(rows);
+  const metric = resolveCol(rows, args.metric_column || 'engagement');
+  const textCol = textColumnOf(headers);
+  const hashtagCol = hashtagColumnOf(headers);
+  const scored = rows.map((r) => ({ row: r, value: toNumber(r[metric]) })).filter((x) => !isNaN(x.value));
+
+  const data = args.keywords.map((keyword) => {
+    const matches = keywordMatcher(keyword, textCol, hashtagCol);
+    const withVals = [];
+    const withoutVals = [];
+    scored.forEach(({ row, value }) => (matches(row) ? withVals : withoutVals).push(value));
+    const { t, df, pValue } = welchTTest(withVals, withoutVals);
+    return {
+      name: keyword,
+      withKeyword: withVals.length ? fmt(mean(withVals)) : 0,
+      withoutKeyword: withoutVals.length ? fmt(mean(withoutVals)) : 0,
+      withCount: withVals.length,
+      withoutCount: withoutVals.length,
+      tStatistic: Number.isFinite(t) ? fmt(t) : null,
+      degreesOfFreedom: Number.isFinite(df) ? fmt(df) : null,
+      pValue: Number.isFinite(pValue) ? +pValue.toPrecision(3) : null,
+      significant: Number.isFinite(pValue) ? pValue < SIGNIFICANCE_LEVEL : null,
+    };
+  });
+
+  return {
+    _chartType: 'engagement',
+    metricColumn: metric,
+    data,
+    matched_columns: [textCol, hashtagCol].filter(Boolean),
+    rows_with_metric: scored.length,
+    test: `Welch's two-sample t-test (two-sided, alpha ${SIGNIFICANCE_LEVEL}); null when a group has fewer than 2 values`,
+  };
+};
+
+const validateKeywordComparison = (args, { rows = [] }) => {
+  const headers = availableHeadersOf(rows);
+  const issues = [];
+  if (!textColumnOf(headers) && !hashtagColumnOf(headers)) {
+    issues.push({ path: 'keywords', message: `needs a Text or Hashtags column. Available columns: ${headers.join(', ')}` });
+  }
+  if (!args.metric_column && !headers.includes('engagement')) {
+    issues.push({ path: 'metric_column', message: 'is required (no computed "engagement" column in this CSV)' });
   }
+  if (args.keywords.some((k) => !String(k).trim().replace(/^#/, ''))) {
+    issues.push({ path: 'keywords', message: 'must not contain empty keywords' });
+  }
+  return issues;
+};
 
-  const availableHeaders = rows.length ? Object.keys(rows[0]) : [];
-  console.group(`[CSV Tool] ${toolName}`);
-  console.log('args:', args);
-  console.log('rows loaded:', rows.length);
-  console.log('available headers:', availableHeaders);
-  console.groupEnd();
-
-  switch (toolName) {
-    case 'compute_column_stats': {
-      const col = resolveCol(rows, args.column);
-      console.log(`[compute_column_stats] resolved column: "${args.column}" → "${col}"`);
-      const vals = numericValues(rows, col);
-      if (!vals.length)
-        return { error: `No numeric values found in column "${col}". Available columns: ${availableHeaders.join(', ')}` };
-      const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
-      const sorted = [...vals].sort((a, b) => a - b);
-      const variance = vals.reduce((a, b) => a + (b - mean) ** 2, 0) / vals.length;
-      return {
-        column: col,
-        count: vals.length,
-        mean: fmt(mean),
-        median: fmt(median(sorted)),
-        std: fmt(Math.sqrt(variance)),
-        min: Math.min(...vals),
-        max: Math.max(...vals),
-      };
-    }
+// ── Charts (plot_csv) ────────────────────────────────────────────────────────
+// Each chart type (histogram, valueBar, scatter, timeSeries) returns a payload
+// drawn by its renderer in CSV_CHART_RENDERERS. The payload is also the model's
+// function response, so point charts are capped at MAX_PLOT_POINTS (evenly sampled).
 
-    case 'get_value_counts': {
-      const col = resolveCol(rows, args.column);
-      console.log(`[get_value_counts] resolved column: "${args.column}" → "${col}"`);
-      const topN = args.top_n || 10;
+const MAX_PLOT_POINTS = 500;
+const CATEGORY_COLORS_MAX = 8;
+
+const evenSample = (items, max) => {
+  if (items.length <= max) return items;
+  const step = items.length / max;
+  return Array.from({ length: max }, (_, i) => items[Math.floor(i * step)]);
+};
+
+const dateColumnOf = (headers) =>
+  headers.find((h) => /^created.?at$/i.test(h)) || headers.find((h) => /date|time|created|timestamp/i.test(h));
+
+const labelOf = (row, headers) => {
+  const textCol = textColumnOf(headers);
+  return textCol ? String(row[textCol] ?? '').slice(0, 80) : '';
+};
+
+const PLOTTERS = {
+  histogram: (args, rows) => {
+    const col = resolveCol(rows, args.column);
+    const vals = numericValues(rows, col);
+    if (!vals.length) return { error: `No numeric values found in column "${col}".` };
+    const bins = args.bins || 20;
+    const { min, max } = minMax(vals);
+    const width = max > min ? (max - min) / bins : 1;
+    const counts = new Array(max > min ? bins : 1).fill(0);
+    vals.forEach((v) => {
+      counts[Math.min(counts.length - 1, Math.floor((v - min) / width))]++;
+    });
+    const data = counts.map((count, i) => {
+      const start = fmt(min + i * width);
+      const end = fmt(max > min ? min + (i + 1) * width : max);
+      return { bin: `${start.toLocaleString()}–${end.toLocaleString()}`, start, end, count };
+    });
+    return { _chartType: 'histogram', column: col, count: vals.length, min, max, data };
+  },
+
+  bar: (args, rows) => {
+    const col = resolveCol(rows, args.column);
+    const topN = args.top_n || 15;
+    const counts = new Map();
+    rows.forEach((r) => {
+      const v = r[col];
+      if (v !== undefined && v !== '' && v !== null) counts.set(String(v), (counts.get(String(v)) || 0) + 1);
+    });
+    const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    const data = sorted.slice(0, topN).map(([name, count]) => ({ name, count }));
+    const otherCount = sorted.slice(topN).reduce((sum, [, n]) => sum + n, 0);
+    return { _chartType: 'valueBar', column: col, unique_values: counts.size, other_count: otherCount, data };
+  },
+
+  scatter: (args, rows) => {
+    const headers = availableHeadersOf(rows);
+    const x = resolveCol(rows, args.x);
+    const y = resolveCol(rows, args.y);
+    const color = args.color ? resolveCol(rows, args.color) : null;
+    // Colors beyond the most common CATEGORY_COLORS_MAX values are grouped as "Other"
+    let keep = null;
+    if (color) {
       const counts = {};
-      rows.forEach((r) => {
-        const v = r[col];
-        if (v !== undefined && v !== '') counts[v] = (counts[v] || 0) + 1;
-      });
-      const sorted = Object.entries(counts)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, topN);
-      return {
-        column: col,
-        total_rows: rows.length,
-        value_counts: Object.fromEntries(sorted),
-      };
+      rows.forEach((r) => { counts[r[color]] = (counts[r[color]] || 0) + 1; });
+      keep = new Set(Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, CATEGORY_COLORS_MAX).map(([v]) => v));
     }
+    const points = [];
+    rows.forEach((r) => {
+      const xv = toNumber(r[x]);
+      const yv = toNumber(r[y]);
+      if (isNaN(xv) || isNaN(yv)) return;
+      const point = { x: xv, y: yv, label: labelOf(r, headers) };
+      if (color) point.group = keep.has(String(r[color])) ? String(r[color] === '' ? '(blank)' : r[color]) : 'Other';
+      points.push(point);
+    });
+    if (!points.length) return { error: `No rows have numeric values in both "${x}" and "${y}".` };
+    const data = evenSample(points, MAX_PLOT_POINTS);
+    return {
+      _chartType: 'scatter',
+      x,
+      y,
+      ...(color && { color }),
+      point_count: points.length,
+      ...(data.length < points.length && { sampled: `showing ${data.length} of ${points.length} points` }),
+      data,
+    };
+  },
 
-    case 'get_top_tweets': {
-      const sortCol = resolveCol(rows, args.sort_column) || args.sort_column;
-      console.log(`[get_top_tweets] sort="${sortCol}" n=${args.n} asc=${args.ascending}`);
-      const n   = args.n || 10;
-      const asc = args.ascending ?? false;
-
-      // Detect text column for display
-      const textCol =
-        availableHeaders.find((h) => /^text$/i.test(h)) ||
-        availableHeaders.find((h) => /text|content|tweet|body/i.test(h));
-
-      // Detect key metric columns
-      const favCol  = availableHeaders.find((h) => /favorite.?count/i.test(h));
-      const viewCol = availableHeaders.find((h) => /view.?count/i.test(h));
-      const engCol  = availableHeaders.includes('engagement') ? 'engagement' : null;
-
-      const sorted = [...rows].sort((a, b) => {
-        const av = parseFloat(a[sortCol]);
-        const bv = parseFloat(b[sortCol]);
-        if (!isNaN(av) && !isNaN(bv)) return asc ? av - bv : bv - av;
-        return 0;
-      });
+  time_series: (args, rows) => {
+    const headers = availableHeadersOf(rows);
+    const col = resolveCol(rows, args.column);
+    const dateCol = args.date_column ? resolveCol(rows, args.date_column) : dateColumnOf(headers);
+    if (!dateCol) return { error: `No date column found. Pass date_column. Available columns: ${headers.join(', ')}` };
+    const points = [];
+    rows.forEach((r) => {
+      const value = toNumber(r[col]);
+      const ms = parseDateToMs(r[dateCol]);
+      if (isNaN(value) || ms === null) return;
+      points.push({ x: ms, date: new Date(ms).toISOString(), value, label: labelOf(r, headers) });
+    });
+    if (points.length < 2) return { error: `Not enough rows with both a valid "${dateCol}" date and a numeric "${col}" value.` };
+    points.sort((a, b) => a.x - b.x);
+    const data = evenSample(points, MAX_PLOT_POINTS);
+    return {
+      _chartType: 'timeSeries',
+      column: col,
+      dateColumn: dateCol,
+      point_count: points.length,
+      from: points[0].date,
+      to: points[points.length - 1].date,
+      ...(data.length < points.length && { sampled: `showing ${data.length} of ${points.length} points` }),
+      data,
+    };
+  },
+};
 
-      const topRows = sorted.slice(0, n).map((r, i) => {
-        const out = { rank: i + 1 };
-        if (textCol) out.text = String(r[textCol] || '').slice(0, 150);
-        if (favCol)  out[favCol]  = r[favCol];
-        if (viewCol) out[viewCol] = r[viewCol];
-        if (engCol)  out.engagement = r.engagement;
-        return out;
-      });
+// Which arguments each chart type needs
+const PLOT_REQUIRED_ARGS = {
+  histogram: ['column'],
+  bar: ['column'],
+  scatter: ['x', 'y'],
+  time_series: ['column'],
+};
+
+const validatePlot = (args) =>
+  PLOT_REQUIRED_ARGS[args.chart_type]
+    .filter((key) => !args[key])
+    .map((key) => ({ path: key, message: `is required for chart_type "${args.chart_type}"` }));
+
+// ── Time buckets (time_buckets) ──────────────────────────────────────────────
+
+const MAX_DAY_BUCKETS = 400;
+
+const metricOrDefault = (args, rows) => {
+  if (args.metric_column) return resolveCol(rows, args.metric_column);
+  return availableHeadersOf(rows).includes('engagement') ? 'engagement' : null;
+};
+
+const timeBuckets = (args, rows) => {
+  const headers = availableHeadersOf(rows);
+  const dateCol = args.date_column ? resolveCol(rows, args.date_column) : dateColumnOf(headers);
+  if (!dateCol) return { error: `No date column found. Pass date_column. Available columns: ${headers.join(', ')}` };
+  const metric = metricOrDefault(args, rows);
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'local time';
+
+  // Rows with a valid date; metric values are kept only where numeric
+  const dated = [];
+  let invalidDates = 0;
+  rows.forEach((r) => {
+    const ms = parseDateToMs(r[dateCol]);
+    if (ms === null) invalidDates++;
+    else dated.push({ ms, value: metric ? toNumber(r[metric]) : NaN });
+  });
+  if (!dated.length) return { error: `No valid dates in column "${dateCol}".` };
+
+  const base = {
+    dateColumn: dateCol,
+    metricColumn: metric,
+    timezone,
+    dated_rows: dated.length,
+    ...(invalidDates && { skipped_invalid_dates: invalidDates }),
+  };
+
+  if (args.bucket === 'hour_weekday') {
+    const cells = WEEKDAY_NAMES.flatMap((_, weekday) =>
+      Array.from({ length: 24 }, (__, hour) => ({ weekday, hour, values: [] }))
+    );
+    dated.forEach(({ ms, value }) => {
+      const cell = cells[weekdayIndex(ms) * 24 + new Date(ms).getHours()];
+      cell.values.push(value);
+    });
+    return {
+      _chartType: 'hourWeekdayHeatmap',
+      ...base,
+      cells: cells.map(({ weekday, hour, values }) => {
+        const numeric = values.filter((v) => !isNaN(v));
+        return { weekday: WEEKDAY_NAMES[weekday], hour, count: values.length, mean: numeric.length ? fmt(mean(numeric)) : null };
+      }),
+    };
+  }
+
+  const groups = new Map();
+  dated.forEach(({ ms, value }) => {
+    const { key } = timeBucket(ms, args.bucket);
+    if (!groups.has(key)) groups.set(key, { count: 0, values: [] });
+    const g = groups.get(key);
+    g.count++;
+    if (!isNaN(value)) g.values.push(value);
+  });
+
+  // Every bucket in the cycle / date range, so empty ones show up as zero
+  let keys;
+  if (args.bucket === 'hour') keys = Array.from({ length: 24 }, (_, h) => h);
+  else if (args.bucket === 'weekday') keys = WEEKDAY_NAMES.map((_, i) => i);
+  else {
+    const times = dated.map((d) => d.ms);
+    const { min, max } = minMax(times);
+    keys = bucketRange(min, max, args.bucket);
+    if (keys.length > MAX_DAY_BUCKETS) {
+      return { error: `The dates span ${keys.length} ${args.bucket}s; use a coarser bucket (e.g. "week").` };
+    }
+  }
+
+  const data = keys.map((key) => {
+    const { count = 0, values = [] } = groups.get(key) || {};
+    return {
+      bucket: bucketLabel(key, args.bucket),
+      count,
+      ...(metric && { mean: values.length ? fmt(mean(values)) : null }),
+    };
+  });
+
+  return { _chartType: 'timeBuckets', bucketUnit: args.bucket, ...base, data };
+};
+
+// ── Token analysis (token_stats) ─────────────────────────────────────────────
+// Each row contributes a token at most once, so counts are "rows containing".
+
+const urlsColumnOf = (headers) => headers.find((h) => /^(expanded.?)?urls?$/i.test(h));
+const mediaTypeColumnOf = (headers) => headers.find((h) => /media.?type/i.test(h));
+
+const HASHTAG_RE = /(?:^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]+)/gu;
+const MENTION_RE = /(?:^|[^\w@])@(\w{1,15})/g;
+const URL_RE = /https?:\/\/[^\s"'<>]+/gi;
+const SHORTENER_HOSTS = new Set(['t.co']);
+
+const splitList = (value) => String(value ?? '').split(/[\s,;|]+/).filter(Boolean);
+const matchAll = (text, re) => [...String(text ?? '').matchAll(re)].map((m) => m[1]);
+
+const hostOf = (url) => {
+  try {
+    return new URL(url.startsWith('http') ? url : `https://${url}`).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+};
+
+// kind → (headers) → row → tokens; null when the needed columns are missing
+const TOKENIZERS = {
+  hashtag: (headers) => {
+    const textCol = textColumnOf(headers);
+    const tagCol = hashtagColumnOf(headers);
+    if (!textCol && !tagCol) return null;
+    return (row) => [
+      ...(tagCol ? splitList(row[tagCol]).map((t) => t.replace(/^#/, '')) : []),
+      ...(textCol ? matchAll(row[textCol], HASHTAG_RE) : []),
+    ].map((t) => `#${t.toLowerCase()}`);
+  },
+  mention: (headers) => {
+    const textCol = textColumnOf(headers);
+    if (!textCol) return null;
+    return (row) => matchAll(row[textCol], MENTION_RE).map((m) => `@${m.toLowerCase()}`);
+  },
+  domain: (headers) => {
+    const textCol = textColumnOf(headers);
+    const urlsCol = urlsColumnOf(headers);
+    if (!textCol && !urlsCol) return null;
+    return (row) => [
+      ...(urlsCol ? splitList(row[urlsCol]) : []),
+      ...(textCol ? String(row[textCol] ?? '').match(URL_RE) || [] : []),
+    ].map(hostOf).filter((h) => h && !SHORTENER_HOSTS.has(h));
+  },
+  media_type: (headers) => {
+    const col = mediaTypeColumnOf(headers);
+    if (!col) return null;
+    return (row) => {
+      const types = splitList(row[col]).map((t) => t.toLowerCase());
+      return types.length ? types : ['none'];
+    };
+  },
+};
+
+const TOKEN_SOURCES = {
+  hashtag: 'a Text or Hashtags column',
+  mention: 'a Text column',
+  domain: 'a Text or URLs column',
+  media_type: 'a Media Type column',
+};
+
+const tokenStats = (args, rows) => {
+  const headers = availableHeadersOf(rows);
+  const tokenize = TOKENIZERS[args.kind](headers);
+  const metric = metricOrDefault(args, rows);
+  const topN = args.top_n || 15;
+  const minCount = args.min_count || 2;
+
+  const stats = new Map();
+  const pairs = new Map();
+  let rowsWithTokens = 0;
+  rows.forEach((row) => {
+    const tokens = [...new Set(tokenize(row))].sort();
+    if (!tokens.length) return;
+    rowsWithTokens++;
+    const value = metric ? toNumber(row[metric]) : NaN;
+    tokens.forEach((t) => {
+      if (!stats.has(t)) stats.set(t, { count: 0, sum: 0, n: 0 });
+      const st = stats.get(t);
+      st.count++;
+      if (!isNaN(value)) {
+        st.sum += value;
+        st.n++;
+      }
+    });
+    for (let i = 0; i < tokens.length; i++) {
+      for (let j = i + 1; j < tokens.length; j++) {
+        const key = `${tokens[i]}\u0000${tokens[j]}`;
+        pairs.set(key, (pairs.get(key) || 0) + 1);
+      }
+    }
+  });
+
+  const byMean = args.sort_by === 'mean' && metric;
+  const tokens = [...stats.entries()]
+    .map(([token, st]) => ({
+      token,
+      count: st.count,
+      share: fmt(st.count / (rows.length || 1)),
+      ...(metric && { mean: st.n ? fmt(st.sum / st.n) : null }),
+    }))
+    .filter((t) => !byMean || (t.count >= minCount && t.mean !== null))
+    .sort((a, b) => (byMean ? b.mean - a.mean : b.count - a.count) || a.token.localeCompare(b.token))
+    .slice(0, topN);
+
+  const topPairs = [...pairs.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, topN)
+    .map(([key, count]) => {
+      const [a, b] = key.split('\u0000');
+      return { pair: `${a} + ${b}`, count };
+    });
+
+  return {
+    _chartType: 'tokenStats',
+    kind: args.kind,
+    metricColumn: metric,
+    total_rows: rows.length,
+    rows_with_tokens: rowsWithTokens,
+    unique_tokens: stats.size,
+    sort_by: byMean ? 'mean' : 'count',
+    tokens,
+    pairs: topPairs,
+  };
+};
+
+const validateTokenStats = (args, { rows = [] }) => {
+  const headers = availableHeadersOf(rows);
+  return TOKENIZERS[args.kind](headers)
+    ? null
+    : [{ path: 'kind', message: `"${args.kind}" needs ${TOKEN_SOURCES[args.kind]}. Available columns: ${headers.join(', ')}` }];
+};
+
+// ── Correlation / regression ─────────────────────────────────────────────────
+
+const MAX_CORRELATION_COLUMNS = 12;
+const MAX_DEFAULT_PREDICTORS = 8;
+const ID_COLUMN_RE = /(^|[\s_])id$/i;
+const roundOrNull = (v) => (Number.isFinite(v) ? fmt(v) : null);
+
+// Rows where every listed column is a number, as arrays of values
+const completeCases = (rows, cols) => {
+  const out = [];
+  rows.forEach((r) => {
+    const vals = cols.map((c) => toNumber(r[c]));
+    if (vals.every((v) => !isNaN(v))) out.push({ vals, row: r });
+  });
+  return out;
+};
+
+const correlate = (args, rows) => {
+  const headers = availableHeadersOf(rows);
+  const target = args.target ? resolveCol(rows, args.target) : null;
+  const requested = [...new Set(args.columns
+    ? args.columns.map((c) => resolveCol(rows, c))
+    : numericColumnsOf(rows, headers).filter((h) => !ID_COLUMN_RE.test(h)))];
+  let columns = requested.slice(0, MAX_CORRELATION_COLUMNS);
+  if (target && !columns.includes(target)) columns = [...columns.slice(0, MAX_CORRELATION_COLUMNS - 1), target];
+  const omitted = requested.filter((c) => !columns.includes(c));
+  if (columns.length < 2) return { error: 'Need at least two numeric columns to correlate.' };
+
+  // Pairwise complete observations per cell
+  const size = columns.length;
+  const pearsonMatrix = columns.map(() => new Array(size).fill(1));
+  const spearmanMatrix = columns.map(() => new Array(size).fill(1));
+  const counts = columns.map(() => new Array(size).fill(0));
+  const pairs = [];
+  for (let i = 0; i < size; i++) {
+    counts[i][i] = completeCases(rows, [columns[i]]).length;
+    for (let j = i + 1; j < size; j++) {
+      const cases = completeCases(rows, [columns[i], columns[j]]);
+      const xs = cases.map((c) => c.vals[0]);
+      const ys = cases.map((c) => c.vals[1]);
+      const p = roundOrNull(pearson(xs, ys));
+      const sp = roundOrNull(spearman(xs, ys));
+      pearsonMatrix[i][j] = pearsonMatrix[j][i] = p;
+      spearmanMatrix[i][j] = spearmanMatrix[j][i] = sp;
+      counts[i][j] = counts[j][i] = cases.length;
+      if (p !== null) {
+        pairs.push({ a: columns[i], b: columns[j], pearson: p, spearman: sp, n: cases.length, p_value: roundOrNull(correlationPValue(p, cases.length)) });
+      }
+    }
+  }
+  pairs.sort((a, b) => Math.abs(b.pearson) - Math.abs(a.pearson));
+
+  const result = {
+    _chartType: 'correlation',
+    columns,
+    pearson: pearsonMatrix,
+    spearman: spearmanMatrix,
+    pair_counts: counts,
+    strongest_pairs: pairs.slice(0, 10),
+    ...(omitted.length && { omitted_columns: omitted }),
+  };
+  if (!target) return result;
+
+  // Regression of the target on the predictors (complete cases only)
+  const predictors = args.predictors
+    ? [...new Set(args.predictors.map((c) => resolveCol(rows, c)))].filter((c) => c !== target)
+    : columns.filter((c) => c !== target).slice(0, MAX_DEFAULT_PREDICTORS);
+  if (!predictors.length) return { ...result, regression: { error: 'Need at least one predictor other than the target.' } };
+  const cases = completeCases(rows, [target, ...predictors]);
+  const fit = linearRegression(cases.map((c) => c.vals.slice(1)), cases.map((c) => c.vals[0]));
+  result.regression = fit
+    ? {
+        target,
+        predictors,
+        n: fit.n,
+        r2: roundOrNull(fit.r2),
+        adjusted_r2: roundOrNull(fit.adjustedR2),
+        coefficients: fit.coefficients.map((c, idx) => ({
+          term: idx === 0 ? '(intercept)' : predictors[idx - 1],
+          estimate: roundOrNull(c.estimate),
+          std_error: roundOrNull(c.stdError),
+          t: roundOrNull(c.t),
+          p_value: roundOrNull(c.pValue),
+        })),
+      }
+    : { target, predictors, n: cases.length, error: 'Regression could not be fitted: too few complete rows or predictors that are constant or collinear.' };
+
+  // Scatter of the target against the predictor it correlates with most
+  const x = args.predictors
+    ? predictors[0]
+    : predictors.reduce((best, c) => {
+        const r = Math.abs(pearsonMatrix[columns.indexOf(c)][columns.indexOf(target)] ?? 0);
+        return r > best.r ? { column: c, r } : best;
+      }, { column: predictors[0], r: -1 }).column;
+  const points = completeCases(rows, [x, target]).map((c) => ({ x: c.vals[0], y: c.vals[1], label: labelOf(c.row, headers) }));
+  const line = linearRegression(points.map((p) => [p.x]), points.map((p) => p.y));
+  if (line) {
+    const xs = minMax(points.map((p) => p.x));
+    const [intercept, slope] = line.coefficients.map((c) => c.estimate);
+    const data = evenSample(points, MAX_PLOT_POINTS);
+    result.scatter = {
+      x,
+      y: target,
+      slope: roundOrNull(slope),
+      intercept: roundOrNull(intercept),
+      r2: roundOrNull(line.r2),
+      trend: [xs.min, xs.max].map((v) => ({ x: v, y: roundOrNull(intercept + slope * v) })),
+      point_count: points.length,
+      ...(data.length < points.length && { sampled: `showing ${data.length} of ${points.length} points` }),
+      data,
+    };
+  }
+  return result;
+};
+
+// [path, column] refs that exist but aren't numeric (unknown ones are reported by validateColumns)
+const nonNumericIssues = (rows, refs) => {
+  const headers = availableHeadersOf(rows);
+  const numeric = numericColumnsOf(rows, headers);
+  return refs
+    .filter(([, c]) => c !== undefined && headers.includes(resolveCol(rows, c)) && !numeric.includes(resolveCol(rows, c)))
+    .map(([path, c]) => ({ path, message: `"${c}" is not a numeric column. Numeric columns: ${numeric.join(', ')}` }));
+};
+
+const validateCorrelate = (args, { rows = [] }) => {
+  const numeric = numericColumnsOf(rows, availableHeadersOf(rows));
+  const issues = nonNumericIssues(rows, [
+    ...(args.columns || []).map((c, i) => [`columns[${i}]`, c]),
+    ['target', args.target],
+    ...(args.predictors || []).map((c, i) => [`predictors[${i}]`, c]),
+  ]);
+  if (args.predictors && !args.target) issues.push({ path: 'target', message: 'is required when predictors are given' });
+  if (!args.columns && numeric.length < 2) issues.push({ path: 'columns', message: 'the CSV has fewer than two numeric columns' });
+  return issues;
+};
+
+// ── Outliers ─────────────────────────────────────────────────────────────────
+
+const linkColumnOf = (headers) => headers.find((h) => /^(tweet.?)?(url|link|permalink)$/i.test(h));
+
+const findOutliers = (args, rows) => {
+  const headers = availableHeadersOf(rows);
+  const col = resolveCol(rows, args.column);
+  const method = args.method || 'iqr';
+  const direction = args.direction || 'both';
+  const points = [];
+  rows.forEach((row, i) => {
+    const value = toNumber(row[col]);
+    if (!isNaN(value)) points.push({ row, rowNumber: i + 1, value });
+  });
+  if (points.length < 3) return { error: `Need at least 3 numeric values in "${col}" to look for outliers.` };
+
+  const { lower, upper, center, flagged } = detectOutliers(points.map((p) => p.value), { method, threshold: args.threshold, direction });
+  const textCol = textColumnOf(headers);
+  const linkCol = linkColumnOf(headers);
+  const dateCol = args.date_column ? resolveCol(rows, args.date_column) : dateColumnOf(headers);
+  const limit = args.limit || 20;
+  const outliers = flagged.slice(0, limit).map((f) => {
+    const { row, rowNumber, value } = points[f.index];
+    return {
+      row: rowNumber,
+      value,
+      score: fmt(f.score),
+      direction: f.direction,
+      ...(dateCol && { date: row[dateCol] }),
+      ...(textCol && { text: String(row[textCol] ?? '').slice(0, 280) }),
+      ...(linkCol && row[linkCol] && { link: row[linkCol] }),
+    };
+  });
+
+  const result = {
+    _chartType: 'outliers',
+    column: col,
+    method,
+    threshold: args.threshold ?? DEFAULT_OUTLIER_THRESHOLDS[method],
+    direction,
+    center: roundOrNull(center),
+    lower_bound: roundOrNull(lower),
+    upper_bound: roundOrNull(upper),
+    values_checked: points.length,
+    outlier_count: flagged.length,
+    ...(flagged.length > limit && { truncated: `showing the ${limit} most extreme of ${flagged.length}` }),
+    outliers,
+  };
+  if (lower === null) result.note = `"${col}" has no spread, so nothing can be flagged.`;
+
+  // Values over time with every flagged row kept when sampling
+  if (dateCol) {
+    const isOutlier = new Set(flagged.map((f) => f.index));
+    const series = [];
+    points.forEach((p, i) => {
+      const ms = parseDateToMs(p.row[dateCol]);
+      if (ms === null) return;
+      series.push({ x: ms, date: new Date(ms).toISOString().slice(0, 10), value: p.value, title: labelOf(p.row, headers), outlier: isOutlier.has(i) });
+    });
+    if (series.length >= 2) {
+      const marked = series.filter((d) => d.outlier);
+      const data = [...evenSample(series.filter((d) => !d.outlier), MAX_PLOT_POINTS), ...marked].sort((a, b) => a.x - b.x);
+      result.dateColumn = dateCol;
+      result.data = data;
+    }
+  }
+  return result;
+};
+
+const validateFindOutliers = (args, { rows = [] }) => nonNumericIssues(rows, [['column', args.column]]);
+
+// ── label_text ───────────────────────────────────────────────────────────────
+// ctx.labelTexts(texts, topics) → Promise<{ topics, labels: [{ sentiment, topic } | null], promptVersion }>
+// (the server classifies at most TEXT_LABEL_CHUNK texts per call);
+// ctx.textLabels / ctx.onTextLabelsChange(next) hold and save the cache;
+// once ctx.signal aborts, no more chunks are sent and nothing is applied.
+
+const TEXT_LABEL_CHUNK = 500;
+const MAX_LABEL_TEXTS = 5000;
+const OTHER_TOPIC = 'other';
 
-      if (!topRows.length)
-        return { error: `No rows found. Column "${sortCol}" may not exist. Available: ${availableHeaders.join(', ')}` };
+const normTopics = (topics) => [...new Set(topics.map((t) => normText(t).replace(/\s+/g, ' ')).filter((t) => t && t !== OTHER_TOPIC))];
+const sameTopics = (a, b) => a.length === b.length && a.every((t) => b.includes(t));
 
-      return {
-        sort_column: sortCol,
-        direction: asc ? 'ascending (lowest first)' : 'descending (highest first)',
-        count: topRows.length,
-        tweets: topRows,
-      };
+// Avoid clobbering a column the CSV already has (e.g. its own "sentiment")
+const labelColumnNames = (headers) => {
+  const pick = (name) => (headers.includes(name) ? `ai_${name}` : name);
+  return { sentiment: pick('sentiment'), topic: pick('topic') };
+};
+
+const labelText = async (args, rows, ctx) => {
+  if (typeof ctx.labelTexts !== 'function') return { error: 'Text labelling is not available here.' };
+  const headers = availableHeadersOf(rows);
+  const column = args.text_column ? resolveCol(rows, args.text_column) : textColumnOf(headers);
+  const previous = ctx.textLabels;
+  const requested = args.topics ? [...normTopics(args.topics), OTHER_TOPIC] : null;
+  const reuse = previous?.column === column && !args.relabel && (!requested || sameTopics(previous.topics, requested));
+
+  const labels = reuse ? { ...previous.labels } : {};
+  let topics = reuse ? previous.topics : requested || [];
+  let promptVersion = reuse ? previous.promptVersion : null;
+  const columns = previous?.columns || labelColumnNames(headers);
+
+  const texts = [...new Set(rows.map((r) => String(r[column] ?? '').trim()).filter(Boolean))];
+  const missing = texts.filter((t) => !labels[t]);
+  const todo = missing.slice(0, MAX_LABEL_TEXTS);
+  const labelledBefore = Object.keys(labels).length;
+  let failure = null;
+  for (let i = 0; i < todo.length && !ctx.signal?.aborted; i += TEXT_LABEL_CHUNK) {
+    const chunk = todo.slice(i, i + TEXT_LABEL_CHUNK);
+    ctx.onLabelProgress?.({ done: i, total: todo.length });
+    try {
+      const res = await ctx.labelTexts(chunk, topics);
+      topics = res.topics;
+      promptVersion = res.promptVersion || promptVersion;
+      res.labels.forEach((l, j) => {
+        if (l) labels[chunk[j]] = [l.sentiment, l.topic];
+      });
+    } catch (err) {
+      // Keep what was labelled so far; calling again picks up the rest
+      failure = err.message || 'Labelling failed';
+      break;
     }
+  }
+  ctx.onLabelProgress?.(null);
+  ctx.signal?.throwIfAborted();
 
-    default:
-      return { error: `Unknown tool: ${toolName}` };
+  // Re-derive from ctx.rows as it is now, the way deriveCsvDataset does (labels,
+  // then computed columns): calls that finished during the awaits above, such as
+  // add_computed_column, may have replaced it
+  const next = { column, columns, topics, labels, promptVersion };
+  const derivedNames = [...computedNames(ctx), columns.sentiment, columns.topic];
+  const baseRows = (ctx.rows || rows).map((r) => {
+    const out = { ...r };
+    derivedNames.forEach((name) => delete out[name]);
+    return out;
+  });
+  const withLabels = applyTextLabels(baseRows, availableHeadersOf(baseRows), {}, next);
+  const labelled = applyComputedColumns(withLabels.rows, withLabels.headers, withLabels.columnTypes, ctx.computedColumns || []);
+  ctx.rows = labelled.rows;
+  ctx.textLabels = next;
+  ctx.onTextLabelsChange?.(next);
+
+  // Rows and mean metric per sentiment and per topic
+  const metric = headers.includes('engagement') ? 'engagement' : null;
+  const tally = (kind, col) => {
+    const groups = {};
+    labelled.rows.forEach((r) => {
+      if (r[col] === '') return;
+      const g = (groups[r[col]] = groups[r[col]] || { count: 0, values: [] });
+      g.count++;
+      const v = metric ? toNumber(r[metric]) : NaN;
+      if (!isNaN(v)) g.values.push(v);
+    });
+    return Object.entries(groups)
+      .sort((a, b) => b[1].count - a[1].count)
+      .map(([label, g]) => ({
+        column: kind,
+        label,
+        rows: g.count,
+        share: fmt(g.count / rows.length),
+        ...(metric && { [`mean ${metric}`]: g.values.length ? fmt(mean(g.values)) : null }),
+      }));
+  };
+  const tableRows = [...tally('sentiment', columns.sentiment), ...tally('topic', columns.topic)];
+  const labelledRows = labelled.rows.filter((r) => r[columns.sentiment] !== '').length;
+  const remaining = texts.filter((t) => !labels[t]).length;
+
+  return {
+    _chartType: 'groupTable',
+    title: `Sentiment and topic of "${column}"`,
+    columns: ['column', 'label', 'rows', 'share', ...(metric ? [`mean ${metric}`] : [])],
+    rows: tableRows,
+    total_rows: rows.length,
+    filtered_rows: labelledRows,
+    group_count: tableRows.length,
+    columns_added: [columns.sentiment, columns.topic],
+    topics,
+    newly_labelled: Object.keys(labels).length - labelledBefore,
+    cached: texts.length - missing.length,
+    ...(remaining && { truncated: `${remaining} distinct texts still unlabelled — call label_text again to continue` }),
+    ...(failure && { error: `Labelling stopped early: ${failure}` }),
+  };
+};
+
+const validateLabelText = (args, { rows = [] }) =>
+  !args.text_column && !textColumnOf(availableHeadersOf(rows))
+    ? [{ path: 'text_column', message: `no text column found. Available columns: ${availableHeadersOf(rows).join(', ')}` }]
+    : null;
+
+// ── Computed column tools ────────────────────────────────────────────────────
+// ctx.computedColumns is the session's definition list; the new rows replace
+// ctx.rows so later calls in the same turn see the column, and
+// ctx.onComputedColumnsChange(next) lets the chat re-derive and save.
+
+const computedNames = (ctx) => (ctx.computedColumns || []).map((c) => c.name);
+const baseHeadersOf = (rows, ctx) => availableHeadersOf(rows).filter((h) => !computedNames(ctx).includes(h));
+
+const updateComputedColumns = (rows, ctx, next) => {
+  const previous = computedNames(ctx);
+  const baseRows = rows.map((r) => {
+    const out = { ...r };
+    previous.forEach((name) => delete out[name]);
+    return out;
+  });
+  const derived = applyComputedColumns(baseRows, baseHeadersOf(rows, ctx), {}, next);
+  ctx.rows = derived.rows;
+  ctx.computedColumns = next;
+  ctx.onComputedColumnsChange?.(next);
+  return derived;
+};
+
+const addComputedColumn = (args, rows, ctx) => {
+  const def = { name: args.name.trim(), expression: args.expression.trim() };
+  const defs = ctx.computedColumns || [];
+  const replacing = defs.some((d) => d.name === def.name);
+  const next = replacing ? defs.map((d) => (d.name === def.name ? def : d)) : [...defs, def];
+  const derived = updateComputedColumns(rows, ctx, next);
+
+  const values = derived.rows.map((r) => r[def.name]).filter((v) => v !== null && v !== '');
+  const nums = values.filter((v) => typeof v === 'number');
+  const range = nums.length ? minMax(nums) : null;
+  return {
+    column: def.name,
+    expression: def.expression,
+    status: replacing ? 'redefined' : 'added',
+    type: derived.columnTypes[def.name],
+    non_empty: values.length,
+    empty: derived.rows.length - values.length,
+    ...(range && { mean: displayNum(mean(nums)), min: displayNum(range.min), max: displayNum(range.max) }),
+    sample: derived.rows.slice(0, 5).map((r) => displayNum(r[def.name])),
+    computed_columns: next.map((d) => d.name),
+    ...(derived.errors.length && { errors: derived.errors }),
+  };
+};
+
+const removeComputedColumn = (args, rows, ctx) => {
+  const name = args.name.trim();
+  const next = (ctx.computedColumns || []).filter((d) => d.name !== name);
+  updateComputedColumns(rows, ctx, next);
+  return { removed: name, computed_columns: next.map((d) => d.name) };
+};
+
+const validateAddComputedColumn = (args, { rows = [], ...ctx }) => {
+  const defs = ctx.computedColumns || [];
+  const index = defs.findIndex((d) => d.name === args.name.trim());
+  if (index === -1 && defs.length >= MAX_COMPUTED_COLUMNS) {
+    return [{ path: 'name', message: `at most ${MAX_COMPUTED_COLUMNS} computed columns; remove one first` }];
+  }
+  const earlier = index === -1 ? defs : defs.slice(0, index);
+  const error = checkComputedColumn(args, baseHeadersOf(rows, ctx), earlier);
+  if (!error) return null;
+  return [{ path: /column name/i.test(error) || /already a column/.test(error) ? 'name' : 'expression', message: error }];
+};
+
+const validateRemoveComputedColumn = (args, ctx) => {
+  const defs = ctx.computedColumns || [];
+  const name = args.name.trim();
+  if (!defs.some((d) => d.name === name)) {
+    return [{ path: 'name', message: `no computed column "${name}". Computed columns: ${defs.map((d) => d.name).join(', ') || '(none)'}` }];
   }
+  // Other definitions that use it would break
+  const dependents = defs.filter((d) => {
+    if (d.name === name) return false;
+    try {
+      return compileExpression(d.expression, [...baseHeadersOf(ctx.rows || [], ctx), ...computedNames(ctx)]).columns.includes(name);
+    } catch {
+      return false;
+    }
+  });
+  return dependents.length
+    ? [{ path: 'name', message: `used by ${dependents.map((d) => `"${d.name}"`).join(', ')}; remove those first` }]
+    : null;
+};
+
+// ── Client-side tool executors ────────────────────────────────────────────────
+// Registered with the shared tool registry (family 'csv');
+// ctx = { rows, computedColumns, onComputedColumnsChange }.
+
+const availableHeadersOf = (rows) => (rows.length ? Object.keys(rows[0]) : []);
+
+const CSV_EXECUTORS = {
+  compute_column_stats: (args, rows) => {
+    const availableHeaders = availableHeadersOf(rows);
+    const col = resolveCol(rows, args.column);
+    console.log(`[compute_column_stats] resolved column: "${args.column}" → "${col}"`);
+    const vals = numericValues(rows, col);
+    if (!vals.length)
+      return { error: `No numeric values found in column "${col}". Available columns: ${availableHeaders.join(', ')}` };
+    const mean = vals.reduce((a, b) => a + b, 0) / vals.length;
+    const sorted = [...vals].sort((a, b) => a - b);
+    const variance = vals.reduce((a, b) => a + (b - mean) ** 2, 0) / vals.length;
+    return {
+      column: col,
+      count: vals.length,
+      mean: fmt(mean),
+      median: fmt(median(sorted)),
+      std: fmt(Math.sqrt(variance)),
+      ...minMax(vals),
+    };
+  },
+
+  get_value_counts: (args, rows) => {
+    const col = resolveCol(rows, args.column);
+    console.log(`[get_value_counts] resolved column: "${args.column}" → "${col}"`);
+    const topN = args.top_n || 10;
+    const counts = {};
+    rows.forEach((r) => {
+      const v = r[col];
+      if (v !== undefined && v !== '') counts[v] = (counts[v] || 0) + 1;
+    });
+    const sorted = Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topN);
+    return {
+      column: col,
+      total_rows: rows.length,
+      value_counts: Object.fromEntries(sorted),
+    };
+  },
+
+  get_top_tweets: (args, rows) => {
+    const availableHeaders = availableHeadersOf(rows);
+    const sortCol = resolveCol(rows, args.sort_column) || args.sort_column;
+    console.log(`[get_top_tweets] sort="${sortCol}" n=${args.n} asc=${args.ascending}`);
+    const n   = args.n || 10;
+    const asc = args.ascending ?? false;
+
+    // Detect text column for display
+    const textCol =
+      availableHeaders.find((h) => /^text$/i.test(h)) ||
+      availableHeaders.find((h) => /text|content|tweet|body/i.test(h));
+
+    // Detect key metric columns
+    const favCol  = availableHeaders.find((h) => /favorite.?count/i.test(h));
+    const viewCol = availableHeaders.find((h) => /view.?count/i.test(h));
+    const engCol  = availableHeaders.includes('engagement') ? 'engagement' : null;
+
+    const sorted = [...rows].sort((a, b) => {
+      const av = parseFloat(a[sortCol]);
+      const bv = parseFloat(b[sortCol]);
+      if (!isNaN(av) && !isNaN(bv)) return asc ? av - bv : bv - av;
+      return 0;
+    });
+
+    const topRows = sorted.slice(0, n).map((r, i) => {
+      const out = { rank: i + 1 };
+      if (textCol) out.text = String(r[textCol] || '').slice(0, 150);
+      if (favCol)  out[favCol]  = r[favCol];
+      if (viewCol) out[viewCol] = r[viewCol];
+      if (engCol)  out.engagement = r.engagement;
+      return out;
+    });
+
+    if (!topRows.length)
+      return { error: `No rows found. Column "${sortCol}" may not exist. Available: ${availableHeaders.join(', ')}` };
+
+    return {
+      sort_column: sortCol,
+      direction: asc ? 'ascending (lowest first)' : 'descending (highest first)',
+      count: topRows.length,
+      tweets: topRows,
+    };
+  },
+
+  group_aggregate: (args, rows) => {
+    console.log(`[group_aggregate] filters=${(args.filters || []).length} group_by=${JSON.stringify(args.group_by || [])}`);
+    return groupAggregate(args, rows);
+  },
+
+  compare_keyword_engagement: (args, rows) => {
+    console.log(`[compare_keyword_engagement] keywords=${JSON.stringify(args.keywords)} metric="${args.metric_column}"`);
+    return compareKeywordEngagement(args, rows);
+  },
+
+  plot_csv: (args, rows) => {
+    console.log(`[plot_csv] ${args.chart_type} column="${args.column || ''}" x="${args.x || ''}" y="${args.y || ''}"`);
+    return PLOTTERS[args.chart_type](args, rows);
+  },
+
+  time_buckets: (args, rows) => {
+    console.log(`[time_buckets] bucket=${args.bucket} metric="${args.metric_column || ''}"`);
+    return timeBuckets(args, rows);
+  },
+
+  token_stats: (args, rows) => {
+    console.log(`[token_stats] kind=${args.kind} metric="${args.metric_column || ''}"`);
+    return tokenStats(args, rows);
+  },
+
+  correlate: (args, rows) => {
+    console.log(`[correlate] columns=${args.columns?.join(', ') || '(numeric)'} target=${args.target || '-'}`);
+    return correlate(args, rows);
+  },
+
+  find_outliers: (args, rows) => {
+    console.log(`[find_outliers] column="${args.column}" method=${args.method || 'iqr'}`);
+    return findOutliers(args, rows);
+  },
+
+  label_text: (args, rows, ctx) => {
+    console.log(`[label_text] column="${args.text_column || '(text)'}" topics=${args.topics?.join(', ') || '(auto)'}`);
+    return labelText(args, rows, ctx);
+  },
+
+  add_computed_column: (args, rows, ctx) => {
+    console.log(`[add_computed_column] "${args.name}" = ${args.expression}`);
+    return addComputedColumn(args, rows, ctx);
+  },
+
+  remove_computed_column: (args, rows, ctx) => {
+    console.log(`[remove_computed_column] "${args.name}"`);
+    return removeComputedColumn(args, rows, ctx);
+  },
+};
+
+// Column arguments must name a real header (after resolveCol's case/space
+// normalisation), otherwise the call is rejected with the available columns.
+// Either top-level argument names, or a function listing [path, column] pairs.
+const CSV_COLUMN_ARGS = {
+  compute_column_stats: ['column'],
+  get_value_counts: ['column'],
+  get_top_tweets: ['sort_column'],
+  group_aggregate: (args) => [
+    ...(args.filters || []).map((f, i) => [`filters[${i}].column`, f.column]),
+    ...(args.group_by || []).map((c, i) => [`group_by[${i}]`, c]),
+    ...args.aggregations.map((a, i) => [`aggregations[${i}].column`, a.column]),
+  ],
+  compare_keyword_engagement: ['metric_column'],
+  plot_csv: ['column', 'x', 'y', 'color', 'date_column'],
+  time_buckets: ['metric_column', 'date_column'],
+  token_stats: ['metric_column'],
+  correlate: (args) => [
+    ...(args.columns || []).map((c, i) => [`columns[${i}]`, c]),
+    ['target', args.target],
+    ...(args.predictors || []).map((c, i) => [`predictors[${i}]`, c]),
+  ],
+  find_outliers: ['column', 'date_column'],
+  label_text: ['text_column'],
 };
+
+// Extra per-tool checks, run together with the column check
+const CSV_VALIDATORS = {
+  group_aggregate: validateGroupAggregate,
+  compare_keyword_engagement: validateKeywordComparison,
+  plot_csv: validatePlot,
+  token_stats: validateTokenStats,
+  correlate: validateCorrelate,
+  find_outliers: validateFindOutliers,
+  label_text: validateLabelText,
+  add_computed_column: validateAddComputedColumn,
+  remove_computed_column: validateRemoveComputedColumn,
+};
+
+const validateColumns = (spec) => (args, { rows = [] }) => {
+  const headers = availableHeadersOf(rows);
+  const refs = typeof spec === 'function' ? spec(args) : spec.map((key) => [key, args[key]]);
+  const issues = refs
+    .filter(([, column]) => column !== undefined && !headers.includes(resolveCol(rows, column)))
+    .map(([path, column]) => ({
+      path,
+      message: `unknown column "${column}". Available columns: ${headers.join(', ')}`,
+    }));
+  return issues.length ? issues : null;
+};
+
+// ── Chart renderers ──────────────────────────────────────────────────────────
+// Components load lazily: the CSV parsing worker imports this module and must
+// not pull in React components and their stylesheets.
+
+const GroupTable = lazy(() => import('../components/GroupTable'));
+const EngagementChart = lazy(() => import('../components/EngagementChart'));
+const HistogramChart = lazy(() => import('../components/HistogramChart'));
+const ValueBarChart = lazy(() => import('../components/ValueBarChart'));
+const ScatterPlotChart = lazy(() => import('../components/ScatterPlotChart'));
+const TimeSeriesChart = lazy(() => import('../components/TimeSeriesChart'));
+const TimeBucketChart = lazy(() => import('../components/TimeBucketChart'));
+const HourWeekdayHeatmap = lazy(() => import('../components/HourWeekdayHeatmap'));
+const TokenStatsCard = lazy(() => import('../components/TokenStatsCard'));
+const CorrelationCard = lazy(() => import('../components/CorrelationCard'));
+const OutliersCard = lazy(() => import('../components/OutliersCard'));
+
+const renderGroupTable = (chart) => (
+  <GroupTable
+    title={chart.title}
+    columns={chart.columns}
+    rows={chart.rows}
+    filters={chart.filters}
+    sortColumn={chart.sort_column}
+    ascending={chart.ascending}
+    filteredRows={chart.filtered_rows}
+    totalRows={chart.total_rows}
+    truncated={chart.truncated}
+  />
+);
+
+const CSV_CHART_RENDERERS = {
+  group_aggregate: { groupTable: renderGroupTable },
+  compare_keyword_engagement: {
+    engagement: (chart) => <EngagementChart data={chart.data} metricColumn={chart.metricColumn} />,
+  },
+  plot_csv: {
+    histogram: (chart) => <HistogramChart data={chart.data} column={chart.column} />,
+    valueBar: (chart) => <ValueBarChart data={chart.data} column={chart.column} />,
+    scatter: (chart) => <ScatterPlotChart data={chart.data} x={chart.x} y={chart.y} color={chart.color} />,
+    timeSeries: (chart) => <TimeSeriesChart data={chart.data} column={chart.column} dateColumn={chart.dateColumn} />,
+  },
+  time_buckets: {
+    timeBuckets: (chart) => (
+      <TimeBucketChart data={chart.data} bucketUnit={chart.bucketUnit} metricColumn={chart.metricColumn} timezone={chart.timezone} />
+    ),
+    hourWeekdayHeatmap: (chart) => (
+      <HourWeekdayHeatmap cells={chart.cells} metricColumn={chart.metricColumn} timezone={chart.timezone} />
+    ),
+  },
+  token_stats: { tokenStats: (chart) => <TokenStatsCard stats={chart} /> },
+  correlate: { correlation: (chart) => <CorrelationCard result={chart} /> },
+  find_outliers: { outliers: (chart) => <OutliersCard result={chart} /> },
+  label_text: { groupTable: renderGroupTable },
+};
+
+// ── Registration ─────────────────────────────────────────────────────────────
+
+CSV_TOOL_DECLARATIONS.forEach((declaration) => {
+  const run = CSV_EXECUTORS[declaration.name];
+  const checks = [
+    CSV_COLUMN_ARGS[declaration.name] && validateColumns(CSV_COLUMN_ARGS[declaration.name]),
+    CSV_VALIDATORS[declaration.name],
+  ].filter(Boolean);
+  registerTool('csv', {
+    declaration,
+    validate: checks.length
+      ? (args, ctx) => {
+          const issues = checks.flatMap((check) => check(args, ctx) || []);
+          return issues.length ? issues : null;
+        }
+      : undefined,
+    execute: (args, ctx) => {
+      const rows = ctx.rows || [];
+      console.group(`[CSV Tool] ${declaration.name}`);
+      console.log('args:', args);
+      console.log('rows loaded:', rows.length);
+      console.log('available headers:', availableHeadersOf(rows));
+      console.groupEnd();
+      return run(args, rows, ctx);
+    },
+    renderers: CSV_CHART_RENDERERS[declaration.name],
+  });
+});
+
+// Runs one CSV tool against `rows` (only CSV tools are reachable through here).
+export const executeTool = (toolName, args, rows) =>
+  executeRegisteredTool(toolName, args, { csv: { rows } });
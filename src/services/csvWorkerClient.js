@@ -0,0 +1,29 @@
+// Runs csvParser.worker.js for one file. Loaded with a dynamic import() from
+// Chat.js: `import.meta.url` (needed for webpack to bundle the worker) is not
+// understood by Jest, so nothing under test may import this module statically.
+
+/**
+ * Parse a File (or CSV string) in a Web Worker.
+ * Resolves with the prepared dataset; onProgress({ rows, bytes, totalBytes }) fires as it goes.
+ */
+export function parseCsvInWorker(source, { onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./csvParser.worker.js', import.meta.url));
+    const finish = () => worker.terminate();
+    worker.onmessage = ({ data }) => {
+      if (data?.type === 'progress') onProgress?.(data);
+      else if (data?.type === 'done') {
+        finish();
+        resolve(data.dataset);
+      } else if (data?.type === 'error') {
+        finish();
+        reject(new Error(data.error));
+      }
+    };
+    worker.onerror = (e) => {
+      finish();
+      reject(new Error(e.message || 'CSV worker failed'));
+    };
+    worker.postMessage(typeof source === 'string' ? { text: source } : { file: source });
+  });
+}
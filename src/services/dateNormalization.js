@@ -1,8 +1,31 @@
-export function normalizeReleaseDate(raw, now = new Date()) {
-  if (!raw || typeof raw !== 'string') return { iso: null, ms: null };
+// Shared date parsing for YouTube release dates and CSV date columns.
+// Accepts anything Date.parse understands (ISO, "2026-02-18 14:34:17",
+// "Feb 18, 2026"), Twitter's "Wed Oct 10 20:19:24 +0000 2018", epoch
+// seconds/milliseconds, Date objects, YouTube's "Streamed 3 days ago" style
+// relative dates. Strings without a timezone are read as local time.
+// Returns epoch ms, or null when the value isn't a date.
+
+const TWITTER_DATE_RE = /^\w{3} (\w{3}) (\d{1,2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{4}) (\d{4})$/;
+
+export function parseDateToMs(raw, now = new Date()) {
+  if (raw instanceof Date) return Number.isFinite(raw.getTime()) ? raw.getTime() : null;
+  if (typeof raw === 'number') {
+    if (!Number.isFinite(raw)) return null;
+    // 10-digit values are epoch seconds
+    return Math.abs(raw) < 1e11 ? raw * 1000 : raw;
+  }
+  if (!raw || typeof raw !== 'string') return null;
 
   const original = raw.trim();
-  if (!original) return { iso: null, ms: null };
+  if (!original) return null;
+  if (/^\d{10}(\d{3})?$/.test(original)) return parseDateToMs(Number(original));
+
+  const twitter = original.match(TWITTER_DATE_RE);
+  if (twitter) {
+    const [, mon, day, time, offset, year] = twitter;
+    const parsed = Date.parse(`${mon} ${day} ${year} ${time} GMT${offset}`);
+    if (Number.isFinite(parsed)) return parsed;
+  }
 
   const s = original
     .toLowerCase()
@@ -12,12 +35,10 @@ export function normalizeReleaseDate(raw, now = new Date()) {
     .trim();
 
   const parsed = Date.parse(s);
-  if (Number.isFinite(parsed)) {
-    return { iso: new Date(parsed).toISOString(), ms: parsed };
-  }
+  if (Number.isFinite(parsed)) return parsed;
 
   const m = s.match(/^(\d+)\s*(minute|hour|day|week|month|year)s?\s*ago$/);
-  if (!m) return { iso: null, ms: null };
+  if (!m) return null;
 
   const n = parseInt(m[1], 10);
   const unit = m[2];
@@ -30,7 +51,62 @@ export function normalizeReleaseDate(raw, now = new Date()) {
   if (unit === 'month') d.setMonth(d.getMonth() - n);
   if (unit === 'year') d.setFullYear(d.getFullYear() - n);
 
-  return { iso: d.toISOString(), ms: d.getTime() };
+  const ms = d.getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+export function normalizeReleaseDate(raw, now = new Date()) {
+  if (!raw || typeof raw !== 'string') return { iso: null, ms: null };
+  const ms = parseDateToMs(raw, now);
+  return ms === null ? { iso: null, ms: null } : { iso: new Date(ms).toISOString(), ms };
+}
+
+// ── Time buckets ─────────────────────────────────────────────────────────────
+// Calendar buckets in the browser's local timezone. Weeks start on Monday.
+
+export const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const pad = (n) => String(n).padStart(2, '0');
+const localDay = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+/** 0 = Monday … 6 = Sunday */
+export const weekdayIndex = (ms) => (new Date(ms).getDay() + 6) % 7;
+
+/** Display label of a bucket key from timeBucket / bucketRange. */
+export function bucketLabel(key, unit) {
+  if (unit === 'hour') return `${pad(key)}:00`;
+  if (unit === 'weekday') return WEEKDAY_NAMES[key];
+  if (unit === 'week') return `Week of ${key}`;
+  return key;
+}
+
+/**
+ * Bucket of a timestamp: { key, label }.
+ *   hour → 0–23, weekday → 0–6 (Mon–Sun), day → "2026-02-18", week → its Monday "2026-02-16"
+ */
+export function timeBucket(ms, unit) {
+  const d = new Date(ms);
+  let key;
+  if (unit === 'hour') key = d.getHours();
+  else if (unit === 'weekday') key = weekdayIndex(ms);
+  else if (unit === 'week') key = localDay(new Date(d.getFullYear(), d.getMonth(), d.getDate() - weekdayIndex(ms)));
+  else key = localDay(d);
+  return { key, label: bucketLabel(key, unit) };
+}
+
+/** Every day/week bucket key between two timestamps, so empty periods show as zero. */
+export function bucketRange(fromMs, toMs, unit) {
+  const keys = [];
+  const first = new Date(fromMs);
+  const cursor = unit === 'week'
+    ? new Date(first.getFullYear(), first.getMonth(), first.getDate() - weekdayIndex(fromMs))
+    : new Date(first.getFullYear(), first.getMonth(), first.getDate());
+  const step = unit === 'week' ? 7 : 1;
+  while (cursor.getTime() <= toMs) {
+    keys.push(localDay(cursor));
+    cursor.setDate(cursor.getDate() + step);
+  }
+  return keys;
 }
 
 function getRawDateWithSource(video) {
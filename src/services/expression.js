@@ -0,0 +1,282 @@
+/**
+ * Safe expression language for computed CSV columns (no eval / Function).
+ *
+ *   (Retweet Count + Quote Count) / View Count
+ *   len(Text)
+ *   if([Media Type] == "video", 1, 0)
+ *
+ * - Column names may be written bare, spaces included ("View Count"), or in
+ *   brackets when they contain operator characters ("[Reply-Rate %]").
+ *   Matching is case/space-insensitive like the CSV tools' resolveCol.
+ * - Operators: + - * / %, comparisons == != > >= < <=, && || !, parentheses.
+ * - Literals: numbers, "strings" / 'strings', true, false, null.
+ * - Functions: see FUNCTIONS below.
+ * - Arithmetic on blanks / non-numbers and division by zero give null.
+ *
+ * compileExpression(source, headers) → { evaluate(row), columns } or throws ExpressionError.
+ */
+
+import { parseDateToMs, weekdayIndex } from './dateNormalization';
+
+export const MAX_EXPRESSION_LENGTH = 500;
+const MAX_DEPTH = 40;
+
+export class ExpressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExpressionError';
+  }
+}
+
+// ── Tokenizer ─────────────────────────────────────────────────────────────────
+
+const OPERATORS = ['==', '!=', '>=', '<=', '&&', '||', '+', '-', '*', '/', '%', '>', '<', '!', '(', ')', ','];
+const NAME_STOP = new Set(['+', '-', '*', '/', '%', '>', '<', '=', '!', '&', '|', '(', ')', ',', '"', "'", '[', ']']);
+const NUMBER_RE = /^(\d+(\.\d*)?|\.\d+)([eE]\d+)?$/;
+
+const operatorAt = (source, i) => OPERATORS.find((o) => source.startsWith(o, i));
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      const end = source.indexOf(ch, i + 1);
+      if (end === -1) throw new ExpressionError(`Unterminated string starting at position ${i + 1}`);
+      tokens.push({ type: 'string', value: source.slice(i + 1, end) });
+      i = end + 1;
+      continue;
+    }
+    if (ch === '[') {
+      const end = source.indexOf(']', i + 1);
+      if (end === -1) throw new ExpressionError(`Missing "]" for the column name at position ${i + 1}`);
+      tokens.push({ type: 'name', value: source.slice(i + 1, end).trim(), bracketed: true });
+      i = end + 1;
+      continue;
+    }
+    const op = operatorAt(source, i);
+    if (op) {
+      tokens.push({ type: 'op', value: op });
+      i += op.length;
+      continue;
+    }
+    if (NAME_STOP.has(ch)) throw new ExpressionError(`Unexpected "${ch}" at position ${i + 1}`);
+    // A run of anything else is a number, a keyword, a function or a (multi-word) column name
+    let j = i;
+    while (j < source.length && !NAME_STOP.has(source[j])) j++;
+    const text = source.slice(i, j).trim();
+    if (NUMBER_RE.test(text)) tokens.push({ type: 'number', value: Number(text) });
+    else tokens.push({ type: 'name', value: text });
+    i = j;
+  }
+  return tokens;
+}
+
+// ── Functions ─────────────────────────────────────────────────────────────────
+
+const num = (v) => {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (typeof v === 'string' && v.trim() !== '') {
+    const n = Number(v.replace(/,/g, '').trim());
+    return Number.isFinite(n) ? n : null;
+  }
+  return null;
+};
+const str = (v) => (v == null ? '' : String(v));
+const numeric = (fn) => (...args) => {
+  const ns = args.map(num);
+  if (ns.some((n) => n === null)) return null;
+  const out = fn(...ns);
+  return Number.isFinite(out) ? out : null;
+};
+const dateMs = (v) => parseDateToMs(typeof v === 'number' ? v : str(v));
+
+const FUNCTIONS = {
+  len: { arity: [1, 1], fn: (v) => str(v).length },
+  words: { arity: [1, 1], fn: (v) => str(v).split(/\s+/).filter(Boolean).length },
+  lower: { arity: [1, 1], fn: (v) => str(v).toLowerCase() },
+  upper: { arity: [1, 1], fn: (v) => str(v).toUpperCase() },
+  contains: { arity: [2, 2], fn: (v, s) => str(v).toLowerCase().includes(str(s).toLowerCase()) },
+  concat: { arity: [1, 20], fn: (...vs) => vs.map(str).join('') },
+  abs: { arity: [1, 1], fn: numeric(Math.abs) },
+  sqrt: { arity: [1, 1], fn: numeric(Math.sqrt) },
+  log: { arity: [1, 1], fn: numeric((x) => (x > 0 ? Math.log(x) : NaN)) },
+  log10: { arity: [1, 1], fn: numeric((x) => (x > 0 ? Math.log10(x) : NaN)) },
+  floor: { arity: [1, 1], fn: numeric(Math.floor) },
+  ceil: { arity: [1, 1], fn: numeric(Math.ceil) },
+  round: { arity: [1, 2], fn: numeric((x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits) },
+  min: { arity: [1, 20], fn: numeric(Math.min) },
+  max: { arity: [1, 20], fn: numeric(Math.max) },
+  coalesce: { arity: [1, 20], fn: (...vs) => vs.find((v) => v !== null && v !== undefined && v !== '') ?? null },
+  if: { arity: [3, 3], fn: (c, a, b) => (truthy(c) ? a : b) },
+  hour: { arity: [1, 1], fn: (v) => { const ms = dateMs(v); return ms === null ? null : new Date(ms).getHours(); } },
+  weekday: { arity: [1, 1], fn: (v) => { const ms = dateMs(v); return ms === null ? null : weekdayIndex(ms); } },
+  year: { arity: [1, 1], fn: (v) => { const ms = dateMs(v); return ms === null ? null : new Date(ms).getFullYear(); } },
+  month: { arity: [1, 1], fn: (v) => { const ms = dateMs(v); return ms === null ? null : new Date(ms).getMonth() + 1; } },
+};
+
+export const EXPRESSION_FUNCTIONS = Object.keys(FUNCTIONS);
+
+function truthy(v) {
+  if (typeof v === 'string') return v !== '' && v.toLowerCase() !== 'false' && v !== '0';
+  return !!v;
+}
+
+// ── Parser (recursive descent → closures) ─────────────────────────────────────
+
+const normName = (s) => s.toLowerCase().replace(/[\s_-]+/g, '');
+
+function compare(op, a, b) {
+  const an = num(a);
+  const bn = num(b);
+  let c;
+  if (an !== null && bn !== null) c = an - bn;
+  else {
+    const as = str(a).toLowerCase();
+    const bs = str(b).toLowerCase();
+    c = as < bs ? -1 : as > bs ? 1 : 0;
+  }
+  if (op === '==') return c === 0;
+  if (op === '!=') return c !== 0;
+  if (op === '>') return c > 0;
+  if (op === '>=') return c >= 0;
+  if (op === '<') return c < 0;
+  return c <= 0;
+}
+
+const ARITHMETIC = {
+  '+': numeric((a, b) => a + b),
+  '-': numeric((a, b) => a - b),
+  '*': numeric((a, b) => a * b),
+  '/': numeric((a, b) => (b === 0 ? NaN : a / b)),
+  '%': numeric((a, b) => (b === 0 ? NaN : a % b)),
+};
+
+export function compileExpression(source, headers) {
+  const text = String(source ?? '').trim();
+  if (!text) throw new ExpressionError('Expression is empty');
+  if (text.length > MAX_EXPRESSION_LENGTH) throw new ExpressionError(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+
+  const tokens = tokenize(text);
+  const columns = new Set();
+  let pos = 0;
+  let depth = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+  const expect = (op) => {
+    if (!isOp(op)) throw new ExpressionError(`Expected "${op}"${peek() ? ` before "${peek().value}"` : ' at the end'}`);
+    pos++;
+  };
+
+  const resolveColumn = (name) => {
+    const exact = headers.find((h) => h === name);
+    const col = exact ?? headers.find((h) => normName(h) === normName(name));
+    if (col === undefined) throw new ExpressionError(`Unknown column "${name}". Available columns: ${headers.join(', ')}`);
+    columns.add(col);
+    return col;
+  };
+
+  const binary = (next, ops, apply) => () => {
+    let left = next();
+    while (isOp(...ops)) {
+      const op = tokens[pos++].value;
+      const l = left;
+      const r = next();
+      left = apply(op, l, r);
+    }
+    return left;
+  };
+
+  const parseExpr = () => {
+    if (++depth > MAX_DEPTH) throw new ExpressionError('Expression is nested too deeply');
+    const node = parseOr();
+    depth--;
+    return node;
+  };
+  const parseOr = binary(() => parseAnd(), ['||'], (_, l, r) => (row) => truthy(l(row)) || truthy(r(row)));
+  const parseAnd = binary(() => parseCompare(), ['&&'], (_, l, r) => (row) => truthy(l(row)) && truthy(r(row)));
+  const parseCompare = binary(() => parseAdd(), ['==', '!=', '>=', '<=', '>', '<'], (op, l, r) => (row) => compare(op, l(row), r(row)));
+  const parseAdd = binary(() => parseMul(), ['+', '-'], (op, l, r) => (row) => ARITHMETIC[op](l(row), r(row)));
+  const parseMul = binary(() => parseUnary(), ['*', '/', '%'], (op, l, r) => (row) => ARITHMETIC[op](l(row), r(row)));
+
+  function parseUnary() {
+    if (isOp('-')) {
+      pos++;
+      const operand = parseUnary();
+      return (row) => ARITHMETIC['-'](0, operand(row));
+    }
+    if (isOp('!')) {
+      pos++;
+      const operand = parseUnary();
+      return (row) => !truthy(operand(row));
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const tok = peek();
+    if (!tok) throw new ExpressionError('Expression ends unexpectedly');
+    if (tok.type === 'number' || tok.type === 'string') {
+      pos++;
+      return () => tok.value;
+    }
+    if (isOp('(')) {
+      pos++;
+      const inner = parseExpr();
+      expect(')');
+      return inner;
+    }
+    if (tok.type !== 'name') throw new ExpressionError(`Unexpected "${tok.value}"`);
+    pos++;
+
+    if (!tok.bracketed && isOp('(')) {
+      const fnName = tok.value.toLowerCase();
+      const def = FUNCTIONS[fnName];
+      if (!def) throw new ExpressionError(`Unknown function "${tok.value}". Available: ${EXPRESSION_FUNCTIONS.join(', ')}`);
+      pos++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(parseExpr());
+        while (isOp(',')) {
+          pos++;
+          args.push(parseExpr());
+        }
+      }
+      expect(')');
+      const [minArgs, maxArgs] = def.arity;
+      if (args.length < minArgs || args.length > maxArgs) {
+        const expected = minArgs === maxArgs ? minArgs : `${minArgs}–${maxArgs}`;
+        throw new ExpressionError(`${fnName}() takes ${expected} argument(s), got ${args.length}`);
+      }
+      return (row) => def.fn(...args.map((a) => a(row)));
+    }
+
+    if (!tok.bracketed) {
+      const word = tok.value.toLowerCase();
+      if (word === 'true') return () => true;
+      if (word === 'false') return () => false;
+      if (word === 'null') return () => null;
+    }
+    const col = resolveColumn(tok.value);
+    return (row) => row[col];
+  }
+
+  const root = parseExpr();
+  if (pos < tokens.length) throw new ExpressionError(`Unexpected "${peek().value}"`);
+
+  return {
+    columns: [...columns],
+    evaluate: (row) => {
+      const v = root(row);
+      if (typeof v === 'number' && !Number.isFinite(v)) return null;
+      return v === undefined ? null : v;
+    },
+  };
+}
@@ -1,34 +1,65 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { CSV_TOOL_DECLARATIONS } from './csvTools';
-import { YOUTUBE_TOOL_DECLARATIONS } from './youtubeTools';
-
-// Strip surrounding quotes (e.g. from .env: REACT_APP_GEMINI_API_KEY="AIza...")
-function stripQuotes(s) {
-  if (typeof s !== 'string') return '';
-  const t = s.trim();
-  if ((t.startsWith('"') && t.endsWith('"')) || (t.startsWith("'") && t.endsWith("'")))
-    return t.slice(1, -1).trim();
-  return t;
-}
-const GEMINI_KEY = stripQuotes(process.env.REACT_APP_GEMINI_API_KEY || '');
-const genAI = new GoogleGenerativeAI(GEMINI_KEY);
-
-const MODEL = 'gemini-2.5-flash';
-
-// Keep context under Gemini's 1M token limit: trim history and message sizes.
+import { getToolDeclarations } from './toolRegistry';
+import { streamChatTurn } from './mongoApi';
+// Side-effect imports: each module registers its tools with the registry
+import './csvTools';
+import './youtubeTools';
+
+// All Gemini calls go through the backend proxy (/api/chat/*), which owns the
+// API key and model name. Nothing here needs a key in the browser bundle.
+
+// Keep context under Gemini's 1M token limit. Older turns of a saved session are
+// folded into a rolling summary on the server (see refreshSessionSummary); what
+// is left is trimmed to a message count and token budget, newest first.
 const MAX_HISTORY_MESSAGES = 24;
+const MAX_HISTORY_TOKENS = 24000;
 const MAX_MESSAGE_CHARS = 8000;
+const IMAGE_TOKENS = 258;
 
-function trimHistory(history) {
+// Same rough estimate the server stores per message (~4 chars per token).
+const estimateTokens = (text, imageCount = 0) =>
+  Math.ceil((typeof text === 'string' ? text.length : 0) / 4) + imageCount * IMAGE_TOKENS;
+
+// history items: { role, content, seq?, tokenEstimate? } — seq is the saved
+// message index; messages with seq < summary.coveredCount are in the summary.
+function trimHistory(history, summary) {
   const arr = Array.isArray(history) ? history : [];
-  const trimmed = arr.slice(-MAX_HISTORY_MESSAGES);
-  return trimmed.map((m) => {
+  const covered = summary?.coveredCount || 0;
+  const live = arr.filter((m) => !(Number.isInteger(m.seq) && m.seq < covered));
+
+  const kept = [];
+  let tokens = summary?.text ? summary.tokenEstimate || estimateTokens(summary.text) : 0;
+  for (let i = live.length - 1; i >= 0 && kept.length < MAX_HISTORY_MESSAGES; i--) {
+    const m = live[i];
+    // Long messages are cut to MAX_MESSAGE_CHARS below, so cap their cost too
+    const t = Math.min(
+      Number.isFinite(m.tokenEstimate) ? m.tokenEstimate : estimateTokens(m.content),
+      Math.ceil(MAX_MESSAGE_CHARS / 4)
+    );
+    if (kept.length && tokens + t > MAX_HISTORY_TOKENS) break;
+    tokens += t;
+    kept.unshift(m);
+  }
+  // Conversations sent to Gemini must open with a user turn (drops e.g. the local welcome message).
+  while (kept.length && kept[0].role !== 'user') kept.shift();
+  return kept.map((m) => {
     const text = (m.content || '').toString();
     const content = text.length <= MAX_MESSAGE_CHARS ? text : text.slice(0, MAX_MESSAGE_CHARS) + '\n\n[... truncated for length ...]';
     return { role: m.role === 'user' ? 'user' : 'model', parts: [{ text: content }] };
   });
 }
 
+// Trimmed history + the new user turn, with the session summary (if any)
+// prepended to the first user turn so the model keeps earlier findings.
+function buildContents(history, userParts, summary) {
+  const contents = [...trimHistory(history, summary), { role: 'user', parts: userParts }];
+  if (summary?.text) {
+    const [first, ...rest] = contents;
+    const summaryPart = { text: `[Summary of the earlier conversation]\n${summary.text}\n[End of summary]` };
+    return [{ ...first, parts: [summaryPart, ...first.parts] }, ...rest];
+  }
+  return contents;
+}
+
 function trimText(s) {
   if (typeof s !== 'string') return s;
   return s.length <= MAX_MESSAGE_CHARS
@@ -47,20 +78,14 @@ function sanitizeModelText(text) {
 
 const SEARCH_TOOL = { googleSearch: {} };
 
-let cachedPrompt = null;
-
-async function loadSystemPrompt() {
-  if (cachedPrompt) return cachedPrompt;
-  try {
-    const res = await fetch('/prompt_chat.txt');
-    cachedPrompt = res.ok ? (await res.text()).trim() : '';
-  } catch {
-    cachedPrompt = '';
-  }
-  return cachedPrompt;
-}
+// System prompts are applied server-side as real system instructions. `mode`
+// picks which one: 'chat' (general + search), 'csv' (CSV analyst) or
+// 'youtube' (channel analyst), or a list like ['csv', 'youtube'] when both
+// datasets are loaded. The server reports the prompt version it used so it
+// can be saved with the message.
 
 // Yields:
+//   { type: 'promptVersion', version } — system prompt version used (first event)
 //   { type: 'text', text }           — streaming text chunks
 //   { type: 'fullResponse', parts }  — structured multimodal parts (e.g. images)
 //   { type: 'grounding', data }      — Google Search metadata
@@ -68,28 +93,9 @@ async function loadSystemPrompt() {
 // fullResponse parts: { type: 'text'|'code'|'result'|'image', ... }
 //
 // Note: no dynamic code execution is used in this app.
-export const streamChat = async function* (history, newMessage, imageParts = []) {
-  const systemInstruction = await loadSystemPrompt();
-  const model = genAI.getGenerativeModel({
-    model: MODEL,
-    tools: [SEARCH_TOOL],
-  });
-
-  const baseHistory = trimHistory(history);
-
-  const chatHistory = systemInstruction
-    ? [
-        {
-          role: 'user',
-          parts: [{ text: `Follow these instructions in every response:\n\n${systemInstruction}` }],
-        },
-        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
-        ...baseHistory,
-      ]
-    : baseHistory;
-
-  const chat = model.startChat({ history: chatHistory });
-
+// options.summary: the session's rolling summary ({ text, coveredCount, tokenEstimate });
+// options.signal: aborting it cancels the request and ends the stream
+export const streamChat = async function* (history, newMessage, imageParts = [], options = {}) {
   const parts = [
     { text: trimText(newMessage) },
     ...imageParts.map((img) => ({
@@ -97,162 +103,165 @@ export const streamChat = async function* (history, newMessage, imageParts = [])
     })),
   ].filter((p) => p.text !== undefined || p.inlineData !== undefined);
 
-  const result = await chat.sendMessageStream(parts);
-
-  // Stream text chunks for live display
-  for await (const chunk of result.stream) {
-    const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
-    for (const part of chunkParts) {
-      if (part.text) yield { type: 'text', text: part.text };
-    }
-  }
-
-  // After stream: inspect all response parts
-  const response = await result.response;
-  const allParts = response.candidates?.[0]?.content?.parts || [];
-
-  const hasStructuredParts = allParts.some((p) => p.inlineData && p.inlineData.mimeType?.startsWith('image/'));
-  if (hasStructuredParts) {
-    // Build ordered structured parts to replace the streamed text (no code execution)
-    const structuredParts = allParts
-      .map((p) => {
-        if (p.text) return { type: 'text', text: p.text };
-        if (p.inlineData)
-          return { type: 'image', mimeType: p.inlineData.mimeType, data: p.inlineData.data };
-        return null;
-      })
-      .filter(Boolean);
-
-    yield { type: 'fullResponse', parts: structuredParts };
-  }
+  const contents = buildContents(history, parts, options.summary);
 
-  // Grounding metadata (search sources)
-  const grounding = response.candidates?.[0]?.groundingMetadata;
-  if (grounding) {
-    console.log('[Search grounding]', grounding);
-    yield { type: 'grounding', data: grounding };
+  // The backend streams text chunks, then (if any) structured image parts and
+  // grounding metadata, in the same shape this generator has always yielded.
+  for await (const event of streamChatTurn({ contents, tools: [SEARCH_TOOL], mode: 'chat', signal: options.signal })) {
+    if (event.type === 'grounding') console.log('[Search grounding]', event.data);
+    yield event;
   }
 };
 
-// ── Function-calling chat for CSV tools ───────────────────────────────────────
-// Gemini picks a tool + args → executeFn runs it client-side (free) → Gemini
-// receives the result and returns a natural-language answer.
+// ── Streaming function-calling loop (shared by the CSV and YouTube agents) ────
+// Each model turn is streamed through the backend. Text deltas are yielded as
+// they arrive; when the turn ends with function calls, executeFn runs all of
+// them client-side (free, concurrently) and every result is sent back together
+// in a single turn.
 //
-// executeFn(toolName, args) → plain JS object with the result
-// Returns the final text response from the model.
-
-export const chatWithCsvTools = async (history, newMessage, csvHeaders, executeFn) => {
-  const systemInstruction = await loadSystemPrompt();
-  const model = genAI.getGenerativeModel({
-    model: MODEL,
-    tools: [{ functionDeclarations: CSV_TOOL_DECLARATIONS }],
-  });
-
-  const baseHistory = trimHistory(history);
-
-  const chatHistory = systemInstruction
-    ? [
-        {
-          role: 'user',
-          parts: [{ text: `Follow these instructions in every response:\n\n${systemInstruction}` }],
-        },
-        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
-        ...baseHistory,
-      ]
-    : baseHistory;
-
-  const chat = model.startChat({ history: chatHistory });
+// Yields:
+//   { type: 'text', text }                      — streamed text delta
+//   { type: 'toolStart', id, name, args }       — a tool is about to run
+//   { type: 'toolResult', id, name, args, result, chart, invalid } — tool finished;
+//                                                  chart is the result when it has _chartType,
+//                                                  invalid when its arguments were rejected
+//   { type: 'done', text, charts, toolCalls, promptVersion, roundsExhausted } — final summary
+
+// Max model ↔ tool round trips per message. Override per call with
+// options.maxToolRounds or at build time with REACT_APP_MAX_TOOL_ROUNDS.
+const DEFAULT_MAX_TOOL_ROUNDS = Math.max(1, parseInt(process.env.REACT_APP_MAX_TOOL_ROUNDS, 10) || 5);
+
+// Streams one model turn (yielding text deltas) and appends it to `contents`.
+// Returns { text, calls, promptVersion } once the turn is complete.
+async function* streamModelTurn(contents, tools, mode, signal) {
+  let text = '';
+  let promptVersion = null;
+  const calls = [];
+  for await (const event of streamChatTurn({ contents, tools, mode, signal })) {
+    if (event.type === 'text') {
+      text += event.text;
+      yield event;
+    } else if (event.type === 'functionCall') {
+      calls.push(event);
+    } else if (event.type === 'promptVersion') {
+      promptVersion = event.version || null;
+    }
+  }
+  const parts = [
+    ...(text ? [{ text }] : []),
+    ...calls.map((c) => ({
+      functionCall: c.functionCall,
+      ...(c.thoughtSignature && { thoughtSignature: c.thoughtSignature }),
+    })),
+  ];
+  if (parts.length) contents.push({ role: 'model', parts });
+  return { text, calls, promptVersion };
+}
 
-  // Include column names so the model can match user intent to exact column names
-  const msgWithContext = csvHeaders?.length
-    ? `[CSV columns: ${csvHeaders.join(', ')}]\n\n${newMessage}`
-    : newMessage;
-  const trimmedMessage = trimText(msgWithContext);
+// A throwing executor must not take down the other calls in the same round.
+async function runTool(executeFn, name, args) {
+  try {
+    return await executeFn(name, args);
+  } catch (err) {
+    return { error: err?.message || String(err) };
+  }
+}
 
-  let response = (await chat.sendMessage(trimmedMessage)).response;
+// An aborted signal ends the loop without running further tools or yielding 'done'
+async function* runToolLoop({ history, message, tools, mode, executeFn, logLabel, maxToolRounds, summary, signal }) {
+  const contents = buildContents(history, [{ text: trimText(message) }], summary);
+  const roundBudget = Math.max(1, parseInt(maxToolRounds, 10) || DEFAULT_MAX_TOOL_ROUNDS);
 
   // Accumulate chart payloads and a log of every tool call made
   const charts = [];
   const toolCalls = [];
 
-  // Function-calling loop (Gemini may chain multiple tool calls)
-  for (let round = 0; round < 5; round++) {
-    const parts = response.candidates?.[0]?.content?.parts || [];
-    const funcCall = parts.find((p) => p.functionCall);
-    if (!funcCall) break;
-
-    const { name, args } = funcCall.functionCall;
-    console.log('[CSV Tool]', name, args);
-    const toolResult = executeFn(name, args);
-    console.log('[CSV Tool result]', toolResult);
-
-    // Log the call for persistence
-    toolCalls.push({ name, args, result: toolResult });
-
-    // Capture chart payloads so the UI can render them
-    if (toolResult?._chartType) {
-      charts.push(toolResult);
+  let turn = yield* streamModelTurn(contents, tools, mode, signal);
+  let fullText = turn.text;
+  const { promptVersion } = turn;
+
+  // Function-calling loop (Gemini may chain rounds and request several calls per round)
+  let roundsRun = 0;
+  for (let round = 0; round < roundBudget && turn.calls.length && !signal?.aborted; round++) {
+    roundsRun = round + 1;
+    const calls = turn.calls.map((c, i) => ({
+      id: `${round}-${i}`,
+      name: c.functionCall.name,
+      args: c.functionCall.args || {},
+    }));
+
+    // Calls within one turn are independent: start them all, then report in order
+    for (const { id, name, args } of calls) {
+      console.log(`[${logLabel} Tool]`, name, args);
+      yield { type: 'toolStart', id, name, args };
+    }
+    const pending = calls.map(({ name, args }) => runTool(executeFn, name, args));
+
+    const responseParts = [];
+    for (let i = 0; i < calls.length; i++) {
+      const { id, name, args } = calls[i];
+      const toolResult = await pending[i];
+      console.log(`[${logLabel} Tool result]`, toolResult);
+
+      // Log the call for persistence (flagging calls rejected by argument
+      // validation); capture chart payloads so the UI can render them
+      const invalid = toolResult?.code === 'INVALID_ARGUMENTS';
+      toolCalls.push({ name, args, result: toolResult, ...(invalid && { invalid: true }) });
+      const chart = toolResult?._chartType ? toolResult : null;
+      if (chart) charts.push(chart);
+      yield { type: 'toolResult', id, name, args, result: toolResult, chart, invalid };
+
+      responseParts.push({ functionResponse: { name, response: { result: toolResult } } });
     }
+    contents.push({ role: 'user', parts: responseParts });
+    if (signal?.aborted) return;
 
-    response = (
-      await chat.sendMessage([
-        { functionResponse: { name, response: { result: toolResult } } },
-      ])
-    ).response;
+    // Keep text from consecutive turns in separate paragraphs
+    if (fullText) {
+      fullText += '\n\n';
+      yield { type: 'text', text: '\n\n' };
+    }
+    turn = yield* streamModelTurn(contents, tools, mode, signal);
+    fullText += turn.text;
+  }
+  if (signal?.aborted) return;
+
+  // The model still wanted tools after the last allowed round: tell the user instead of stopping silently
+  const roundsExhausted = turn.calls.length > 0;
+  if (roundsExhausted) {
+    const notice = `${fullText ? '\n\n' : ''}_Stopped after ${roundsRun} tool round${roundsRun === 1 ? '' : 's'}; the answer may be incomplete. Ask a narrower follow-up to continue._`;
+    fullText += notice;
+    yield { type: 'text', text: notice };
   }
 
-  return { text: sanitizeModelText(response.text()), charts, toolCalls };
-};
-
-// ── Function-calling chat for YouTube / channel JSON tools ───────────────────
-// executeFn(toolName, args) → Promise<result> (e.g. for generateImage)
-
-export const chatWithYouTubeTools = async (history, newMessage, executeFn) => {
-  const systemInstruction = await loadSystemPrompt();
-  const model = genAI.getGenerativeModel({
-    model: MODEL,
-    tools: [{ functionDeclarations: YOUTUBE_TOOL_DECLARATIONS }],
-  });
-
-  const baseHistory = trimHistory(history);
-
-  const chatHistory = systemInstruction
-    ? [
-        {
-          role: 'user',
-          parts: [{ text: `Follow these instructions in every response:\n\n${systemInstruction}` }],
-        },
-        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
-        ...baseHistory,
-      ]
-    : baseHistory;
-
-  const chat = model.startChat({ history: chatHistory });
-
-  let response = (await chat.sendMessage(trimText(newMessage))).response;
-
-  const charts = [];
-  const toolCalls = [];
-
-  for (let round = 0; round < 5; round++) {
-    const parts = response.candidates?.[0]?.content?.parts || [];
-    const funcCall = parts.find((p) => p.functionCall);
-    if (!funcCall) break;
-
-    const { name, args } = funcCall.functionCall;
-    console.log('[YouTube Tool]', name, args);
-    const toolResult = await Promise.resolve(executeFn(name, args || {}));
-    console.log('[YouTube Tool result]', toolResult);
+  yield { type: 'done', text: sanitizeModelText(fullText), charts, toolCalls, promptVersion, roundsExhausted };
+}
 
-    toolCalls.push({ name, args: args || {}, result: toolResult });
-    if (toolResult?._chartType) charts.push(toolResult);
+// ── Function-calling chat over the tool registry ──────────────────────────────
+// One agent for every loaded dataset: families lists which tool families to
+// offer ('csv', 'youtube', or both), and the system prompt is composed to match.
+// executeFn(toolName, args) → result object or Promise (e.g. executeRegisteredTool)
+// options.csvHeaders adds the [CSV columns: ...] line the CSV tools rely on;
+// options.maxToolRounds overrides the default round budget; options.summary is
+// the session's rolling summary; options.signal stops the loop (see runToolLoop).
 
-    response = (
-      await chat.sendMessage([
-        { functionResponse: { name, response: { result: toolResult } } },
-      ])
-    ).response;
-  }
+const TOOL_FAMILY_LABELS = { csv: 'CSV', youtube: 'YouTube' };
 
-  return { text: sanitizeModelText(response.text()), charts, toolCalls };
+export const chatWithTools = async function* (history, newMessage, families, executeFn, options = {}) {
+  const { csvHeaders, maxToolRounds, summary, signal } = options;
+  // Include column names so the model can match user intent to exact column names
+  const message = families.includes('csv') && csvHeaders?.length
+    ? `[CSV columns: ${csvHeaders.join(', ')}]\n\n${newMessage}`
+    : newMessage;
+  yield* runToolLoop({
+    history,
+    message,
+    tools: [{ functionDeclarations: getToolDeclarations(families) }],
+    mode: families.length === 1 ? families[0] : families,
+    executeFn,
+    logLabel: families.map((f) => TOOL_FAMILY_LABELS[f] || f).join('+'),
+    maxToolRounds,
+    summary,
+    signal,
+  });
 };
@@ -8,11 +8,87 @@ function buildApiUrl(path) {
   return combined.replace(/(?<!:)\/\/+/g, '/');
 }
 
+// ── Auth tokens ─────────────────────────────────────────────────────────────
+// Issued by POST /api/users/login and attached to every API request.
+
+const AUTH_STORAGE_KEY = 'chatapp_auth';
+let authFailureHandler = null;
+let refreshInFlight = null;
+
+export const getAuthTokens = () => {
+  try {
+    const raw = localStorage.getItem(AUTH_STORAGE_KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    return data && data.token ? data : null;
+  } catch {
+    return null;
+  }
+};
+
+const setAuthTokens = ({ token, refreshToken, expiresAt, refreshExpiresAt }) => {
+  localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify({ token, refreshToken, expiresAt, refreshExpiresAt }));
+};
+
+export const clearAuthTokens = () => {
+  localStorage.removeItem(AUTH_STORAGE_KEY);
+};
+
+/** Register a callback that runs when the session can no longer be refreshed (e.g. to log out). */
+export const setAuthFailureHandler = (fn) => {
+  authFailureHandler = typeof fn === 'function' ? fn : null;
+};
+
+const authHeaders = () => {
+  const tokens = getAuthTokens();
+  return tokens ? { Authorization: `Bearer ${tokens.token}` } : {};
+};
+
+// Exchange the stored refresh token for a new pair. Concurrent callers share one request.
+const refreshAuthTokens = async () => {
+  if (refreshInFlight) return refreshInFlight;
+  const refreshToken = getAuthTokens()?.refreshToken;
+  if (!refreshToken) return false;
+  refreshInFlight = (async () => {
+    try {
+      const res = await fetch(buildApiUrl('/api/auth/refresh'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+      if (!res.ok) return false;
+      setAuthTokens(await res.json());
+      return true;
+    } catch {
+      return false;
+    } finally {
+      refreshInFlight = null;
+    }
+  })();
+  return refreshInFlight;
+};
+
+// fetch() with the auth header attached; retries once after refreshing on 401.
+const authFetch = async (url, options = {}) => {
+  const send = () =>
+    fetch(url, { ...options, headers: { ...options.headers, ...authHeaders() } });
+  let res = await send();
+  if (res.status === 401 && getAuthTokens()) {
+    if (await refreshAuthTokens()) {
+      res = await send();
+    }
+    if (res.status === 401) {
+      clearAuthTokens();
+      authFailureHandler?.();
+    }
+  }
+  return res;
+};
+
 const api = async (path, options = {}) => {
   const url = buildApiUrl(path);
-  const res = await fetch(url, {
-    headers: { 'Content-Type': 'application/json', ...options.headers },
+  const res = await authFetch(url, {
     ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
   });
   const text = await res.text();
   if (!res.ok) {
@@ -42,11 +118,13 @@ export const createUser = async (username, password, email = '', firstName = '',
 };
 
 export const findUser = async (username, password) => {
+  clearAuthTokens();
   const data = await api('/api/users/login', {
     method: 'POST',
     body: JSON.stringify({ username, password }),
   });
   if (!data.ok) return null;
+  setAuthTokens(data);
   return {
     _id: data._id || null,
     username: data.username,
@@ -57,14 +135,15 @@ export const findUser = async (username, password) => {
 
 // ── Sessions ─────────────────────────────────────────────────────────────────
 
-export const getSessions = async (username) => {
-  return api(`/api/sessions?username=${encodeURIComponent(username)}`);
+// The server resolves the owner from the auth token; no username is sent.
+export const getSessions = async () => {
+  return api('/api/sessions');
 };
 
-export const createSession = async (username, agent = null, title = null) => {
+export const createSession = async (agent = null, title = null) => {
   return api('/api/sessions', {
     method: 'POST',
-    body: JSON.stringify({ username, agent, title }),
+    body: JSON.stringify({ agent, title }),
   });
 };
 
@@ -79,12 +158,74 @@ export const updateSessionTitle = async (sessionId, title) => {
   });
 };
 
+// format: 'html' | 'md'. Returns { text, fileName } — the self-contained report
+// built by GET /api/sessions/:id/export.
+export const exportSession = async (sessionId, format = 'html') => {
+  const res = await authFetch(buildApiUrl(`/api/sessions/${sessionId}/export?format=${format}`));
+  const text = await res.text();
+  if (!res.ok) {
+    let message = text || res.statusText;
+    try {
+      message = JSON.parse(text).error || message;
+    } catch (_) {}
+    const err = new Error(message);
+    err.status = res.status;
+    throw err;
+  }
+  const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+  return { text, fileName: match ? match[1] : `chat.${format}` };
+};
+
+// ── Session datasets ─────────────────────────────────────────────────────────
+// kind: 'csv' (raw CSV text), 'channel' (channel JSON { channelTitle, videos })
+// or 'labels' (text labels JSON { column, columns, topics, labels }).
+
+// Returns { datasets: [{ kind, name, itemCount, ..., text | channelTitle + videos }], computedColumns }
+export const loadSessionDatasets = async (sessionId) => {
+  return api(`/api/sessions/${sessionId}/datasets`);
+};
+
+// Sent as text/plain so large files aren't limited by the JSON body size.
+export const saveSessionDataset = async (sessionId, kind, name, text) => {
+  return api(`/api/sessions/${sessionId}/datasets/${kind}?name=${encodeURIComponent(name || '')}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'text/plain' },
+    body: text,
+  });
+};
+
+export const deleteSessionDataset = async (sessionId, kind) => {
+  return api(`/api/sessions/${sessionId}/datasets/${kind}`, { method: 'DELETE' });
+};
+
+// columns: [{ name, expression }] — replaces the session's computed CSV columns.
+export const saveComputedColumns = async (sessionId, columns) => {
+  return api(`/api/sessions/${sessionId}/computed-columns`, {
+    method: 'PUT',
+    body: JSON.stringify({ columns }),
+  });
+};
+
+// ── Text labels ──────────────────────────────────────────────────────────────
+
+// Sentiment + topic for up to 500 texts via Gemini; pass the topics from the
+// previous chunk to keep one label set. Returns { topics, labels, promptVersion }.
+export const labelTexts = async (texts, topics = [], signal) => {
+  return api('/api/text-labels', {
+    method: 'POST',
+    body: JSON.stringify({ texts, topics }),
+    signal,
+  });
+};
+
 // ── Messages ─────────────────────────────────────────────────────────────────
 
-export const saveMessage = async (sessionId, role, content, imageData = null, charts = null, toolCalls = null) => {
+// promptVersion: which server-side system prompt produced a model message (e.g. "csv-v1").
+// Returns { ok, seq, tokenEstimate } — seq is the message's index in the session.
+export const saveMessage = async (sessionId, role, content, imageData = null, charts = null, toolCalls = null, promptVersion = null) => {
   return api('/api/messages', {
     method: 'POST',
-    body: JSON.stringify({ session_id: sessionId, role, content, imageData, charts, toolCalls }),
+    body: JSON.stringify({ session_id: sessionId, role, content, imageData, charts, toolCalls, promptVersion }),
   });
 };
 
@@ -92,16 +233,133 @@ export const loadMessages = async (sessionId) => {
   return api(`/api/messages?session_id=${encodeURIComponent(sessionId)}`);
 };
 
+// ── Conversation summary ─────────────────────────────────────────────────────
+
+// { summary: { text, coveredCount, tokenEstimate, ... } | null, messageCount, tokenEstimate }
+export const getSessionSummary = async (sessionId) => {
+  return api(`/api/sessions/${sessionId}/summary`);
+};
+
+// Asks the server to fold older turns into the summary if enough have piled up.
+// Returns { summary, refreshed }.
+export const refreshSessionSummary = async (sessionId) => {
+  return api(`/api/sessions/${sessionId}/summary`, { method: 'POST' });
+};
+
+// ── Gemini chat proxy ───────────────────────────────────────────────────────
+
+// Throw the server's { error } for a failed streaming request
+const throwResponseError = async (res) => {
+  const text = await res.text();
+  let message = text || res.statusText;
+  try {
+    message = JSON.parse(text).error || message;
+  } catch (_) {}
+  const err = new Error(message);
+  err.status = res.status;
+  throw err;
+};
+
+// Parsed `data:` payloads of a Server-Sent Events response; stopping early cancels the body.
+async function* readServerEvents(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let sep;
+      while ((sep = buffer.indexOf('\n\n')) !== -1) {
+        const raw = buffer.slice(0, sep);
+        buffer = buffer.slice(sep + 2);
+        const data = raw
+          .split('\n')
+          .filter((line) => line.startsWith('data:'))
+          .map((line) => line.slice(5).trim())
+          .join('');
+        if (data) yield JSON.parse(data);
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Streaming Gemini turn via the backend (Server-Sent Events over a POST).
+ * Yields the server's events ({ type: 'promptVersion' | 'text' | 'fullResponse' | 'grounding', ... })
+ * and throws on { type: 'error' }. Breaking out of the loop cancels the request;
+ * aborting `signal` cancels it too and ends the stream without an error.
+ */
+export const streamChatTurn = async function* ({ contents, tools, mode, signal }) {
+  try {
+    const res = await authFetch(buildApiUrl('/api/chat/stream'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ contents, tools, mode }),
+      signal,
+    });
+    if (!res.ok) await throwResponseError(res);
+
+    for await (const event of readServerEvents(res)) {
+      if (event.type === 'done') return;
+      if (event.type === 'error') {
+        const err = new Error(event.error || 'Gemini request failed');
+        err.status = event.status;
+        throw err;
+      }
+      yield event;
+    }
+  } catch (err) {
+    if (signal?.aborted) return;
+    throw err;
+  }
+};
+
 // ── YouTube ─────────────────────────────────────────────────────────────────
 
-/** Fetch channel video metadata via backend scraper (no API key). */
-export const fetchYouTubeChannelData = async (channelUrl, maxVideos = 10) => {
-  return api('/api/youtube/download-channel', {
+/**
+ * Start a background channel scrape. Returns the job:
+ * { id, status, progress: { phase, listed, detailsDone, detailsTotal, transcripts, ... }, summary, error, ... }
+ */
+export const createYouTubeJob = async (channelUrl, maxVideos = 10, tabs = ['videos']) => {
+  return api('/api/youtube/jobs', {
     method: 'POST',
-    body: JSON.stringify({ channelUrl, maxVideos }),
+    body: JSON.stringify({ channelUrl, maxVideos, tabs }),
   });
 };
 
+/** The user's recent scrape jobs, newest first. */
+export const listYouTubeJobs = async () => {
+  const data = await api('/api/youtube/jobs');
+  return data.jobs || [];
+};
+
+export const cancelYouTubeJob = async (jobId) => {
+  return api(`/api/youtube/jobs/${jobId}/cancel`, { method: 'POST' });
+};
+
+/** Channel JSON of a finished job. */
+export const fetchYouTubeJobResult = async (jobId) => {
+  return api(`/api/youtube/jobs/${jobId}/result`);
+};
+
+/**
+ * Follow a job over SSE: yields its state after every change and returns once
+ * it has finished (status done, failed or cancelled). Aborting signal stops
+ * following; the job keeps running on the server.
+ */
+export const watchYouTubeJob = async function* (jobId, signal) {
+  const res = await authFetch(buildApiUrl(`/api/youtube/jobs/${jobId}/events`), { signal });
+  if (!res.ok) await throwResponseError(res);
+  for await (const event of readServerEvents(res)) {
+    yield event.job;
+    if (event.type === 'done') return;
+  }
+};
+
 // ── Image generation ────────────────────────────────────────────────────────
 
 export const generateImage = async (input, anchorImageBase64 = null, anchorMimeType = 'image/png') => {
@@ -122,7 +380,7 @@ export const generateImage = async (input, anchorImageBase64 = null, anchorMimeT
   const timeout = setTimeout(() => controller.abort(), timeoutMs);
   try {
     const url = `${API_BASE}/api/tools/generateImage`.replace(/(?<!:)\/\/+/g, '/');
-    const res = await fetch(url, {
+    const res = await authFetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload),
@@ -146,6 +404,7 @@ export const generateImage = async (input, anchorImageBase64 = null, anchorMimeT
     return {
       imageBase64: data?.imageBase64,
       mimeType: data?.mimeType || 'image/png',
+      promptVersion: data?.promptVersion || null,
     };
   } catch (err) {
     if (err?.name === 'AbortError') {
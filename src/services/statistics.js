@@ -0,0 +1,258 @@
+// ── Statistics helpers shared by the analysis tools ──────────────────────────
+// Plain numeric arrays in, plain numbers out. p-values come from the Student t
+// distribution via the regularized incomplete beta function (Numerical Recipes
+// continued fraction), accurate to ~1e-10 — plenty for reporting.
+
+export const mean = (vals) => (vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : NaN);
+
+/** Sample variance (n − 1). */
+export const variance = (vals) => {
+  if (vals.length < 2) return NaN;
+  const m = mean(vals);
+  return vals.reduce((a, v) => a + (v - m) ** 2, 0) / (vals.length - 1);
+};
+
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const ci of c) ser += ci / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+function betaContinuedFraction(a, b, x) {
+  const TINY = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 3e-12) break;
+  }
+  return h;
+}
+
+/** Regularized incomplete beta I_x(a, b). */
+export function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+/** Two-sided p-value of a t statistic with df degrees of freedom. */
+export const tTestPValue = (t, df) =>
+  Number.isFinite(t) && df > 0 ? incompleteBeta(df / (df + t * t), df / 2, 0.5) : NaN;
+
+/**
+ * Welch's unequal-variance t-test of mean(a) vs mean(b).
+ * Returns { t, df, pValue } (NaN fields when either group has < 2 values or no variance).
+ */
+export function welchTTest(a, b) {
+  const va = variance(a) / a.length;
+  const vb = variance(b) / b.length;
+  const se = Math.sqrt(va + vb);
+  if (!Number.isFinite(se) || se === 0) return { t: NaN, df: NaN, pValue: NaN };
+  const t = (mean(a) - mean(b)) / se;
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  return { t, df, pValue: tTestPValue(t, df) };
+}
+
+// ── Correlation ──────────────────────────────────────────────────────────────
+
+/** Pearson r of paired arrays (NaN when either side has no variance). */
+export function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return NaN;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = xs[i] - mx;
+    const dy = ys[i] - my;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : NaN;
+}
+
+/** 1-based ranks, ties get their average rank. */
+export function ranks(vals) {
+  const order = vals.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const out = new Array(vals.length);
+  let i = 0;
+  while (i < order.length) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) out[order[k][1]] = rank;
+    i = j + 1;
+  }
+  return out;
+}
+
+/** Spearman rank correlation (Pearson r of the ranks). */
+export const spearman = (xs, ys) => pearson(ranks(xs), ranks(ys));
+
+/** Two-sided p-value for H0: correlation = 0, from r and the sample size. */
+export const correlationPValue = (r, n) => {
+  if (!Number.isFinite(r) || n < 3) return NaN;
+  if (Math.abs(r) >= 1) return 0;
+  return tTestPValue(r * Math.sqrt((n - 2) / (1 - r * r)), n - 2);
+};
+
+// ── Ordinary least squares ───────────────────────────────────────────────────
+
+// Inverse of a small symmetric matrix by Gauss-Jordan elimination; null when singular.
+function invert(matrix) {
+  const n = matrix.length;
+  const a = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    const p = a[col][col];
+    for (let j = 0; j < 2 * n; j++) a[col][j] /= p;
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = a[r][col];
+      if (f) for (let j = 0; j < 2 * n; j++) a[r][j] -= f * a[col][j];
+    }
+  }
+  return a.map((row) => row.slice(n));
+}
+
+/**
+ * Linear regression of y on the columns of X (rows of predictor values) with
+ * an intercept. Returns { intercept, coefficients: [{ estimate, stdError, t, pValue }],
+ * r2, adjustedR2, n } — coefficients[0] is the intercept — or null when the
+ * predictors are collinear or there are too few rows.
+ */
+export function linearRegression(X, y) {
+  const n = y.length;
+  const k = (X[0]?.length ?? 0) + 1;
+  if (n <= k) return null;
+  const rows = X.map((r) => [1, ...r]);
+  const xtx = Array.from({ length: k }, (_, i) =>
+    Array.from({ length: k }, (_, j) => rows.reduce((s, r) => s + r[i] * r[j], 0))
+  );
+  const inverse = invert(xtx);
+  if (!inverse) return null;
+  const xty = Array.from({ length: k }, (_, i) => rows.reduce((s, r, idx) => s + r[i] * y[idx], 0));
+  const beta = inverse.map((row) => row.reduce((s, v, j) => s + v * xty[j], 0));
+
+  const my = mean(y);
+  let ssRes = 0;
+  let ssTot = 0;
+  rows.forEach((r, idx) => {
+    const fitted = r.reduce((s, v, j) => s + v * beta[j], 0);
+    ssRes += (y[idx] - fitted) ** 2;
+    ssTot += (y[idx] - my) ** 2;
+  });
+  const df = n - k;
+  const sigma2 = ssRes / df;
+  const coefficients = beta.map((estimate, j) => {
+    const stdError = Math.sqrt(sigma2 * inverse[j][j]);
+    const t = stdError > 0 ? estimate / stdError : NaN;
+    return { estimate, stdError, t, pValue: tTestPValue(t, df) };
+  });
+  const r2 = ssTot > 0 ? 1 - ssRes / ssTot : NaN;
+  return {
+    intercept: beta[0],
+    coefficients,
+    r2,
+    adjustedR2: ssTot > 0 ? 1 - ((1 - r2) * (n - 1)) / df : NaN,
+    n,
+  };
+}
+
+// ── Outliers ─────────────────────────────────────────────────────────────────
+
+/** Linear-interpolated percentile (0–100) of an ascending array. */
+export const percentile = (sorted, p) => {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * (p / 100);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+export const OUTLIER_METHODS = ['zscore', 'iqr', 'mad'];
+// zscore: |z| > 3; iqr: beyond 1.5 × IQR from the quartiles; mad: modified z (Iglewicz–Hoaglin) > 3.5
+export const DEFAULT_OUTLIER_THRESHOLDS = { zscore: 3, iqr: 1.5, mad: 3.5 };
+
+/**
+ * Flag unusual values. direction: 'both' | 'high' | 'low'.
+ * Returns { lower, upper, center, flagged: [{ index, value, score, direction }] }
+ * where score is the value's z / modified z, or its distance past the fence in IQRs.
+ * Bounds are null when the spread is zero (nothing can be flagged).
+ */
+export function detectOutliers(values, { method = 'iqr', threshold, direction = 'both' } = {}) {
+  const k = threshold ?? DEFAULT_OUTLIER_THRESHOLDS[method];
+  const sorted = [...values].sort((a, b) => a - b);
+  let center;
+  let scale;
+  let lower;
+  let upper;
+  if (method === 'zscore') {
+    center = mean(values);
+    scale = Math.sqrt(variance(values));
+    lower = center - k * scale;
+    upper = center + k * scale;
+  } else if (method === 'mad') {
+    center = percentile(sorted, 50);
+    const deviations = values.map((v) => Math.abs(v - center)).sort((a, b) => a - b);
+    scale = percentile(deviations, 50) / 0.6745;
+    lower = center - k * scale;
+    upper = center + k * scale;
+  } else {
+    const q1 = percentile(sorted, 25);
+    const q3 = percentile(sorted, 75);
+    center = percentile(sorted, 50);
+    scale = q3 - q1;
+    lower = q1 - k * scale;
+    upper = q3 + k * scale;
+  }
+  if (!Number.isFinite(scale) || scale === 0) return { lower: null, upper: null, center, flagged: [] };
+
+  const scoreOf = (v) => {
+    if (method !== 'iqr') return (v - center) / scale;
+    if (v > upper) return (v - upper) / scale + k;
+    if (v < lower) return -((lower - v) / scale + k);
+    return 0;
+  };
+  const flagged = [];
+  values.forEach((value, index) => {
+    const high = value > upper;
+    const low = value < lower;
+    if ((high && direction !== 'low') || (low && direction !== 'high')) {
+      flagged.push({ index, value, score: scoreOf(value), direction: high ? 'high' : 'low' });
+    }
+  });
+  flagged.sort((a, b) => Math.abs(b.score) - Math.abs(a.score));
+  return { lower, upper, center, flagged };
+}
@@ -0,0 +1,109 @@
+/**
+ * One registry for every client-side tool the chat agent can call.
+ *
+ * Each tool registers:
+ *   family      — dataset it works on ('csv' | 'youtube'); the tool is only
+ *                 offered to Gemini when that dataset is loaded
+ *   declaration — Gemini function declaration ({ name, description, parameters })
+ *   validate    — optional (args, ctx) → extra checks the schema can't express
+ *                 (e.g. "column exists"); returns [{ path, message }], a
+ *                 message string, or null. Runs after the declaration's
+ *                 `parameters` schema has been enforced (see toolSchema.js)
+ *   execute     — (args, ctx) → result object (or Promise of one)
+ *   renderers   — optional { [_chartType]: (payload) → React element } for the
+ *                 chart payloads it returns; ToolChart draws a payload with the
+ *                 renderer registered for its _chartType. Tools that return the
+ *                 same chart type render it the same way (last registration wins)
+ *
+ * ctx is the family's slice of the runtime context passed to executeRegisteredTool,
+ * e.g. { csv: { rows }, youtube: { videos, anchorImageBase64, ... } } → ctx = context.csv.
+ */
+
+import { validateToolArgs } from './toolSchema';
+
+const registry = new Map();
+const chartRenderers = new Map();
+
+export function registerTool(family, tool) {
+  const name = tool?.declaration?.name;
+  if (!name) throw new Error('registerTool: declaration.name is required');
+  if (typeof tool.execute !== 'function') throw new Error(`registerTool: ${name} needs an execute function`);
+  const renderers = Object.entries(tool.renderers || {});
+  const notFunction = renderers.find(([, render]) => typeof render !== 'function');
+  if (notFunction) throw new Error(`registerTool: ${name} renderer for "${notFunction[0]}" must be a function`);
+  const existing = registry.get(name);
+  if (existing && existing.family !== family) {
+    throw new Error(`registerTool: "${name}" is already registered by the ${existing.family} tools`);
+  }
+  // Same family re-registering (e.g. after a hot reload) replaces the old entry
+  registry.set(name, { ...tool, name, family });
+  renderers.forEach(([chartType, render]) => chartRenderers.set(chartType, render));
+}
+
+/** Renderer for a tool payload's _chartType, or null. */
+export function getChartRenderer(chartType) {
+  return chartRenderers.get(chartType) || null;
+}
+
+export function getTool(name) {
+  return registry.get(name) || null;
+}
+
+/** Tools available for the loaded datasets, e.g. getTools(['csv', 'youtube']). */
+export function getTools(families) {
+  const allowed = new Set(families);
+  return [...registry.values()].filter((t) => allowed.has(t.family));
+}
+
+export function getToolDeclarations(families) {
+  return getTools(families).map((t) => t.declaration);
+}
+
+/**
+ * Run a registered tool. Only tools whose family has a context entry can run,
+ * so Gemini cannot reach CSV tools when no CSV is loaded (and vice versa).
+ * Arguments are checked against the declaration schema (then the tool's own
+ * validate) before execute; a failing call is not executed and instead returns
+ *   { error, code: 'INVALID_ARGUMENTS', tool, issues: [{ path, message }], expected }
+ * which goes back to Gemini as the function response so it can retry.
+ * Returns the executor's result, or { error } for unknown/blocked calls.
+ */
+export function executeRegisteredTool(name, args, context = {}) {
+  const tool = registry.get(name);
+  if (!tool || !context[tool.family]) {
+    console.warn(`[Tool registry] Unknown tool blocked: ${name}`);
+    return { error: `Unknown tool: ${name}`, code: 'UNKNOWN_TOOL' };
+  }
+  const ctx = context[tool.family];
+  const checked = validateToolArgs(tool.declaration.parameters, args && typeof args === 'object' ? args : {});
+  let issues = checked.issues;
+  if (!issues.length && tool.validate) {
+    const extra = tool.validate(checked.args, ctx);
+    if (typeof extra === 'string') issues = [{ path: 'args', message: extra }];
+    else if (Array.isArray(extra)) issues = extra;
+  }
+  if (issues.length) {
+    console.warn(`[Tool registry] Invalid arguments for ${name}:`, issues);
+    return invalidArguments(tool, issues);
+  }
+  return tool.execute(checked.args, ctx);
+}
+
+function invalidArguments(tool, issues) {
+  const params = tool.declaration.parameters || {};
+  return {
+    error: `Invalid arguments for ${tool.name}: ${issues.map((i) => `${i.path} ${i.message}`).join('; ')}`,
+    code: 'INVALID_ARGUMENTS',
+    tool: tool.name,
+    issues,
+    // Parameter names/types so the model can fix the call without guessing
+    expected: Object.fromEntries(
+      Object.entries(params.properties || {}).map(([key, p]) => [
+        key,
+        `${String(p.type || '').toLowerCase()}${(params.required || []).includes(key) ? ' (required)' : ''}${
+          Array.isArray(p.enum) ? ` one of ${p.enum.join('|')}` : ''
+        }`,
+      ])
+    ),
+  };
+}
@@ -0,0 +1,316 @@
+import { executeRegisteredTool, getChartRenderer } from './toolRegistry';
+import './csvTools';
+import './youtubeTools';
+
+const rows = [
+  { Text: 'a', 'View Count': '10', Type: 'Tweet' },
+  { Text: 'b', 'View Count': '30', Type: 'Reply' },
+];
+const csv = { csv: { rows } };
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'group').mockImplementation(() => {});
+  jest.spyOn(console, 'groupEnd').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test('coerces numeric strings and runs a valid call', () => {
+  const result = executeRegisteredTool('get_value_counts', { column: 'type', top_n: '1' }, csv);
+  expect(result.column).toBe('Type');
+  expect(Object.keys(result.value_counts)).toHaveLength(1);
+});
+
+test('rejects missing, mistyped and out-of-range arguments with structured issues', () => {
+  const result = executeRegisteredTool('get_top_tweets', { n: 'ten', ascending: 'maybe' }, csv);
+  expect(result.code).toBe('INVALID_ARGUMENTS');
+  expect(result.issues.map((i) => i.path).sort()).toEqual(['ascending', 'n', 'sort_column']);
+  expect(result.expected.sort_column).toMatch(/required/);
+
+  const tooMany = executeRegisteredTool('get_top_tweets', { sort_column: 'View Count', n: 500 }, csv);
+  expect(tooMany.issues).toEqual([{ path: 'n', message: 'must be <= 100' }]);
+});
+
+test('rejects unknown columns and enum values before executing', () => {
+  const badColumn = executeRegisteredTool('compute_column_stats', { column: 'Likes' }, csv);
+  expect(badColumn.code).toBe('INVALID_ARGUMENTS');
+  expect(badColumn.error).toMatch(/Available columns: Text, View Count, Type/);
+
+  const youtube = { youtube: { videos: [{ title: 'x', viewCount: 1 }] } };
+  const badEnum = executeRegisteredTool('play_video', { selectorType: 'random' }, youtube);
+  expect(badEnum.issues[0]).toEqual({ path: 'selectorType', message: 'must be one of "title", "ordinal", "most_viewed"' });
+});
+
+test('blocks tools whose dataset is not loaded', () => {
+  expect(executeRegisteredTool('compute_stats_json', { field: 'viewCount' }, csv).code).toBe('UNKNOWN_TOOL');
+});
+
+test('every chart type a tool returns has a registered renderer', () => {
+  const chartTypes = ['groupTable', 'engagement', 'histogram', 'valueBar', 'scatter', 'timeSeries', 'timeBuckets',
+    'hourWeekdayHeatmap', 'tokenStats', 'correlation', 'outliers', 'generatedImage', 'metricVsTime', 'playVideo', 'statsJson'];
+  chartTypes.forEach((type) => expect(typeof getChartRenderer(type)).toBe('function'));
+  expect(getChartRenderer('nope')).toBeNull();
+});
+
+test('group_aggregate filters, groups and aggregates', () => {
+  const tweets = {
+    csv: {
+      rows: [
+        { Type: 'Tweet', Language: 'en', 'View Count': 100 },
+        { Type: 'Tweet', Language: 'en', 'View Count': 300 },
+        { Type: 'Reply', Language: 'en', 'View Count': 10 },
+        { Type: 'Reply', Language: 'es', 'View Count': 50 },
+      ],
+    },
+  };
+  const result = executeRegisteredTool('group_aggregate', {
+    filters: [{ column: 'language', op: 'eq', value: 'EN' }],
+    group_by: ['type'],
+    aggregations: [{ func: 'mean', column: 'View Count' }, { func: 'count' }, { func: 'percentile', column: 'View Count', percentile: 50 }],
+  }, tweets);
+  expect(result.columns).toEqual(['Type', 'mean(View Count)', 'count', 'p50(View Count)']);
+  expect(result.filtered_rows).toBe(3);
+  expect(result.rows).toEqual([
+    { Type: 'Tweet', 'mean(View Count)': 200, count: 2, 'p50(View Count)': 200 },
+    { Type: 'Reply', 'mean(View Count)': 10, count: 1, 'p50(View Count)': 10 },
+  ]);
+
+  const missing = executeRegisteredTool('group_aggregate', { aggregations: [{ func: 'percentile', column: 'Views' }] }, tweets);
+  expect(missing.issues.map((i) => i.path)).toEqual(['aggregations[0].column', 'aggregations[0].percentile']);
+});
+
+test('compare_keyword_engagement splits rows by keyword and runs a Welch t-test', () => {
+  const rows = [1, 2, 3, 4, 5].map((v) => ({ Text: `love #AI ${v}`, Hashtags: '', engagement: v }))
+    .concat([6, 7, 8, 9, 10].map((v) => ({ Text: `plain tweet ${v}`, Hashtags: '', engagement: v })));
+  const result = executeRegisteredTool('compare_keyword_engagement', { keywords: ['#ai', 'tweet'] }, { csv: { rows } });
+  expect(result._chartType).toBe('engagement');
+  const [ai, tweet] = result.data;
+  expect(ai).toMatchObject({ name: '#ai', withKeyword: 3, withoutKeyword: 8, withCount: 5, withoutCount: 5, tStatistic: -5, significant: true });
+  expect(ai.pValue).toBeCloseTo(0.00105, 5);
+  expect(tweet).toMatchObject({ withKeyword: 8, withoutKeyword: 3 });
+});
+
+test('plot_csv builds histogram and time series payloads and checks per-type arguments', () => {
+  const rows = [5, 15, 25, 35].map((v, i) => ({ 'View Count': v, 'Created At': `2026-02-1${i} 10:00:00` }));
+  const hist = executeRegisteredTool('plot_csv', { chart_type: 'histogram', column: 'view count', bins: 3 }, { csv: { rows } });
+  expect(hist._chartType).toBe('histogram');
+  expect(hist.data.map((b) => b.count)).toEqual([1, 1, 2]);
+
+  const series = executeRegisteredTool('plot_csv', { chart_type: 'time_series', column: 'View Count' }, { csv: { rows } });
+  expect(series).toMatchObject({ _chartType: 'timeSeries', dateColumn: 'Created At', point_count: 4 });
+
+  const scatter = executeRegisteredTool('plot_csv', { chart_type: 'scatter', x: 'View Count' }, { csv: { rows } });
+  expect(scatter.issues).toEqual([{ path: 'y', message: 'is required for chart_type "scatter"' }]);
+});
+
+test('time_buckets counts rows and averages the metric per weekday and hour', () => {
+  // 2026-02-16 is a Monday; times without a timezone are local
+  const rows = [
+    { 'Created At': '2026-02-16 09:15:00', engagement: 0.1 },
+    { 'Created At': '2026-02-16 09:45:00', engagement: 0.3 },
+    { 'Created At': '2026-02-18 21:00:00', engagement: 0.5 },
+    { 'Created At': 'not a date', engagement: 0.9 },
+  ];
+  const byWeekday = executeRegisteredTool('time_buckets', { bucket: 'weekday' }, { csv: { rows } });
+  expect(byWeekday.data).toHaveLength(7);
+  expect(byWeekday.data[0]).toEqual({ bucket: 'Mon', count: 2, mean: 0.2 });
+  expect(byWeekday.data[2]).toEqual({ bucket: 'Wed', count: 1, mean: 0.5 });
+  expect(byWeekday.skipped_invalid_dates).toBe(1);
+
+  const heatmap = executeRegisteredTool('time_buckets', { bucket: 'hour_weekday' }, { csv: { rows } });
+  expect(heatmap.cells).toHaveLength(168);
+  expect(heatmap.cells.find((c) => c.weekday === 'Mon' && c.hour === 9)).toMatchObject({ count: 2, mean: 0.2 });
+});
+
+test('token_stats tokenizes hashtags, mentions, domains and media types', () => {
+  const rows = [
+    { Text: 'Big news #AI #ml @Alice https://t.co/x', Hashtags: '', URLs: 'https://www.example.com/a', 'Media Type': 'photo', engagement: 0.2 },
+    { Text: 'more #ai with @alice and @bob', Hashtags: 'ML', URLs: '', 'Media Type': '', engagement: 0.4 },
+    { Text: 'no tags, mail me a@b.com', Hashtags: '', URLs: 'example.com/b', 'Media Type': 'video', engagement: 0.9 },
+  ];
+  const csv = { csv: { rows } };
+
+  const tags = executeRegisteredTool('token_stats', { kind: 'hashtag' }, csv);
+  expect(tags.tokens).toEqual([
+    { token: '#ai', count: 2, share: 0.6667, mean: 0.3 },
+    { token: '#ml', count: 2, share: 0.6667, mean: 0.3 },
+  ]);
+  expect(tags.pairs).toEqual([{ pair: '#ai + #ml', count: 2 }]);
+
+  const mentions = executeRegisteredTool('token_stats', { kind: 'mention' }, csv);
+  expect(mentions.tokens.map((t) => [t.token, t.count])).toEqual([['@alice', 2], ['@bob', 1]]);
+
+  const domains = executeRegisteredTool('token_stats', { kind: 'domain' }, csv);
+  expect(domains.tokens.map((t) => [t.token, t.count])).toEqual([['example.com', 2]]);
+
+  const media = executeRegisteredTool('token_stats', { kind: 'media_type', sort_by: 'mean', min_count: 1 }, csv);
+  expect(media.tokens.map((t) => t.token)).toEqual(['video', 'none', 'photo']);
+});
+
+test('add_computed_column derives a column other tools can use in the same turn', () => {
+  const rows = [
+    { Text: 'hello world', 'Retweet Count': 2, 'Quote Count': 1, 'View Count': 100 },
+    { Text: 'hi', 'Retweet Count': 0, 'Quote Count': 0, 'View Count': 0 },
+  ];
+  const saved = [];
+  const context = { csv: { rows, computedColumns: [], onComputedColumnsChange: (next) => saved.push(next) } };
+
+  const added = executeRegisteredTool(
+    'add_computed_column',
+    { name: 'amplification', expression: '(Retweet Count + Quote Count) / [View Count]' },
+    context
+  );
+  expect(added).toMatchObject({ column: 'amplification', type: 'number', non_empty: 1, empty: 1 });
+  expect(context.csv.rows.map((r) => r.amplification)).toEqual([0.03, null]);
+  expect(saved).toEqual([[{ name: 'amplification', expression: '(Retweet Count + Quote Count) / [View Count]' }]]);
+  expect(executeRegisteredTool('compute_column_stats', { column: 'amplification' }, context).count).toBe(1);
+
+  // Stored unrounded so small per-view ratios keep their precision
+  executeRegisteredTool('add_computed_column', { name: 'per_view', expression: '[Retweet Count] / 19130' }, context);
+  expect(context.csv.rows.map((r) => r.per_view)).toEqual([2 / 19130, 0]);
+  executeRegisteredTool('remove_computed_column', { name: 'per_view' }, context);
+
+  executeRegisteredTool('add_computed_column', { name: 'words', expression: 'words(Text) * 10' }, context);
+  expect(context.csv.rows.map((r) => r.words)).toEqual([20, 10]);
+
+  const bad = executeRegisteredTool('add_computed_column', { name: 'x', expression: 'len(Nope)' }, context);
+  expect(bad.code).toBe('INVALID_ARGUMENTS');
+  expect(bad.error).toMatch(/Unknown column "Nope"/);
+
+  executeRegisteredTool('remove_computed_column', { name: 'amplification' }, context);
+  expect(context.csv.rows[0]).not.toHaveProperty('amplification');
+  expect(saved[saved.length - 1].map((c) => c.name)).toEqual(['words']);
+});
+
+test('correlate returns both correlation matrices and a regression on the target', () => {
+  const rows = [1, 2, 3, 4, 5, 6].map((n) => ({
+    'Tweet Id': String(1000 + n),
+    length: n * 10,
+    'View Count': n * 100 + (n % 2 ? 5 : -5),
+    Likes: n === 6 ? 1000 : n,
+    Text: `tweet ${n}`,
+  }));
+  const result = executeRegisteredTool('correlate', { target: 'View Count', predictors: ['length'] }, { csv: { rows } });
+  // ID-like columns are left out of the default column set
+  expect(result.columns).toEqual(['length', 'View Count', 'Likes']);
+  const [i, j] = [result.columns.indexOf('length'), result.columns.indexOf('Likes')];
+  expect(result.spearman[i][j]).toBe(1);
+  expect(result.pearson[i][j]).toBeLessThan(1);
+  expect(result.regression.coefficients.map((c) => c.term)).toEqual(['(intercept)', 'length']);
+  expect(result.regression.coefficients[1].estimate).toBeCloseTo(10, 0);
+  expect(result.regression.r2).toBeGreaterThan(0.99);
+  expect(result.scatter).toMatchObject({ x: 'length', y: 'View Count', point_count: 6 });
+
+  // A column displaced by the target is reported as omitted
+  const wide = rows.map((r) => ({ ...r, ...Object.fromEntries(Array.from({ length: 12 }, (_, k) => [`m${k}`, r.length * (k + 1) + (r.Likes % (k + 2))])) }));
+  const capped = executeRegisteredTool('correlate', { columns: ['length', ...Array.from({ length: 11 }, (_, k) => `m${k}`)], target: 'View Count' }, { csv: { rows: wide } });
+  expect(capped.columns).toHaveLength(12);
+  expect(capped.columns[11]).toBe('View Count');
+  expect(capped.omitted_columns).toEqual(['m10']);
+
+  const bad = executeRegisteredTool('correlate', { columns: ['Text', 'Likes'] }, { csv: { rows } });
+  expect(bad.code).toBe('INVALID_ARGUMENTS');
+  expect(bad.error).toMatch(/not a numeric column/);
+});
+
+test('find_outliers flags unusual rows and videos and marks them on the time axis', () => {
+  const rows = [10, 12, 11, 13, 12, 11, 400, 12].map((views, i) => ({
+    'Created At': `2026-03-0${i + 1} 10:00:00`,
+    Text: `tweet ${i + 1}`,
+    'View Count': views,
+  }));
+  const csv = executeRegisteredTool('find_outliers', { column: 'View Count' }, { csv: { rows } });
+  expect(csv.outlier_count).toBe(1);
+  expect(csv.outliers[0]).toMatchObject({ row: 7, value: 400, direction: 'high', text: 'tweet 7' });
+  expect(csv.data.filter((d) => d.outlier).map((d) => d.value)).toEqual([400]);
+  expect(executeRegisteredTool('find_outliers', { column: 'View Count', direction: 'low' }, { csv: { rows } }).outlier_count).toBe(0);
+
+  const videos = [100, 120, 110, 5, 115, 105].map((viewCount, i) => ({
+    title: `Video ${i + 1}`,
+    videoId: `id${i + 1}`,
+    viewCount,
+    release_date: `2025-0${i + 1}-01`,
+  }));
+  const yt = executeRegisteredTool('find_outliers_json', { field: 'viewCount', method: 'mad' }, { youtube: { videos } });
+  expect(yt.outliers).toEqual([
+    expect.objectContaining({ title: 'Video 4', value: 5, direction: 'low', video_url: 'https://www.youtube.com/watch?v=id4' }),
+  ]);
+  expect(yt.data).toHaveLength(6);
+});
+
+test('label_text adds cached sentiment and topic columns', async () => {
+  const rows = [
+    { Text: 'Love this launch!', engagement: 0.4 },
+    { Text: 'Love this launch!', engagement: 0.2 },
+    { Text: 'Terrible outage today', engagement: 0.1 },
+    { Text: '', engagement: 0 },
+  ];
+  const calls = [];
+  const labelTexts = async (texts, topics) => {
+    calls.push({ texts, topics });
+    return {
+      topics: ['product', 'other'],
+      labels: texts.map((t) => (t.startsWith('Love') ? { sentiment: 'positive', topic: 'product' } : { sentiment: 'negative', topic: 'other' })),
+    };
+  };
+  let saved = null;
+  const context = { csv: { rows, labelTexts, onTextLabelsChange: (next) => { saved = next; } } };
+
+  const result = await executeRegisteredTool('label_text', {}, context);
+  expect(calls).toEqual([{ texts: ['Love this launch!', 'Terrible outage today'], topics: [] }]);
+  expect(context.csv.rows.map((r) => [r.sentiment, r.topic])).toEqual([
+    ['positive', 'product'], ['positive', 'product'], ['negative', 'other'], ['', ''],
+  ]);
+  expect(result.rows).toContainEqual({ column: 'sentiment', label: 'positive', rows: 2, share: 0.5, 'mean engagement': 0.3 });
+  expect(result).toMatchObject({ filtered_rows: 3, newly_labelled: 2, cached: 0 });
+  expect(saved.labels['Terrible outage today']).toEqual(['negative', 'other']);
+
+  // Cached: a second call classifies nothing
+  const again = await executeRegisteredTool('label_text', {}, context);
+  expect(calls).toHaveLength(1);
+  expect(again).toMatchObject({ newly_labelled: 0, cached: 2 });
+
+  // Once the send is stopped nothing more is classified or applied
+  const stopped = new AbortController();
+  stopped.abort();
+  const labelsBefore = context.csv.textLabels;
+  context.csv.signal = stopped.signal;
+  await expect(executeRegisteredTool('label_text', { relabel: true }, context)).rejects.toThrow();
+  expect(calls).toHaveLength(1);
+  expect(context.csv.textLabels).toBe(labelsBefore);
+  delete context.csv.signal;
+
+  // A computed column added while labelling is in flight survives it
+  const relabel = executeRegisteredTool('label_text', { relabel: true }, context);
+  executeRegisteredTool('add_computed_column', { name: 'double', expression: 'engagement * 2' }, context);
+  await relabel;
+  expect(context.csv.rows.map((r) => [r.sentiment, r.double])).toEqual([
+    ['positive', 0.8], ['positive', 0.4], ['negative', 0.2], ['', 0],
+  ]);
+});
+
+test('compute_stats_json and plot_metric_vs_time filter videos by content_type', () => {
+  const videos = [
+    { title: 'Long 1', viewCount: 1000, release_date: '2025-01-01', contentType: 'video' },
+    { title: 'Long 2', viewCount: 3000, release_date: '2025-02-01' },
+    { title: 'Short 1', viewCount: 50, release_date: '2025-03-01', contentType: 'short' },
+    { title: 'Short 2', viewCount: 70, release_date: '2025-04-01', contentType: 'short' },
+  ];
+  const youtube = { youtube: { videos } };
+  expect(executeRegisteredTool('compute_stats_json', { field: 'viewCount' }, youtube).count).toBe(4);
+  expect(executeRegisteredTool('compute_stats_json', { field: 'viewCount', content_type: 'short' }, youtube)).toMatchObject({
+    count: 2,
+    mean: 60,
+    content_type: 'short',
+  });
+  // No contentType means a regular video
+  expect(executeRegisteredTool('compute_stats_json', { field: 'viewCount', content_type: 'video' }, youtube).max).toBe(3000);
+  const plot = executeRegisteredTool('plot_metric_vs_time', { metric: 'viewCount', content_type: 'video' }, youtube);
+  expect(plot.data.map((d) => d.title)).toEqual(['Long 1', 'Long 2']);
+  expect(executeRegisteredTool('compute_stats_json', { field: 'viewCount', content_type: 'live' }, youtube).error).toMatch(
+    /No videos with contentType "live".*video, short/
+  );
+  expect(executeRegisteredTool('compute_stats_json', { field: 'viewCount', content_type: 'reel' }, youtube).code).toBe('INVALID_ARGUMENTS');
+});
@@ -0,0 +1,102 @@
+/**
+ * Runtime check of tool-call arguments against a Gemini function declaration's
+ * `parameters` schema (OBJECT / STRING / NUMBER / INTEGER / BOOLEAN / ARRAY,
+ * plus required, enum, minimum, maximum, minItems / maxItems).
+ *
+ * Models often send "5" for a NUMBER or 3 for a STRING, so lossless scalar
+ * coercions are applied instead of rejected: numeric strings → numbers,
+ * numbers → strings, "true"/"false" → booleans. Anything else is an issue.
+ *
+ * validateToolArgs(schema, args) → { args: coercedArgs, issues: [{ path, message }] }
+ */
+
+const typeOf = (schema) => String(schema?.type || '').toUpperCase();
+
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+function coerceScalar(type, value) {
+  if (type === 'STRING') {
+    if (typeof value === 'string') return { ok: true, value };
+    if (typeof value === 'number' && Number.isFinite(value)) return { ok: true, value: String(value) };
+    return { ok: false };
+  }
+  if (type === 'NUMBER' || type === 'INTEGER') {
+    let n = value;
+    if (typeof value === 'string' && value.trim() !== '') n = Number(value.trim());
+    if (typeof n !== 'number' || !Number.isFinite(n)) return { ok: false };
+    if (type === 'INTEGER' && !Number.isInteger(n)) return { ok: false };
+    return { ok: true, value: n };
+  }
+  if (type === 'BOOLEAN') {
+    if (typeof value === 'boolean') return { ok: true, value };
+    if (value === 'true' || value === 'false') return { ok: true, value: value === 'true' };
+    return { ok: false };
+  }
+  return { ok: true, value };
+}
+
+function checkValue(schema, value, path, issues) {
+  const type = typeOf(schema);
+  const at = path || 'args';
+
+  if (type === 'OBJECT') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      issues.push({ path: at, message: `expected an object, got ${describe(value)}` });
+      return value;
+    }
+    const props = schema.properties || {};
+    const out = { ...value };
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null || value[key] === '') {
+        issues.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    }
+    for (const [key, propSchema] of Object.entries(props)) {
+      if (value[key] === undefined || value[key] === null) continue;
+      out[key] = checkValue(propSchema, value[key], path ? `${path}.${key}` : key, issues);
+    }
+    return out;
+  }
+
+  if (type === 'ARRAY') {
+    if (!Array.isArray(value)) {
+      issues.push({ path: at, message: `expected an array, got ${describe(value)}` });
+      return value;
+    }
+    if (schema.minItems != null && value.length < Number(schema.minItems)) {
+      issues.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems != null && value.length > Number(schema.maxItems)) {
+      issues.push({ path: at, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    return schema.items
+      ? value.map((item, i) => checkValue(schema.items, item, `${at}[${i}]`, issues))
+      : value;
+  }
+
+  const coerced = coerceScalar(type, value);
+  if (!coerced.ok) {
+    issues.push({ path: at, message: `expected ${type.toLowerCase()}, got ${describe(value)} ${JSON.stringify(value)}` });
+    return value;
+  }
+  const v = coerced.value;
+  if (Array.isArray(schema.enum) && schema.enum.length && !schema.enum.includes(v)) {
+    issues.push({ path: at, message: `must be one of ${schema.enum.map((e) => JSON.stringify(e)).join(', ')}` });
+  }
+  if (typeof v === 'number') {
+    if (schema.minimum != null && v < Number(schema.minimum)) issues.push({ path: at, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum != null && v > Number(schema.maximum)) issues.push({ path: at, message: `must be <= ${schema.maximum}` });
+  }
+  return v;
+}
+
+export function validateToolArgs(schema, args) {
+  const issues = [];
+  if (!schema) return { args: args || {}, issues };
+  const coerced = checkValue(schema, args ?? {}, '', issues);
+  return { args: coerced, issues };
+}
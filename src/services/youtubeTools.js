@@ -1,13 +1,12 @@
 /**
  * Chat tools for YouTube channel JSON data.
  * Required names: generateImage, plot_metric_vs_time, play_video, compute_stats_json
+ * (plus find_outliers_json)
  */
-const ALLOWED_YOUTUBE_TOOLS = new Set([
-  'generateImage',
-  'plot_metric_vs_time',
-  'play_video',
-  'compute_stats_json',
-]);
+import { lazy } from 'react';
+import { registerTool, executeRegisteredTool } from './toolRegistry';
+import { parseDateToMs } from './dateNormalization';
+import { detectOutliers, OUTLIER_METHODS, DEFAULT_OUTLIER_THRESHOLDS } from './statistics';
 
 // Fallback real Veritasium video IDs when loaded data has placeholder IDs (sample1, -example, etc.)
 const REAL_VERITASIUM_IDS = [
@@ -27,6 +26,23 @@ function isPlaceholderUrl(url) {
   return u.includes('sample') || u.includes('-example') || u.includes('proxy');
 }
 
+// contentType values the channel scraper assigns, one per channel tab; older
+// channel JSON without the field only has regular videos
+export const CONTENT_TYPES = ['video', 'short', 'live', 'podcast'];
+
+// Plural names for chart and card titles, e.g. "viewCount vs time (live streams)"
+export const CONTENT_TYPE_LABELS = { video: 'videos', short: 'Shorts', live: 'live streams', podcast: 'podcast episodes' };
+
+/** " (live streams)" for a content_type filter, or '' when there is none. */
+export const contentTypeSuffix = (contentType) =>
+  contentType ? ` (${CONTENT_TYPE_LABELS[contentType] || contentType})` : '';
+
+const contentTypeParam = {
+  type: 'STRING',
+  enum: CONTENT_TYPES,
+  description: 'Only use videos of this contentType (video, short, live or podcast). Omit to use all videos.',
+};
+
 export const YOUTUBE_TOOL_DECLARATIONS = [
   {
     name: 'generateImage',
@@ -61,6 +77,7 @@ export const YOUTUBE_TOOL_DECLARATIONS = [
           type: 'STRING',
           description: 'Exact field name from the channel JSON, e.g. viewCount, likeCount, commentCount, durationSeconds.',
         },
+        content_type: contentTypeParam,
       },
       required: ['metric'],
     },
@@ -76,6 +93,7 @@ export const YOUTUBE_TOOL_DECLARATIONS = [
       properties: {
         selectorType: {
           type: 'STRING',
+          enum: ['title', 'ordinal', 'most_viewed'],
           description: 'How to select a video: "title", "ordinal", or "most_viewed".',
         },
         selectorValue: {
@@ -98,12 +116,51 @@ export const YOUTUBE_TOOL_DECLARATIONS = [
           type: 'STRING',
           description: 'Exact field name from the channel JSON, e.g. viewCount, likeCount, commentCount, durationSeconds.',
         },
+        content_type: contentTypeParam,
+      },
+      required: ['field'],
+    },
+  },
+  {
+    name: 'find_outliers_json',
+    description:
+      'Flag videos with unusual values of a numeric field (viewCount, likeCount, commentCount, durationSeconds, ...) using ' +
+      '"iqr" (beyond 1.5 × IQR from the quartiles, the default), "zscore" (|z| > 3) or "mad" (modified z-score > 3.5). ' +
+      'Returns the flagged videos with title, date and link, most extreme first, and plots the field over time with them highlighted. ' +
+      'Use when the user asks which videos over- or under-performed, or for anomalies.',
+    parameters: {
+      type: 'OBJECT',
+      properties: {
+        field: {
+          type: 'STRING',
+          description: 'Exact field name from the channel JSON, e.g. viewCount.',
+        },
+        method: { type: 'STRING', enum: OUTLIER_METHODS, description: 'Detection rule (default "iqr").' },
+        threshold: {
+          type: 'NUMBER',
+          minimum: 0.5,
+          maximum: 10,
+          description: 'Cut-off: IQR multiplier, |z| or modified |z| (defaults 1.5, 3 and 3.5).',
+        },
+        direction: { type: 'STRING', enum: ['both', 'high', 'low'], description: 'Which tail to flag (default both).' },
+        limit: { type: 'INTEGER', minimum: 1, maximum: 100, description: 'Flagged videos to return (default 20).' },
       },
       required: ['field'],
     },
   },
 ];
 
+/** Videos of one contentType (all videos when type is empty). */
+function filterByContentType(videos, type) {
+  if (!type) return videos;
+  return videos.filter((v) => (v?.contentType || v?.content_type || 'video') === type);
+}
+
+const noContentTypeMatch = (videos, type) => {
+  const loaded = [...new Set(videos.map((v) => v?.contentType || v?.content_type || 'video'))];
+  return { error: `No videos with contentType "${type}" are loaded (loaded: ${loaded.join(', ') || 'none'}).` };
+};
+
 function numericValues(videos, field) {
   const key = resolveNumericField(videos, field);
   return videos
@@ -138,37 +195,6 @@ function getRawDate(video) {
   );
 }
 
-function normalizeDateToMs(raw, now = new Date()) {
-  if (!raw || typeof raw !== 'string') return null;
-
-  const s = raw
-    .trim()
-    .toLowerCase()
-    .replace(/^streamed\s+/, '')
-    .replace(/^premiered\s+/, '')
-    .replace(/^uploaded\s+/, '');
-
-  const parsed = Date.parse(s);
-  if (Number.isFinite(parsed)) return parsed;
-
-  const m = s.match(/^(\d+)\s*(minute|hour|day|week|month|year)s?\s*ago$/);
-  if (!m) return null;
-
-  const n = parseInt(m[1], 10);
-  const unit = m[2];
-  const d = new Date(now);
-
-  if (unit === 'minute') d.setMinutes(d.getMinutes() - n);
-  else if (unit === 'hour') d.setHours(d.getHours() - n);
-  else if (unit === 'day') d.setDate(d.getDate() - n);
-  else if (unit === 'week') d.setDate(d.getDate() - n * 7);
-  else if (unit === 'month') d.setMonth(d.getMonth() - n);
-  else if (unit === 'year') d.setFullYear(d.getFullYear() - n);
-
-  const ms = d.getTime();
-  return Number.isFinite(ms) ? ms : null;
-}
-
 function toNumber(x) {
   if (x === null || x === undefined) return null;
   if (typeof x === 'number' && Number.isFinite(x)) return x;
@@ -195,226 +221,364 @@ function getMetricValue(video, metric) {
   return null;
 }
 
+function videoUrlOf(video) {
+  return video?.video_url || video?.videoUrl || (video?.videoId ? `https://www.youtube.com/watch?v=${video.videoId}` : '');
+}
+
 function median(sorted) {
   if (!sorted.length) return null;
   const mid = Math.floor(sorted.length / 2);
   return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
 }
 
-/**
- * Execute a YouTube tool. context: { videos, anchorImageBase64, anchorMimeType, generateImageFn }
- * generateImageFn(prompt, anchorBase64, mimeType) returns Promise<{ imageBase64, mimeType }>
- */
-export async function executeYouTubeTool(toolName, args, context) {
-  if (!ALLOWED_YOUTUBE_TOOLS.has(toolName)) {
-    console.warn(`[YouTube Tool] Unknown tool blocked: ${toolName}`);
-    return { error: `Unknown tool: ${toolName}` };
-  }
-
-  const { videos = [], generateImageFn } = context;
-
-  switch (toolName) {
-    case 'generateImage': {
-      console.warn('[YouTube Tool] generateImage is blocked in tool pipeline; UI direct route required.');
-      if (!generateImageFn) return { error: 'Image generation not available' };
-      const prompt = args.prompt || '';
-      const useAnchor = args.useAnchorImage !== false && context.anchorImageBase64;
-      const anchor = useAnchor ? context.anchorImageBase64 : null;
-      const mime = context.anchorMimeType || 'image/png';
-      try {
-        const result = await generateImageFn(prompt, anchor, mime);
-        return { _chartType: 'generatedImage', imageBase64: result.imageBase64, mimeType: result.mimeType || 'image/png' };
-      } catch (e) {
-        return { error: e.message || 'Image generation failed' };
-      }
+// ── Executors ─────────────────────────────────────────────────────────────────
+// Registered with the shared tool registry (family 'youtube').
+// context: { videos, anchorImageBase64, anchorMimeType, generateImageFn }
+// generateImageFn(prompt, anchorBase64, mimeType) returns Promise<{ imageBase64, mimeType }>
+
+const YOUTUBE_EXECUTORS = {
+  generateImage: async (args, context) => {
+    const { generateImageFn } = context;
+    console.warn('[YouTube Tool] generateImage is blocked in tool pipeline; UI direct route required.');
+    if (!generateImageFn) return { error: 'Image generation not available' };
+    const prompt = args.prompt || '';
+    const useAnchor = args.useAnchorImage !== false && context.anchorImageBase64;
+    const anchor = useAnchor ? context.anchorImageBase64 : null;
+    const mime = context.anchorMimeType || 'image/png';
+    try {
+      const result = await generateImageFn(prompt, anchor, mime);
+      return { _chartType: 'generatedImage', imageBase64: result.imageBase64, mimeType: result.mimeType || 'image/png' };
+    } catch (e) {
+      return { error: e.message || 'Image generation failed' };
     }
+  },
 
-    case 'plot_metric_vs_time': {
-      try {
-        const requestedMetric = String(args.metric || args.metricField || 'viewCount');
-        const field = resolveNumericField(videos, requestedMetric);
-        const now = new Date();
-        const points = [];
-        let skippedInvalidDate = 0;
-        let skippedInvalidMetric = 0;
-        let normalizedMsCount = 0;
-        let publishedPresent = 0;
-        let releaseDatePresent = 0;
-        let relativePublishedPresent = 0;
-        const rawDateSourceCounts = {
-          release_date: 0,
-          publishedAt: 0,
-          publishDate: 0,
-          uploadDate: 0,
-          relative_published: 0,
-          unknown: 0,
-        };
-        const invalidDates = [];
-
-        for (const v of videos) {
-          const publishedRaw = v?.publishedAt ?? v?.publishDate ?? v?.uploadDate ?? v?.published_at ?? null;
-          const releaseRaw = v?.release_date ?? v?.releaseDate ?? null;
-          const relativePublishedRaw = v?.relative_published ?? null;
-          if (publishedRaw) publishedPresent++;
-          if (releaseRaw) releaseDatePresent++;
-          if (relativePublishedRaw) relativePublishedPresent++;
-
-          let rawDate = null;
-          let rawDateSource = 'unknown';
-          if (v?.release_date != null) {
-            rawDate = v.release_date;
-            rawDateSource = 'release_date';
-          } else if (v?.publishedAt != null) {
-            rawDate = v.publishedAt;
-            rawDateSource = 'publishedAt';
-          } else if (v?.publishDate != null) {
-            rawDate = v.publishDate;
-            rawDateSource = 'publishDate';
-          } else if (v?.uploadDate != null) {
-            rawDate = v.uploadDate;
-            rawDateSource = 'uploadDate';
-          } else if (v?.relative_published != null) {
-            rawDate = v.relative_published;
-            rawDateSource = 'relative_published';
-          } else {
-            rawDate = getRawDate(v);
-          }
-          rawDateSourceCounts[rawDateSource] = (rawDateSourceCounts[rawDateSource] || 0) + 1;
-
-          let ms = Number.isFinite(v?.release_date_ms) ? v.release_date_ms : null;
-          if (!Number.isFinite(ms)) {
-            ms = normalizeDateToMs(rawDate, now);
-          }
-          if (!Number.isFinite(ms) && Number.isFinite(v?.release_date_ms)) {
-            ms = v.release_date_ms;
-          }
-          if (!Number.isFinite(ms) && v?.release_date_iso) {
-            const p = Date.parse(v.release_date_iso);
-            ms = Number.isFinite(p) ? p : null;
-          }
+  plot_metric_vs_time: (args, context) => {
+    const videos = filterByContentType(context.videos || [], args.content_type);
+    if (!videos.length && args.content_type) return noContentTypeMatch(context.videos || [], args.content_type);
+    try {
+      const requestedMetric = String(args.metric || args.metricField || 'viewCount');
+      const field = resolveNumericField(videos, requestedMetric);
+      const now = new Date();
+      const points = [];
+      let skippedInvalidDate = 0;
+      let skippedInvalidMetric = 0;
+      let normalizedMsCount = 0;
+      let publishedPresent = 0;
+      let releaseDatePresent = 0;
+      let relativePublishedPresent = 0;
+      const rawDateSourceCounts = {
+        release_date: 0,
+        publishedAt: 0,
+        publishDate: 0,
+        uploadDate: 0,
+        relative_published: 0,
+        unknown: 0,
+      };
+      const invalidDates = [];
+
+      for (const v of videos) {
+        const publishedRaw = v?.publishedAt ?? v?.publishDate ?? v?.uploadDate ?? v?.published_at ?? null;
+        const releaseRaw = v?.release_date ?? v?.releaseDate ?? null;
+        const relativePublishedRaw = v?.relative_published ?? null;
+        if (publishedRaw) publishedPresent++;
+        if (releaseRaw) releaseDatePresent++;
+        if (relativePublishedRaw) relativePublishedPresent++;
+
+        let rawDate = null;
+        let rawDateSource = 'unknown';
+        if (v?.release_date != null) {
+          rawDate = v.release_date;
+          rawDateSource = 'release_date';
+        } else if (v?.publishedAt != null) {
+          rawDate = v.publishedAt;
+          rawDateSource = 'publishedAt';
+        } else if (v?.publishDate != null) {
+          rawDate = v.publishDate;
+          rawDateSource = 'publishDate';
+        } else if (v?.uploadDate != null) {
+          rawDate = v.uploadDate;
+          rawDateSource = 'uploadDate';
+        } else if (v?.relative_published != null) {
+          rawDate = v.relative_published;
+          rawDateSource = 'relative_published';
+        } else {
+          rawDate = getRawDate(v);
+        }
+        rawDateSourceCounts[rawDateSource] = (rawDateSourceCounts[rawDateSource] || 0) + 1;
 
-          if (!Number.isFinite(ms)) {
-            skippedInvalidDate++;
-            if (invalidDates.length < 3) {
-              invalidDates.push({
-                title: v?.title || 'Untitled',
-                rawDate,
-              });
-            }
-            continue;
-          }
+        let ms = Number.isFinite(v?.release_date_ms) ? v.release_date_ms : null;
+        if (!Number.isFinite(ms)) {
+          ms = parseDateToMs(rawDate, now);
+        }
+        if (!Number.isFinite(ms) && Number.isFinite(v?.release_date_ms)) {
+          ms = v.release_date_ms;
+        }
+        if (!Number.isFinite(ms) && v?.release_date_iso) {
+          const p = Date.parse(v.release_date_iso);
+          ms = Number.isFinite(p) ? p : null;
+        }
 
-          normalizedMsCount++;
-          v.release_date_ms = ms;
-          v.release_date_iso = new Date(ms).toISOString();
-          v.release_date_raw = rawDate ?? null;
-          const value = getMetricValue(v, field);
-          if (value === null) {
-            skippedInvalidMetric++;
-            continue;
+        if (!Number.isFinite(ms)) {
+          skippedInvalidDate++;
+          if (invalidDates.length < 3) {
+            invalidDates.push({
+              title: v?.title || 'Untitled',
+              rawDate,
+            });
           }
-
-          points.push({
-            x: ms,
-            date: new Date(ms).toISOString().slice(0, 10),
-            value,
-            title: v?.title || 'Untitled',
-            video_url: v?.video_url || v?.videoUrl || '',
-          });
+          continue;
         }
 
-        points.sort((a, b) => a.x - b.x);
-        if (skippedInvalidDate > 0) {
-          console.warn(`[plot_metric_vs_time] Skipped ${skippedInvalidDate} videos due to invalid date values.`);
+        normalizedMsCount++;
+        v.release_date_ms = ms;
+        v.release_date_iso = new Date(ms).toISOString();
+        v.release_date_raw = rawDate ?? null;
+        const value = getMetricValue(v, field);
+        if (value === null) {
+          skippedInvalidMetric++;
+          continue;
         }
 
-        if (points.length < 2) {
-          return {
-            error: `Not enough valid dates to plot. total=${videos.length}, publishedAt_present=${publishedPresent}, release_date_present=${releaseDatePresent}, relative_published_present=${relativePublishedPresent}, normalized_ms=${normalizedMsCount}, skipped_invalid_date=${skippedInvalidDate}, skipped_invalid_metric=${skippedInvalidMetric}, raw_date_source=${JSON.stringify(rawDateSourceCounts)}, invalid_date_examples=${JSON.stringify(invalidDates)}, date_keys_tried=release_date,publishedAt,publishDate,uploadDate,relative_published`,
-          };
-        }
+        points.push({
+          x: ms,
+          date: new Date(ms).toISOString().slice(0, 10),
+          value,
+          title: v?.title || 'Untitled',
+          video_url: v?.video_url || v?.videoUrl || '',
+        });
+      }
 
-        return { _chartType: 'metricVsTime', data: points, metricField: field };
-      } catch (e) {
-        return { error: `Unable to plot metric over time: ${e?.message || 'Unknown error'}` };
+      points.sort((a, b) => a.x - b.x);
+      if (skippedInvalidDate > 0) {
+        console.warn(`[plot_metric_vs_time] Skipped ${skippedInvalidDate} videos due to invalid date values.`);
       }
-    }
 
-    case 'play_video': {
-      const selectorType = (args.selectorType || '').toLowerCase().trim();
-      const selectorValueRaw = args.selectorValue ?? args.which ?? '';
-      const selectorValue = String(selectorValueRaw).toLowerCase().trim();
-      const which =
-        selectorType === 'most_viewed'
-          ? 'most viewed'
-          : selectorType === 'ordinal'
-            ? selectorValue
-            : selectorType === 'title'
-              ? selectorValue
-              : selectorValue;
-      let list = [...videos];
-      if (which === 'first' || which === '1st' || which === '1') {
-        list = list.slice(0, 1);
-      } else if (which === 'last') {
-        list = list.slice(-1);
-      } else if (which === 'most viewed') {
-        list.sort((a, b) => (b.viewCount || 0) - (a.viewCount || 0));
-        list = list.slice(0, 1);
-      } else if (which === 'least viewed') {
-        list.sort((a, b) => (a.viewCount || 0) - (b.viewCount || 0));
-        list = list.slice(0, 1);
-      } else if (/^\d+(st|nd|rd|th)?$/.test(which)) {
-        const n = parseInt(which, 10);
-        if (n >= 1 && n <= list.length) list = [list[n - 1]];
-        else list = [];
-      } else {
-        const match = list.find((v) => (v.title || '').toLowerCase().includes(which));
-        if (match) list = [match];
-        else list = [];
+      if (points.length < 2) {
+        return {
+          error: `Not enough valid dates to plot. total=${videos.length}, publishedAt_present=${publishedPresent}, release_date_present=${releaseDatePresent}, relative_published_present=${relativePublishedPresent}, normalized_ms=${normalizedMsCount}, skipped_invalid_date=${skippedInvalidDate}, skipped_invalid_metric=${skippedInvalidMetric}, raw_date_source=${JSON.stringify(rawDateSourceCounts)}, invalid_date_examples=${JSON.stringify(invalidDates)}, date_keys_tried=release_date,publishedAt,publishDate,uploadDate,relative_published`,
+        };
       }
-      if (!list.length) return { error: `No video found for "${args.which}"` };
-      const v = list[0];
-      const originalIndex = videos.indexOf(v);
-      const isPlaceholder = isPlaceholderId(v.videoId) || isPlaceholderUrl(v.videoUrl || '');
-      const realId = isPlaceholder && originalIndex >= 0 && originalIndex < REAL_VERITASIUM_IDS.length
-        ? REAL_VERITASIUM_IDS[originalIndex]
-        : (v.videoId && !isPlaceholderId(v.videoId) ? v.videoId : null);
-      const videoId = realId || v.videoId;
-      const videoUrl = realId
-        ? `https://www.youtube.com/watch?v=${realId}`
-        : (v.videoUrl && !isPlaceholderUrl(v.videoUrl) ? v.videoUrl : (v.videoId ? `https://www.youtube.com/watch?v=${v.videoId}` : ''));
-      const thumbnail = videoId ? `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` : (v.thumbnail || null);
+
       return {
-        _chartType: 'playVideo',
-        title: v.title || 'Video',
-        thumbnail,
-        videoUrl: videoUrl || (videoId ? `https://www.youtube.com/watch?v=${videoId}` : ''),
-        viewCount: v.viewCount ?? 0,
-        publishedAt: v.releaseDate || v.publishedAt || null,
+        _chartType: 'metricVsTime',
+        data: points,
+        metricField: field,
+        ...(args.content_type && { content_type: args.content_type }),
       };
+    } catch (e) {
+      return { error: `Unable to plot metric over time: ${e?.message || 'Unknown error'}` };
     }
+  },
 
-    case 'compute_stats_json': {
-      const field = resolveNumericField(videos, args.field);
-      const vals = numericValues(videos, field);
-      if (!vals.length) return { error: `No numeric values for field "${field}". Available: ${Object.keys(videos[0] || {}).join(', ')}` };
-      const sorted = [...vals].sort((a, b) => a - b);
-      const sum = vals.reduce((a, b) => a + b, 0);
-      const mean = sum / vals.length;
-      const variance = vals.reduce((a, b) => a + (b - mean) ** 2, 0) / vals.length;
+  play_video: (args, context) => {
+    const { videos = [] } = context;
+    const selectorType = (args.selectorType || '').toLowerCase().trim();
+    const selectorValueRaw = args.selectorValue ?? args.which ?? '';
+    const selectorValue = String(selectorValueRaw).toLowerCase().trim();
+    const which =
+      selectorType === 'most_viewed'
+        ? 'most viewed'
+        : selectorType === 'ordinal'
+          ? selectorValue
+          : selectorType === 'title'
+            ? selectorValue
+            : selectorValue;
+    let list = [...videos];
+    if (which === 'first' || which === '1st' || which === '1') {
+      list = list.slice(0, 1);
+    } else if (which === 'last') {
+      list = list.slice(-1);
+    } else if (which === 'most viewed') {
+      list.sort((a, b) => (b.viewCount || 0) - (a.viewCount || 0));
+      list = list.slice(0, 1);
+    } else if (which === 'least viewed') {
+      list.sort((a, b) => (a.viewCount || 0) - (b.viewCount || 0));
+      list = list.slice(0, 1);
+    } else if (/^\d+(st|nd|rd|th)?$/.test(which)) {
+      const n = parseInt(which, 10);
+      if (n >= 1 && n <= list.length) list = [list[n - 1]];
+      else list = [];
+    } else {
+      const match = list.find((v) => (v.title || '').toLowerCase().includes(which));
+      if (match) list = [match];
+      else list = [];
+    }
+    if (!list.length) return { error: `No video found for "${selectorValueRaw}"` };
+    const v = list[0];
+    const originalIndex = videos.indexOf(v);
+    const isPlaceholder = isPlaceholderId(v.videoId) || isPlaceholderUrl(v.videoUrl || '');
+    const realId = isPlaceholder && originalIndex >= 0 && originalIndex < REAL_VERITASIUM_IDS.length
+      ? REAL_VERITASIUM_IDS[originalIndex]
+      : (v.videoId && !isPlaceholderId(v.videoId) ? v.videoId : null);
+    const videoId = realId || v.videoId;
+    const videoUrl = realId
+      ? `https://www.youtube.com/watch?v=${realId}`
+      : (v.videoUrl && !isPlaceholderUrl(v.videoUrl) ? v.videoUrl : (v.videoId ? `https://www.youtube.com/watch?v=${v.videoId}` : ''));
+    const thumbnail = videoId ? `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg` : (v.thumbnail || null);
+    return {
+      _chartType: 'playVideo',
+      title: v.title || 'Video',
+      thumbnail,
+      videoUrl: videoUrl || (videoId ? `https://www.youtube.com/watch?v=${videoId}` : ''),
+      viewCount: v.viewCount ?? 0,
+      publishedAt: v.releaseDate || v.publishedAt || null,
+    };
+  },
+
+  compute_stats_json: (args, context) => {
+    const videos = filterByContentType(context.videos || [], args.content_type);
+    if (!videos.length && args.content_type) return noContentTypeMatch(context.videos || [], args.content_type);
+    const field = resolveNumericField(videos, args.field);
+    const vals = numericValues(videos, field);
+    if (!vals.length) return { error: `No numeric values for field "${field}". Available: ${Object.keys(videos[0] || {}).join(', ')}` };
+    const sorted = [...vals].sort((a, b) => a - b);
+    const sum = vals.reduce((a, b) => a + b, 0);
+    const mean = sum / vals.length;
+    const variance = vals.reduce((a, b) => a + (b - mean) ** 2, 0) / vals.length;
+    return {
+      _chartType: 'statsJson',
+      field,
+      ...(args.content_type && { content_type: args.content_type }),
+      count: vals.length,
+      mean: Math.round(mean * 100) / 100,
+      median: median(sorted),
+      std: Math.round(Math.sqrt(variance) * 100) / 100,
+      min: Math.min(...vals),
+      max: Math.max(...vals),
+    };
+  },
+
+  find_outliers_json: (args, context) => {
+    const { videos = [] } = context;
+    const field = resolveNumericField(videos, args.field);
+    const method = args.method || 'iqr';
+    const direction = args.direction || 'both';
+    const now = new Date();
+    const points = [];
+    videos.forEach((v) => {
+      const value = getMetricValue(v, field);
+      if (value === null) return;
+      const ms = Number.isFinite(v?.release_date_ms) ? v.release_date_ms : parseDateToMs(getRawDate(v), now);
+      points.push({ video: v, value, ms });
+    });
+    if (points.length < 3) return { error: `Need at least 3 videos with a numeric "${field}" to look for outliers.` };
+
+    const { lower, upper, center, flagged } = detectOutliers(points.map((p) => p.value), { method, threshold: args.threshold, direction });
+    const round = (n) => (Number.isFinite(n) ? Math.round(n * 100) / 100 : null);
+    const limit = args.limit || 20;
+    const outliers = flagged.slice(0, limit).map((f) => {
+      const { video, value, ms } = points[f.index];
       return {
-        _chartType: 'statsJson',
-        field,
-        count: vals.length,
-        mean: Math.round(mean * 100) / 100,
-        median: median(sorted),
-        std: Math.round(Math.sqrt(variance) * 100) / 100,
-        min: Math.min(...vals),
-        max: Math.max(...vals),
+        title: video?.title || 'Untitled',
+        value,
+        score: round(f.score),
+        direction: f.direction,
+        date: Number.isFinite(ms) ? new Date(ms).toISOString().slice(0, 10) : null,
+        video_url: videoUrlOf(video),
       };
-    }
+    });
+
+    const isOutlier = new Set(flagged.map((f) => f.index));
+    const data = points
+      .map((p, i) => ({ p, outlier: isOutlier.has(i) }))
+      .filter(({ p }) => Number.isFinite(p.ms))
+      .map(({ p, outlier }) => ({
+        x: p.ms,
+        date: new Date(p.ms).toISOString().slice(0, 10),
+        value: p.value,
+        title: p.video?.title || 'Untitled',
+        video_url: videoUrlOf(p.video),
+        outlier,
+      }))
+      .sort((a, b) => a.x - b.x);
+
+    return {
+      _chartType: 'outliers',
+      column: field,
+      method,
+      threshold: args.threshold ?? DEFAULT_OUTLIER_THRESHOLDS[method],
+      direction,
+      center: round(center),
+      lower_bound: round(lower),
+      upper_bound: round(upper),
+      values_checked: points.length,
+      outlier_count: flagged.length,
+      ...(flagged.length > limit && { truncated: `showing the ${limit} most extreme of ${flagged.length}` }),
+      ...(lower === null && { note: `"${field}" has no spread, so nothing can be flagged.` }),
+      outliers,
+      ...(data.length >= 2 && { data }),
+    };
+  },
+};
 
-    default:
-      return { error: `Unknown tool: ${toolName}` };
-  }
+// ── Chart renderers ─────────────────────────────────────────────────────────
+// Components load lazily, like the CSV tools' renderers.
+
+const GeneratedImage = lazy(() => import('../components/GeneratedImage'));
+const MetricVsTimeChart = lazy(() => import('../components/MetricVsTimeChart'));
+const PlayVideoCard = lazy(() => import('../components/PlayVideoCard'));
+const StatsJsonCard = lazy(() => import('../components/StatsJsonCard'));
+const OutliersCard = lazy(() => import('../components/OutliersCard'));
+
+const YOUTUBE_CHART_RENDERERS = {
+  generateImage: {
+    generatedImage: (chart) => <GeneratedImage imageBase64={chart.imageBase64} mimeType={chart.mimeType} />,
+  },
+  plot_metric_vs_time: {
+    metricVsTime: (chart) => (
+      <MetricVsTimeChart
+        data={chart.data}
+        metricField={chart.metricField}
+        title={chart.content_type ? `${chart.metricField} vs time${contentTypeSuffix(chart.content_type)}` : undefined}
+      />
+    ),
+  },
+  play_video: {
+    playVideo: (chart) => <PlayVideoCard title={chart.title} thumbnail={chart.thumbnail} videoUrl={chart.videoUrl} />,
+  },
+  compute_stats_json: { statsJson: (chart) => <StatsJsonCard stats={chart} /> },
+  find_outliers_json: { outliers: (chart) => <OutliersCard result={chart} /> },
+};
+
+// ── Argument checks beyond the declaration schema ───────────────────────────
+
+function hasField(videos, name) {
+  const sample = videos.slice(0, 20);
+  const key = resolveNumericField(videos, name);
+  const snake = camelToSnake(name);
+  return sample.some((v) => v && (key in v || snake in v));
+}
+
+const fieldIssue = (videos, path, name) =>
+  videos.length && !hasField(videos, name)
+    ? [{ path, message: `unknown field "${name}". Available: ${Object.keys(videos[0] || {}).join(', ')}` }]
+    : null;
+
+const YOUTUBE_VALIDATORS = {
+  plot_metric_vs_time: (args, { videos = [] }) => fieldIssue(videos, 'metric', args.metric),
+  compute_stats_json: (args, { videos = [] }) => fieldIssue(videos, 'field', args.field),
+  find_outliers_json: (args, { videos = [] }) => fieldIssue(videos, 'field', args.field),
+  play_video: (args, { videos = [] }) => {
+    if (!videos.length) return 'No channel videos are loaded.';
+    const value = String(args.selectorValue ?? args.which ?? '').trim();
+    if (args.selectorType !== 'most_viewed' && !value) {
+      return [{ path: 'selectorValue', message: `is required when selectorType is "${args.selectorType}"` }];
+    }
+    return null;
+  },
+};
+
+YOUTUBE_TOOL_DECLARATIONS.forEach((declaration) => {
+  registerTool('youtube', {
+    declaration,
+    validate: YOUTUBE_VALIDATORS[declaration.name],
+    execute: YOUTUBE_EXECUTORS[declaration.name],
+    renderers: YOUTUBE_CHART_RENDERERS[declaration.name],
+  });
+});
+
+/** Execute a YouTube tool (only YouTube tools are reachable through here). */
+export async function executeYouTubeTool(toolName, args, context) {
+  return executeRegisteredTool(toolName, args, { youtube: context || {} });
 }